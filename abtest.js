@@ -0,0 +1,238 @@
+// キャンペーン内容のA/Bテスト
+// 2〜5パターンの内容（タイトル・本文・URL・アイコン・画像）を配信対象の一部（testPercent）に振り分けて送り、
+// 待機時間（waitMinutes）のクリック率（CTR = クリック数 / 配信成功数）で勝者を決めて残りの購読者に送る
+//
+// キャンペーンの流れ（delivery.js の状態遷移）:
+//   sending（テスト配信） → testing（待機） → sending（勝者を残りへ配信） → completed
+//
+//   テスト配信の配信行にはパターンID（A〜E）を deliveries.variant に記録し、
+//   勝者の配信ではテストで送った購読者を除いた全員に勝者のパターンを送る
+//   待機時間の経過（scheduler / executeDueCampaigns）か、勝者の手動指定で勝者の配信を始める
+//
+// 勝者: CTR が最も高いパターン（同率ならクリック数が多い方、それも同じなら先のパターン）
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+const payloadService = require('./payload');
+const templateService = require('./template');
+
+// パターンで差し替えられる項目（APIのキー → 列名）
+const AB_VARIANT_FIELDS = {
+  title: 'title',
+  body: 'body',
+  url: 'url',
+  iconUrl: 'icon_url',
+  imageUrl: 'image_url'
+};
+
+const VARIANT_IDS = ['A', 'B', 'C', 'D', 'E'];
+const MIN_VARIANTS = 2;
+
+const DEFAULT_TEST_PERCENT = 20;
+const DEFAULT_WAIT_MINUTES = 60;
+const MAX_WAIT_MINUTES = 7 * 24 * 60;
+
+class ABTestService {
+  // A/Bテスト設定の入力チェック（エラーメッセージを返す、問題なければnull）
+  // abTest: { variants: [{ title, body, url, iconUrl, imageUrl }], testPercent, waitMinutes }
+  // base: キャンペーンの内容（パターンで指定しない項目はキャンペーンの値を使う。サイズチェック用）
+  validateConfig(abTest, base = {}) {
+    if (abTest === undefined || abTest === null) {
+      return null;
+    }
+    if (typeof abTest !== 'object' || Array.isArray(abTest)) {
+      return 'abTestはオブジェクトで指定してください';
+    }
+
+    const { variants, testPercent, waitMinutes } = abTest;
+
+    if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > VARIANT_IDS.length) {
+      return `abTest.variantsは${MIN_VARIANTS}〜${VARIANT_IDS.length}件の配列で指定してください`;
+    }
+
+    for (const [index, variant] of variants.entries()) {
+      const field = `abTest.variants[${index}]`;
+
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        return `${field}はオブジェクトで指定してください`;
+      }
+      const unknown = Object.keys(variant).find(key => !AB_VARIANT_FIELDS[key]);
+      if (unknown) {
+        return `${field} に指定できる項目は ${Object.keys(AB_VARIANT_FIELDS).join(' / ')} です`;
+      }
+      if (variant.title !== undefined && (typeof variant.title !== 'string' || variant.title.trim() === '')) {
+        return `${field}.titleは空でない文字列で指定してください`;
+      }
+      if (variant.body !== undefined && variant.body !== null && typeof variant.body !== 'string') {
+        return `${field}.bodyは文字列で指定してください`;
+      }
+      if (variant.url !== undefined && variant.url !== null && !payloadService.isLinkUrl(variant.url)) {
+        return `${field}.urlはURLまたは / から始まるパスで指定してください`;
+      }
+      for (const key of ['iconUrl', 'imageUrl']) {
+        if (variant[key] !== undefined && variant[key] !== null && !payloadService.isHttpsUrl(variant[key])) {
+          return `${field}.${key}は https のURLで指定してください`;
+        }
+      }
+
+      const error =
+        templateService.validateContent(variant) ||
+        payloadService.checkSize({ ...base, ...this.toRecord(variant) });
+      if (error) {
+        return `${field}: ${error}`;
+      }
+    }
+
+    if (testPercent !== undefined && (!Number.isInteger(testPercent) || testPercent < 1 || testPercent > 100)) {
+      return 'abTest.testPercentは1〜100の整数で指定してください';
+    }
+
+    if (waitMinutes !== undefined && (!Number.isInteger(waitMinutes) || waitMinutes < 1 || waitMinutes > MAX_WAIT_MINUTES)) {
+      return `abTest.waitMinutesは1〜${MAX_WAIT_MINUTES}の整数で指定してください`;
+    }
+
+    return null;
+  }
+
+  // パターンの内容を列名と値の組に変換（未指定のキーは含めない）
+  toRecord(variant) {
+    const record = {};
+    for (const [key, column] of Object.entries(AB_VARIANT_FIELDS)) {
+      if (variant[key] !== undefined) {
+        record[column] = variant[key];
+      }
+    }
+    return record;
+  }
+
+  // 保存用の設定（パターンにIDを振り、既定値を補う）
+  normalizeConfig(abTest) {
+    if (!abTest) {
+      return null;
+    }
+
+    return {
+      variants: abTest.variants.map((variant, index) => ({ id: VARIANT_IDS[index], ...this.toRecord(variant) })),
+      test_percent: abTest.testPercent !== undefined ? abTest.testPercent : DEFAULT_TEST_PERCENT,
+      wait_minutes: abTest.waitMinutes !== undefined ? abTest.waitMinutes : DEFAULT_WAIT_MINUTES
+    };
+  }
+
+  getVariantIds(campaign) {
+    return campaign.ab_test ? campaign.ab_test.variants.map(variant => variant.id) : [];
+  }
+
+  isValidVariantId(campaign, variantId) {
+    return this.getVariantIds(campaign).includes(variantId);
+  }
+
+  // 配信行のパターンの内容で置き換えたキャンペーン（パターンなしはそのまま）
+  applyVariant(campaign, variantId) {
+    if (!variantId || !campaign.ab_test) {
+      return campaign;
+    }
+
+    const variant = campaign.ab_test.variants.find(v => v.id === variantId);
+    if (!variant) {
+      return campaign;
+    }
+
+    const { id, ...content } = variant;
+    return { ...campaign, ...content };
+  }
+
+  // テスト配信のパターン別結果（CTR の高い順）
+  async getTestResults(campaign) {
+    if (!campaign.ab_test_job_id) {
+      return [];
+    }
+
+    const result = await pool.query(`
+      SELECT
+        variant,
+        COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')) AS sent,
+        COUNT(clicked_at) AS clicked
+      FROM deliveries
+      WHERE job_id = $1 AND variant IS NOT NULL
+      GROUP BY variant
+    `, [campaign.ab_test_job_id]);
+
+    const ids = this.getVariantIds(campaign);
+    const rows = new Map(result.rows.map(row => [row.variant, row]));
+
+    return ids
+      .map((id) => {
+        const row = rows.get(id);
+        const sent = row ? parseInt(row.sent) : 0;
+        const clicked = row ? parseInt(row.clicked) : 0;
+        return { variant: id, sent, clicked, ctr: sent > 0 ? Math.round((clicked / sent) * 10000) / 100 : 0 };
+      })
+      .sort((a, b) => (b.ctr - a.ctr) || (b.clicked - a.clicked) || (ids.indexOf(a.variant) - ids.indexOf(b.variant)));
+  }
+
+  // 勝者を決めて記録（勝者のパターンIDを返す）
+  // 勝者の配信を始める前に、排他取得（delivery.js の claimCampaign）したキャンペーンに対して呼ぶ
+  async selectWinner(campaign) {
+    const results = await this.getTestResults(campaign);
+    const winner = results.length > 0 ? results[0].variant : this.getVariantIds(campaign)[0];
+
+    await pool.query(`
+      UPDATE campaigns
+      SET ab_winner = $2, ab_winner_selected_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [campaign.id, winner]);
+
+    console.log(`  🏆 キャンペーン ${campaign.id} のA/Bテスト勝者: ${winner}`);
+    return winner;
+  }
+
+  // 勝者の手動指定（待機中のキャンペーンのみ。更新できなければnull）
+  async setWinner(campaignId, variantId) {
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET ab_winner = $2, ab_winner_selected_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'testing'
+      RETURNING *
+    `, [campaignId, variantId]);
+
+    return result.rows[0] || null;
+  }
+
+  // 配信履歴用のA/Bテストの概要
+  async getSummary(campaign) {
+    if (!campaign.ab_test) {
+      return null;
+    }
+
+    return {
+      variants: campaign.ab_test.variants,
+      testPercent: campaign.ab_test.test_percent,
+      waitMinutes: campaign.ab_test.wait_minutes,
+      testJobId: campaign.ab_test_job_id,
+      testEndsAt: campaign.ab_test_ends_at,
+      winner: campaign.ab_winner,
+      winnerSelectedAt: campaign.ab_winner_selected_at,
+      results: await this.getTestResults(campaign)
+    };
+  }
+}
+
+// A/Bテストの列追加SQL
+const addABTestColumns = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test JSONB; -- { variants: [{ id, title, ... }], test_percent, wait_minutes }
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_job_id UUID;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_test_ends_at TIMESTAMP;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_winner VARCHAR(1);
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ab_winner_selected_at TIMESTAMP;
+
+-- 配信ジョブの段階（'test' はテスト配信、'rollout' は勝者の配信、A/Bテストなしは NULL）
+ALTER TABLE delivery_jobs ADD COLUMN IF NOT EXISTS ab_phase VARCHAR(10);
+
+-- 送信したパターン（A〜E）
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS variant VARCHAR(1);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_testing ON campaigns(ab_test_ends_at) WHERE status = 'testing';
+`;
+
+module.exports = new ABTestService();
+module.exports.AB_VARIANT_FIELDS = AB_VARIANT_FIELDS;
@@ -0,0 +1,216 @@
+// 購読者のタグ・カスタム属性
+// サイトが購読者に任意のデータ（会員ID・プラン・言語・興味など）を付与する
+//   tags        文字列の配列（subscribers.tags、セグメントの tags 条件で使用）
+//   attributes  キーと値（文字列・数値・真偽値）のオブジェクト（subscribers.attributes、セグメントの attribute 条件で使用）
+//
+// 更新内容（update）:
+//   { tags: [...] }               タグを置き換え
+//   { addTags: [...], removeTags: [...] }  タグの追加・削除
+//   { attributes: { key: value } }        属性をマージ（値に null を指定したキーは削除）
+//   { replaceAttributes: true }           attributes をマージせず置き換え
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// 属性キー・タグの形式
+const ATTRIBUTE_KEY_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]{0,63}$/;
+const MAX_TAG_LENGTH = 64;
+const MAX_TAGS_PER_UPDATE = 100;
+const MAX_ATTRIBUTES_PER_UPDATE = 50;
+const MAX_ATTRIBUTE_VALUE_LENGTH = 500;
+
+// 一括更新の最大件数
+const MAX_BULK_UPDATES = 1000;
+
+// 購読者ID（UUID）の形式（不正な値はSQLの型変換エラーで一括更新全体が失敗するため事前に弾く）
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class SubscriberAttributeService {
+  isValidAttributeKey(key) {
+    return typeof key === 'string' && ATTRIBUTE_KEY_PATTERN.test(key);
+  }
+
+  validateTagList(tags, name) {
+    if (!Array.isArray(tags)) {
+      return `${name}は文字列の配列で指定してください`;
+    }
+    if (tags.length > MAX_TAGS_PER_UPDATE) {
+      return `${name}は${MAX_TAGS_PER_UPDATE}件までです`;
+    }
+    for (const tag of tags) {
+      if (typeof tag !== 'string' || tag.trim() === '' || tag.length > MAX_TAG_LENGTH || tag.includes(',')) {
+        return `${name}の各タグは${MAX_TAG_LENGTH}文字以内の文字列（カンマ不可）で指定してください`;
+      }
+    }
+    return null;
+  }
+
+  // 更新内容の入力チェック（エラーメッセージを返す、問題なければnull）
+  validateUpdate(update) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+      return '更新内容はオブジェクトで指定してください';
+    }
+
+    const { tags, addTags, removeTags, attributes } = update;
+
+    if (tags === undefined && addTags === undefined && removeTags === undefined && attributes === undefined) {
+      return 'tags / addTags / removeTags / attributes のいずれかを指定してください';
+    }
+
+    for (const [name, list] of [['tags', tags], ['addTags', addTags], ['removeTags', removeTags]]) {
+      if (list !== undefined) {
+        const error = this.validateTagList(list, name);
+        if (error) return error;
+      }
+    }
+
+    if (tags !== undefined && addTags !== undefined) {
+      return 'tags と addTags は同時に指定できません';
+    }
+
+    if (attributes !== undefined) {
+      if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
+        return 'attributesはオブジェクトで指定してください';
+      }
+
+      const entries = Object.entries(attributes);
+      if (entries.length > MAX_ATTRIBUTES_PER_UPDATE) {
+        return `attributesは${MAX_ATTRIBUTES_PER_UPDATE}件までです`;
+      }
+
+      for (const [key, value] of entries) {
+        if (!this.isValidAttributeKey(key)) {
+          return `属性キー ${key} は英数字とアンダースコア（先頭は英字か _、64文字以内）で指定してください`;
+        }
+        const valid =
+          value === null ||
+          typeof value === 'boolean' ||
+          (typeof value === 'number' && Number.isFinite(value)) ||
+          (typeof value === 'string' && value.length <= MAX_ATTRIBUTE_VALUE_LENGTH);
+        if (!valid) {
+          return `属性 ${key} の値は文字列（${MAX_ATTRIBUTE_VALUE_LENGTH}文字以内）・数値・真偽値・null のいずれかです`;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  // 一括更新の入力チェック
+  // updates: [{ subscriberId または endpoint, ...更新内容 }]
+  validateBulkUpdates(updates) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return 'updatesに1件以上指定してください';
+    }
+    if (updates.length > MAX_BULK_UPDATES) {
+      return `updatesは${MAX_BULK_UPDATES}件までです`;
+    }
+
+    for (const [index, item] of updates.entries()) {
+      if (!item || (!item.subscriberId && !item.endpoint)) {
+        return `updates[${index}]: subscriberId または endpoint を指定してください`;
+      }
+      if (item.subscriberId && (typeof item.subscriberId !== 'string' || !UUID_PATTERN.test(item.subscriberId))) {
+        return `updates[${index}]: subscriberId の形式が正しくありません`;
+      }
+      if (!item.subscriberId && typeof item.endpoint !== 'string') {
+        return `updates[${index}]: endpoint は文字列で指定してください`;
+      }
+      const error = this.validateUpdate(item);
+      if (error) {
+        return `updates[${index}]: ${error}`;
+      }
+    }
+
+    return null;
+  }
+
+  // 更新SQLの実行（対象の絞り込み条件は where、その値は whereParams）
+  async applyUpdate(client, where, whereParams, update) {
+    const { tags, addTags, removeTags, attributes, replaceAttributes } = update;
+    const params = [
+      tags ? tags.map(t => t.trim()) : null,
+      (addTags || []).map(t => t.trim()),
+      (removeTags || []).map(t => t.trim()),
+      attributes !== undefined ? JSON.stringify(attributes) : null,
+      !!replaceAttributes
+    ];
+    const offset = params.length;
+    const condition = where.replace(/\$(\d+)/g, (match, n) => `$${parseInt(n) + offset}`);
+
+    const result = await client.query(`
+      UPDATE subscribers
+      SET tags = ARRAY(
+            SELECT DISTINCT t
+            FROM unnest(COALESCE($1::text[], tags, '{}') || $2::text[]) AS t
+            WHERE NOT (t = ANY($3::text[]))
+            ORDER BY t
+          ),
+          attributes = CASE
+            WHEN $4::jsonb IS NULL THEN attributes
+            ELSE jsonb_strip_nulls((CASE WHEN $5 THEN '{}'::jsonb ELSE COALESCE(attributes, '{}'::jsonb) END) || $4::jsonb)
+          END
+      WHERE ${condition}
+      RETURNING id, endpoint, tags, attributes
+    `, [...params, ...whereParams]);
+
+    return result.rows[0] || null;
+  }
+
+  // 購読者IDで更新
+  async updateSubscriber(subscriberId, update) {
+    return this.applyUpdate(pool, 'id = $1', [subscriberId], update);
+  }
+
+  // エンドポイントで更新（SDKから。有効な購読のみ）
+  async updateByEndpoint(siteId, endpoint, update) {
+    return this.applyUpdate(
+      pool,
+      'site_id = $1 AND endpoint = $2 AND is_active = true',
+      [siteId, endpoint],
+      update
+    );
+  }
+
+  // 一括更新（1トランザクション。見つからなかった対象は notFound に返す）
+  async bulkUpdate(siteId, updates) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      let updated = 0;
+      const notFound = [];
+
+      for (const item of updates) {
+        const row = item.subscriberId
+          ? await this.applyUpdate(client, 'site_id = $1 AND id = $2', [siteId, item.subscriberId], item)
+          : await this.applyUpdate(client, 'site_id = $1 AND endpoint = $2', [siteId, item.endpoint], item);
+
+        if (row) {
+          updated++;
+        } else {
+          notFound.push(item.subscriberId || item.endpoint);
+        }
+      }
+
+      await client.query('COMMIT');
+      return { updated, notFound };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// 属性カラム追加SQL
+const addSubscriberAttributesColumn = `
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_subscribers_attributes ON subscribers USING GIN (attributes);
+`;
+
+module.exports = new SubscriberAttributeService();
+module.exports.ATTRIBUTE_KEY_PATTERN = ATTRIBUTE_KEY_PATTERN;
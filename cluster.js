@@ -0,0 +1,157 @@
+// スケジューラー・ワーカーのノード管理
+// server.js・scheduler.js・worker.js の各プロセスを1ノードとして scheduler_nodes に登録し、定期的に生存を記録する（リース）
+//
+//   - キャンペーンの排他取得（delivery.js）・配信ジョブ（queue.js）・自動レポートの実行（email-report.js）には
+//     取得したノードの nodeId を記録する
+//   - last_seen_at が NODE_LEASE_SECONDS 以上更新されていないノードは停止したものとみなし、
+//     そのノードが取得したまま残ったキャンペーンは他のノードが回復する（delivery.js の recoverStaleClaims）
+//   - 状態（どのノードが何を処理中か）は getStatus() でDBから取得する（どのノードから見ても同じ内容）
+
+const os = require('os');
+const crypto = require('crypto');
+const queueService = require('./queue');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// 生存記録の間隔と、停止とみなすまでの時間
+const HEARTBEAT_INTERVAL_MS = (parseInt(process.env.NODE_HEARTBEAT_SECONDS) || 30) * 1000;
+const NODE_LEASE_SECONDS = parseInt(process.env.NODE_LEASE_SECONDS) || 120;
+
+// 停止済みノードの記録を残す期間
+const STOPPED_NODE_RETENTION_DAYS = 7;
+
+class ClusterService {
+  constructor() {
+    this.nodeId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.roles = new Set();
+    this.timer = null;
+  }
+
+  // このプロセスの役割（'api' / 'scheduler' / 'worker'）を登録し、生存記録を開始
+  async register(role) {
+    this.roles.add(role);
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL_MS);
+      this.timer.unref();
+    }
+
+    await this.heartbeat();
+  }
+
+  // 生存記録（未登録なら登録）と、古い停止済みノードの記録の削除
+  async heartbeat() {
+    try {
+      await pool.query(`
+        INSERT INTO scheduler_nodes (node_id, hostname, pid, roles)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (node_id) DO UPDATE
+        SET roles = EXCLUDED.roles, last_seen_at = NOW(), stopped_at = NULL
+      `, [this.nodeId, os.hostname(), process.pid, [...this.roles]]);
+
+      await pool.query(`
+        DELETE FROM scheduler_nodes
+        WHERE last_seen_at < NOW() - ($1::int * INTERVAL '1 day')
+      `, [STOPPED_NODE_RETENTION_DAYS]);
+    } catch (error) {
+      console.error('❌ ノードの生存記録エラー:', error.message);
+    }
+  }
+
+  // 停止の記録（シャットダウン時）
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await pool.query(
+      'UPDATE scheduler_nodes SET stopped_at = NOW() WHERE node_id = $1',
+      [this.nodeId]
+    );
+  }
+
+  // ノードが停止している（リース切れ・停止済み・未登録）ことを表すSQL条件
+  // nodeColumn: ノードIDの列（例: 'c.claimed_by'）
+  deadNodeCondition(nodeColumn) {
+    return `NOT EXISTS (
+      SELECT 1 FROM scheduler_nodes n
+      WHERE n.node_id = ${nodeColumn}
+        AND n.stopped_at IS NULL
+        AND n.last_seen_at > NOW() - (${NODE_LEASE_SECONDS} * INTERVAL '1 second')
+    )`;
+  }
+
+  // クラスター全体の状態（ノードごとの処理中のキャンペーン・配信ジョブ）
+  // 停止したノードが取得したまま残っているものは orphaned に含める
+  async getStatus() {
+    const nodesResult = await pool.query(`
+      SELECT *,
+             stopped_at IS NULL AND last_seen_at > NOW() - ($1::int * INTERVAL '1 second') AS alive
+      FROM scheduler_nodes
+      ORDER BY started_at DESC
+    `, [NODE_LEASE_SECONDS]);
+
+    const campaignsResult = await pool.query(`
+      SELECT id, site_id, title, status, claimed_by, claimed_at, claimed_from
+      FROM campaigns
+      WHERE status = 'sending' AND claimed_by IS NOT NULL
+      ORDER BY claimed_at ASC
+    `);
+
+    const runningJobs = await queueService.listRunningJobs();
+
+    const nodes = nodesResult.rows.map(node => ({
+      nodeId: node.node_id,
+      hostname: node.hostname,
+      pid: node.pid,
+      roles: node.roles,
+      isCurrent: node.node_id === this.nodeId,
+      alive: node.alive,
+      startedAt: node.started_at,
+      lastSeenAt: node.last_seen_at,
+      stoppedAt: node.stopped_at,
+      campaigns: campaignsResult.rows.filter(campaign => campaign.claimed_by === node.node_id),
+      jobs: runningJobs.filter(job => job.locked_by === node.node_id)
+    }));
+
+    const aliveNodeIds = new Set(nodes.filter(node => node.alive).map(node => node.nodeId));
+
+    return {
+      nodeId: this.nodeId,
+      nodeLeaseSeconds: NODE_LEASE_SECONDS,
+      nodes,
+      orphaned: {
+        campaigns: campaignsResult.rows.filter(campaign => !aliveNodeIds.has(campaign.claimed_by)),
+        jobs: runningJobs.filter(job => !aliveNodeIds.has(job.locked_by))
+      }
+    };
+  }
+}
+
+// ノードテーブル作成SQL（キャンペーン・自動レポートの取得者の列も追加）
+const createSchedulerNodesTable = `
+CREATE TABLE IF NOT EXISTS scheduler_nodes (
+  node_id VARCHAR(255) PRIMARY KEY,
+  hostname VARCHAR(255) NOT NULL,
+  pid INT NOT NULL,
+  roles TEXT[] NOT NULL DEFAULT '{}', -- 'api', 'scheduler', 'worker'
+  started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  stopped_at TIMESTAMP
+);
+
+-- キャンペーンを sending として取得したノードと、取得前のステータス（回復時に戻す）
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(255);
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS claimed_from VARCHAR(20);
+
+-- 自動レポートを最後に実行したノード
+ALTER TABLE auto_reports ADD COLUMN IF NOT EXISTS claimed_by VARCHAR(255);
+ALTER TABLE auto_reports ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_claimed ON campaigns(claimed_at) WHERE status = 'sending';
+`;
+
+module.exports = new ClusterService();
@@ -0,0 +1,23 @@
+// 共有PostgreSQL接続
+// server.js / scheduler.js / report.js / email-report.js から同じ接続設定で利用する
+
+const { Pool } = require('pg');
+
+// DATABASE_URL が設定されていればそれを優先（Render等の本番環境）
+// 未設定の場合は個別の DB_* 環境変数で接続（ローカル開発・スタンドアロン実行）
+const pool = process.env.DATABASE_URL
+  ? new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: {
+        rejectUnauthorized: false
+      }
+    })
+  : new Pool({
+      host: process.env.DB_HOST || 'localhost',
+      port: process.env.DB_PORT || 5432,
+      database: process.env.DB_NAME || 'webpush',
+      user: process.env.DB_USER || 'postgres',
+      password: process.env.DB_PASSWORD || 'password',
+    });
+
+module.exports = pool;
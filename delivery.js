@@ -0,0 +1,638 @@
+// キャンペーン配信サービス
+// server.js（API）と scheduler.js（スタンドアロン）の共通配信エンジン
+//
+// キャンペーンの状態遷移:
+//
+//   draft ─────────┐                       ┌──> completed（単発配信の完了）
+//   scheduled ─────┼──> sending ───────────┼──> failed（単発配信の失敗）
+//   active ────────┘   （claimで排他取得）   └──> active（繰り返し配信は待機に戻る）
+//
+//   繰り返し配信は終了日・実行回数の上限（recurrence.js）で次回実行日時がなくなると scheduled_at を NULL にし、
+//   そのジョブの終了時に completed になる
+//
+//   配信時刻から遅れて取得したキャンペーン（サーバー停止など）は misfire_policy（misfire.js）に従い、
+//   実行しない場合はジョブを登録せずに戻す（単発配信は missed、繰り返し配信は active のまま次回へ）
+//
+//   sending の間、実際の送信は配信ジョブ（queue.js / worker.js）が行い、
+//   ジョブ終了時にワーカーが finishCampaign() で次の状態へ進める
+//
+//   A/Bテスト（abtest.js）のキャンペーンはテスト配信のジョブ終了後に testing で待機し、
+//   待機時間の経過後に勝者の配信で再び sending になる: sending → testing → sending → completed
+//
+//   draft      即時配信用に作成された未送信キャンペーン（手動送信を待つ）
+//   scheduled  日時指定配信の送信待ち（scheduled_at到達でスケジューラーが送信）
+//   active     繰り返し配信の待機中（scheduled_atに次回実行日時を保持）
+//   sending    送信中（配信ジョブ処理中）。claimCampaign() の UPDATE ... RETURNING で1プロセスだけが取得できる
+//              取得したノード（cluster.js）が停止して残った場合は recoverStaleClaims() で回復する
+//   completed  送信完了（手動で再送する場合は sending へ）
+//   failed     送信失敗（手動で再送する場合は sending へ）
+//   cancelled  scheduled から予約キャンセル、または sending 中の配信ジョブをキャンセル
+//   stopped    active から繰り返し停止（active へ再開可能）
+//   testing    A/Bテストのテスト配信後の待機中（ab_test_ends_at 到達で勝者の配信を開始）
+//   missed     日時指定配信が遅れのため実行されなかった（手動で再送する場合は sending、予約し直す場合は scheduled へ）
+
+const webpush = require('web-push');
+const trackingService = require('./tracking');
+const queueService = require('./queue');
+const retryPolicy = require('./retry');
+const rateLimiter = require('./rate-limiter');
+const vapidKeyService = require('./vapid');
+const subscriptionService = require('./subscriptions');
+const payloadService = require('./payload');
+const pushOptionsService = require('./push-options');
+const templateService = require('./template');
+const localeService = require('./locale');
+const abTestService = require('./abtest');
+const misfireService = require('./misfire');
+const clusterService = require('./cluster');
+const { formatLocal } = require('./timezone');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// 有効性チェックで一度に読み込んで送信する購読者数
+const VALIDATION_CHUNK_SIZE = 500;
+
+const CAMPAIGN_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  ACTIVE: 'active',
+  SENDING: 'sending',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+  STOPPED: 'stopped',
+  TESTING: 'testing',
+  MISSED: 'missed'
+};
+
+// 許可される状態遷移（遷移元 → 遷移先）
+const CAMPAIGN_TRANSITIONS = {
+  draft: ['scheduled', 'active', 'sending', 'cancelled'],
+  scheduled: ['draft', 'sending', 'cancelled'],
+  active: ['sending', 'stopped'],
+  sending: ['completed', 'failed', 'cancelled', 'active', 'testing', 'missed'],
+  completed: ['sending'],
+  failed: ['sending', 'scheduled'],
+  cancelled: ['draft', 'scheduled'],
+  stopped: ['active'],
+  testing: ['sending', 'cancelled'],
+  missed: ['sending', 'scheduled']
+};
+
+class DeliveryService {
+  // 状態遷移の可否
+  canTransition(from, to) {
+    return (CAMPAIGN_TRANSITIONS[from] || []).includes(to);
+  }
+
+  // 配信種別ごとの作成時ステータス
+  getInitialStatus(deliveryType) {
+    if (deliveryType === 'scheduled') return CAMPAIGN_STATUS.SCHEDULED;
+    if (deliveryType === 'recurring') return CAMPAIGN_STATUS.ACTIVE;
+    return CAMPAIGN_STATUS.DRAFT;
+  }
+
+  // キャンペーンを送信中として排他取得（取得できなければnull）
+  // 複数プロセスが同時に実行しても UPDATE ... RETURNING で1つだけが成功する
+  // 取得したノードと取得前のステータスを記録する（回復用）
+  async claimCampaign(campaignId, fromStatuses) {
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET status = 'sending',
+          claimed_by = $3,
+          claimed_at = NOW(),
+          claimed_from = status,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = ANY($2)
+      RETURNING *
+    `, [campaignId, fromStatuses, clusterService.nodeId]);
+
+    return result.rows[0] || null;
+  }
+
+  // 送信可能な遷移元ステータス（手動送信）
+  getManualSendStatuses(campaign) {
+    return campaign.delivery_type === 'recurring'
+      ? [CAMPAIGN_STATUS.ACTIVE]
+      : [CAMPAIGN_STATUS.DRAFT, CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.COMPLETED, CAMPAIGN_STATUS.FAILED, CAMPAIGN_STATUS.MISSED];
+  }
+
+  // 購読が無効になったことを示すエラーか
+  isSubscriptionGone(error) {
+    const errorCode = error.statusCode || error.code;
+    return (
+      errorCode === 410 || // Gone - 購読削除済み
+      errorCode === 404 || // Not Found - エンドポイント無効
+      errorCode === 403 || // Forbidden - アクセス拒否
+      !!error.message?.includes('expired') ||
+      !!error.message?.includes('unsubscribed')
+    );
+  }
+
+  // 購読者を非アクティブ化（購読イベントに deactivated として記録）
+  async deactivateSubscriber(subscriberId, reason) {
+    await subscriptionService.deactivate(subscriberId, reason);
+    console.log(`  ⚠️ 購読者 ${subscriberId} を自動非アクティブ化 (${reason})`);
+  }
+
+  // 購読者1件にプッシュ送信（プッシュサービスごとのレート制限を通す）
+  // pushOptions: TTL / urgency / topic（push-options.js の resolve() の結果）
+  async sendPush(subscriber, payload, vapidDetails, pushOptions = {}) {
+    return rateLimiter.schedule(subscriber.endpoint, async () => {
+      try {
+        return await webpush.sendNotification(
+          {
+            endpoint: subscriber.endpoint,
+            keys: {
+              p256dh: subscriber.p256dh_key,
+              auth: subscriber.auth_key
+            }
+          },
+          JSON.stringify(payload),
+          { ...pushOptions, vapidDetails }
+        );
+      } catch (error) {
+        // 429 はそのプッシュサービスへの送信全体を Retry-After（なければ基準時間）だけ止める
+        if (error.statusCode === 429) {
+          const retryAfter = retryPolicy.parseRetryAfter(error);
+          rateLimiter.pause(subscriber.endpoint, retryAfter !== null ? retryAfter : retryPolicy.baseDelayMs);
+        }
+        throw error;
+      }
+    });
+  }
+
+  // キャンペーンの通知ペイロード（リッチ通知のオプションは payload.js）
+  buildPayload(campaign) {
+    return {
+      ...payloadService.buildNotification(campaign),
+      campaignId: campaign.id
+    };
+  }
+
+  // 購読者ごとの通知ペイロード（ロケール別の内容の選択は locale.js、テンプレート変数の展開とUTMの付与は template.js）
+  // subscriber: 購読者（属性・ユーザーID・端末情報・ロケール）、site: 差し込み用のサイト情報
+  // variant: A/Bテストのパターン（abtest.js。A/Bテストのキャンペーンはロケール別の内容を持たない）
+  buildSubscriberPayload(campaign, subscriber, site, variant = null) {
+    const localized = abTestService.applyVariant(localeService.applyVariant(campaign, subscriber.locale), variant);
+    const context = templateService.buildContext({ subscriber, site: site || {}, campaign });
+    return templateService.renderPayload(this.buildPayload(localized), context, campaign.utm, campaign);
+  }
+
+  // サイトのVAPID鍵（ローテーション済みの鍵を含む）を取得
+  // 購読者ごとの鍵は vapidKeyService.resolveVapidDetails() で選ぶ
+  async loadVapidKeys(siteId) {
+    const siteResult = await pool.query('SELECT id FROM sites WHERE id = $1', [siteId]);
+
+    if (siteResult.rows.length === 0) {
+      throw new Error('Site not found');
+    }
+
+    return vapidKeyService.loadKeySet(siteId);
+  }
+
+  // 購読者の有効性チェック（siteId省略時は全サイト）
+  // Service Workerで無視されるテスト通知を送り、購読が無効になっていれば非アクティブ化する
+  async validateSubscribers(siteId = null) {
+    const subscribersResult = siteId
+      ? await pool.query('SELECT * FROM subscribers WHERE site_id = $1 AND is_active = true', [siteId])
+      : await pool.query('SELECT * FROM subscribers WHERE is_active = true');
+
+    const results = { checked: 0, valid: 0, deactivated: 0, skipped: 0 };
+    const keysBySite = new Map();
+
+    const testPayload = {
+      title: 'テスト',
+      body: 'このメッセージは表示されません',
+      tag: 'validation-test'
+    };
+
+    // 送信間隔と同時送信数は sendPush のレート制限に任せる
+    for (let i = 0; i < subscribersResult.rows.length; i += VALIDATION_CHUNK_SIZE) {
+      const chunk = subscribersResult.rows.slice(i, i + VALIDATION_CHUNK_SIZE);
+
+      await Promise.all(chunk.map(async (subscriber) => {
+        results.checked++;
+
+        if (!keysBySite.has(subscriber.site_id)) {
+          keysBySite.set(subscriber.site_id, this.loadVapidKeys(subscriber.site_id).catch(() => null));
+        }
+        const vapidKeys = await keysBySite.get(subscriber.site_id);
+        if (!vapidKeys) {
+          results.skipped++;
+          return;
+        }
+
+        try {
+          await this.sendPush(subscriber, testPayload, vapidKeyService.resolveVapidDetails(vapidKeys, subscriber));
+          results.valid++;
+        } catch (error) {
+          if (this.isSubscriptionGone(error)) {
+            await this.deactivateSubscriber(subscriber.id, error.message);
+            results.deactivated++;
+          }
+        }
+      }));
+    }
+
+    return results;
+  }
+
+  // 配信行1件の送信と結果記録（配信行はキューで 'sending' として取得済み）
+  // 配信行の状態: queued → sending → sent / failed、一時的な失敗は retrying（next_retry_at 以降に再送）
+  //   有効期限（expires_at）を過ぎたものは送信せず expired
+  // vapidKeys は loadVapidKeys() の結果（購読者が購読時に使った鍵で署名する）
+  // site はテンプレートの差し込み用のサイト情報
+  async sendDelivery(campaign, delivery, vapidKeys, site = null) {
+    // キュー登録後に購読解除・無効化された購読者には送らない
+    if (!delivery.is_active) {
+      await pool.query(`
+        UPDATE deliveries
+        SET status = 'cancelled', error_message = 'Subscriber is no longer active'
+        WHERE id = $1
+      `, [delivery.id]);
+      return false;
+    }
+
+    // 有効期限を過ぎた通知は送らない
+    const pushOptions = pushOptionsService.resolve(campaign);
+    if (!pushOptions) {
+      await this.expireDelivery(delivery.id);
+      return false;
+    }
+
+    const attempt = (delivery.attempts || 0) + 1;
+
+    // 送信に使ったオプションと内容のロケール（結果と一緒に配信行に記録）
+    const usedOptions = [
+      pushOptions.TTL,
+      pushOptions.urgency || null,
+      pushOptions.topic || null,
+      localeService.selectLocale(campaign, delivery.locale)
+    ];
+
+    try {
+      await this.sendPush(delivery, {
+        ...this.buildSubscriberPayload(campaign, { ...delivery, id: delivery.subscriber_id }, site, delivery.variant),
+        deliveryId: delivery.id,
+        trackingToken: trackingService.signToken(delivery.id)
+      }, vapidKeyService.resolveVapidDetails(vapidKeys, delivery), pushOptions);
+
+      await pool.query(`
+        UPDATE deliveries
+        SET status = 'sent', sent_at = CURRENT_TIMESTAMP, attempts = $2, next_retry_at = NULL,
+            ttl = $3, urgency = $4, topic = $5, locale = $6
+        WHERE id = $1
+      `, [delivery.id, attempt, ...usedOptions]);
+
+      return true;
+    } catch (error) {
+      // 一時的な失敗は試行回数が残っていれば再送待ちにする
+      const decision = retryPolicy.decide(attempt, error);
+
+      // 再送時刻が有効期限を過ぎる場合は再送しない
+      if (decision.retry && pushOptionsService.isExpired(campaign, decision.nextRetryAt)) {
+        await this.expireDelivery(delivery.id, attempt, error.message);
+        return false;
+      }
+
+      if (decision.retry) {
+        await pool.query(`
+          UPDATE deliveries
+          SET status = 'retrying', attempts = $2, next_retry_at = $3, error_message = $4,
+              ttl = $5, urgency = $6, topic = $7, locale = $8
+          WHERE id = $1
+        `, [delivery.id, attempt, decision.nextRetryAt, error.message, ...usedOptions]);
+
+        return false;
+      }
+
+      await pool.query(`
+        UPDATE deliveries
+        SET status = 'failed', attempts = $2, next_retry_at = NULL, error_message = $3,
+            ttl = $4, urgency = $5, topic = $6, locale = $7
+        WHERE id = $1
+      `, [delivery.id, attempt, error.message, ...usedOptions]);
+
+      if (this.isSubscriptionGone(error)) {
+        await this.deactivateSubscriber(delivery.subscriber_id, error.message);
+      }
+
+      return false;
+    }
+  }
+
+  // 有効期限切れで送信しなかった配信行
+  async expireDelivery(deliveryId, attempts = null, lastError = null) {
+    await pool.query(`
+      UPDATE deliveries
+      SET status = 'expired',
+          attempts = COALESCE($2, attempts),
+          next_retry_at = NULL,
+          error_message = COALESCE($3, 'Notification expired before delivery')
+      WHERE id = $1
+    `, [deliveryId, attempts, lastError]);
+  }
+
+  // キャンペーンを排他取得して配信ジョブを登録（送信はワーカーが行う）
+  // advanceSchedule: 配信時刻による実行か（スケジューラー実行時のみ）。遅れの扱いを決め、繰り返し配信の次回実行日時を進める
+  // A/Bテストのキャンペーンは testing からの取得なら勝者の配信、それ以外はテスト配信のジョブになる
+  // 取得できなかった場合（他プロセスが送信中など）・遅れのため実行しない場合はnullを返す
+  async startCampaign(campaignId, { fromStatuses, advanceSchedule = false, createdBy = null }) {
+    const campaign = await this.claimCampaign(campaignId, fromStatuses);
+
+    if (!campaign) {
+      return null;
+    }
+
+    let abPhase = null;
+    if (campaign.ab_test) {
+      abPhase = fromStatuses.includes(CAMPAIGN_STATUS.TESTING) ? 'rollout' : 'test';
+
+      // 勝者は排他取得後に決める（手動指定済みならそのパターン）
+      if (abPhase === 'rollout' && !campaign.ab_winner) {
+        campaign.ab_winner = await abTestService.selectWinner(campaign);
+      }
+    }
+
+    // 遅れた実行の扱いと、繰り返し配信の次回実行日時・実行回数
+    let plan = null;
+    let nextSchedule = null;
+    if (advanceSchedule && campaign.scheduled_at) {
+      plan = misfireService.planRun(campaign);
+
+      if (campaign.delivery_type === 'recurring' && campaign.recurring_schedule) {
+        // 行わなかった回も実行回数に数える（上限に達した場合 plan.nextTime は null）
+        nextSchedule = { nextTime: plan.nextTime, occurrenceCount: campaign.occurrence_count + plan.occurrences };
+      }
+    }
+
+    if (plan && !plan.runAt) {
+      await this.advanceSchedule(campaign, plan, nextSchedule);
+      await this.finishCampaign(campaign, CAMPAIGN_STATUS.MISSED);
+      return null;
+    }
+
+    // 遅れた実行の記録と次回実行日時の更新は配信ジョブの登録と同じトランザクションで行う
+    // （登録前にプロセスが停止して取得前のステータスに戻った場合に、スケジューラーの実行が記録されないまま失われないため）
+    const beforeCommit = plan ? client => this.advanceSchedule(campaign, plan, nextSchedule, client) : null;
+
+    try {
+      return await queueService.enqueueCampaign(campaign, createdBy, { abPhase, beforeCommit });
+    } catch (error) {
+      // 登録に失敗した回は失敗として扱い、次回実行日時へ進める（同じ回を繰り返し実行しない）
+      if (plan) {
+        await this.advanceSchedule(campaign, plan, nextSchedule);
+      }
+      await this.finishCampaign(campaign, CAMPAIGN_STATUS.FAILED);
+      throw error;
+    }
+  }
+
+  // 遅れた実行の記録と、繰り返し配信の次回実行日時・実行回数の更新（startCampaign から呼ぶ）
+  // client を指定した場合はそのトランザクションで行い、省略時はここでトランザクションを張る
+  async advanceSchedule(campaign, plan, nextSchedule, client = null) {
+    if (!client) {
+      const ownClient = await pool.connect();
+      try {
+        await ownClient.query('BEGIN');
+        await this.advanceSchedule(campaign, plan, nextSchedule, ownClient);
+        await ownClient.query('COMMIT');
+      } catch (error) {
+        await ownClient.query('ROLLBACK');
+        throw error;
+      } finally {
+        ownClient.release();
+      }
+      return;
+    }
+
+    if (plan.missed.length > 0) {
+      await misfireService.recordMissedRuns(campaign.id, plan.missed, client);
+      console.log(`  ⏭️ キャンペーン「${campaign.title}」の遅れた実行 ${plan.missed.length}件を見送りました（${campaign.misfire_policy}）`);
+    }
+
+    if (nextSchedule) {
+      const { nextTime, occurrenceCount } = nextSchedule;
+      await client.query(
+        'UPDATE campaigns SET scheduled_at = $1, occurrence_count = $2 WHERE id = $3',
+        [nextTime, occurrenceCount, campaign.id]
+      );
+      campaign.scheduled_at = nextTime;
+      campaign.occurrence_count = occurrenceCount;
+
+      if (nextTime) {
+        console.log(`  🔄 次回配信: ${formatLocal(nextTime, campaign.timezone)} (${campaign.timezone})`);
+      } else {
+        console.log(`  🏁 繰り返し配信の以降の実行はありません（${occurrenceCount}回）`);
+      }
+    }
+  }
+
+  // 配信ジョブ終了後のステータス更新（status: completed / failed / cancelled）
+  // 繰り返し配信は結果にかかわらず次回実行のため待機に戻す（次回実行日時がなければ completed）
+  // job: 終了したジョブ。A/Bテストのテスト配信が完了した場合は待機時間の間 testing にする
+  async finishCampaign(campaign, status, job = null) {
+    if (status === CAMPAIGN_STATUS.COMPLETED && job && job.ab_phase === 'test') {
+      await pool.query(`
+        UPDATE campaigns
+        SET status = 'testing',
+            ab_test_ends_at = NOW() + ($2::int * INTERVAL '1 minute'),
+            claimed_by = NULL,
+            claimed_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'sending'
+      `, [campaign.id, campaign.ab_test.wait_minutes]);
+      return;
+    }
+
+    await pool.query(`
+      UPDATE campaigns
+      SET status = CASE
+            WHEN delivery_type <> 'recurring' THEN $1
+            WHEN scheduled_at IS NULL THEN 'completed'
+            ELSE 'active'
+          END,
+          claimed_by = NULL,
+          claimed_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND status = 'sending'
+    `, [status, campaign.id]);
+  }
+
+  // 停止したノードが sending のまま残したキャンペーンの回復（取得後、配信ジョブの登録前後に停止した場合）
+  // 配信ジョブが待機中・実行中のキャンペーンはジョブのリース（queue.js）に任せる
+  //   - 取得後に登録された配信ジョブが終了していれば、その結果で次の状態へ進める
+  //   - 配信ジョブが登録されていなければ取得前のステータスに戻す（次回のチェックで改めて実行される）
+  async recoverStaleClaims() {
+    const result = await pool.query(`
+      SELECT c.*
+      FROM campaigns c
+      WHERE c.status = 'sending'
+        AND c.claimed_by IS NOT NULL
+        AND ${clusterService.deadNodeCondition('c.claimed_by')}
+        AND NOT EXISTS (
+          SELECT 1 FROM delivery_jobs j
+          WHERE j.campaign_id = c.id AND j.status IN ('queued', 'running')
+        )
+      ORDER BY c.claimed_at ASC
+      LIMIT 50
+    `);
+
+    const jobStatuses = {
+      completed: CAMPAIGN_STATUS.COMPLETED,
+      failed: CAMPAIGN_STATUS.FAILED,
+      cancelled: CAMPAIGN_STATUS.CANCELLED
+    };
+
+    for (const campaign of result.rows) {
+      const jobResult = await pool.query(`
+        SELECT * FROM delivery_jobs
+        WHERE campaign_id = $1 AND created_at >= $2
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [campaign.id, campaign.claimed_at]);
+      const job = jobResult.rows[0];
+
+      if (job) {
+        await this.finishCampaign(campaign, jobStatuses[job.status], job);
+      } else {
+        await pool.query(`
+          UPDATE campaigns
+          SET status = claimed_from, claimed_by = NULL, claimed_at = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1 AND status = 'sending' AND claimed_by = $2
+        `, [campaign.id, campaign.claimed_by]);
+      }
+
+      console.log(`  🩹 停止したノード ${campaign.claimed_by} が取得していたキャンペーン「${campaign.title}」を回復しました`);
+    }
+  }
+
+  // 有効期限を過ぎた送信待ちのキャンペーンを終了（日時指定は cancelled、繰り返しは stopped）
+  async expireCampaigns() {
+    const result = await pool.query(`
+      UPDATE campaigns
+      SET status = CASE WHEN status = 'active' THEN 'stopped' ELSE 'cancelled' END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE status IN ('scheduled', 'active')
+        AND expires_at <= NOW()
+      RETURNING id, title, status
+    `);
+
+    for (const campaign of result.rows) {
+      console.log(`  ⌛ キャンペーン「${campaign.title}」は有効期限切れのため ${campaign.status} にしました`);
+    }
+    return result.rows;
+  }
+
+  // 配信時刻を過ぎたキャンペーンの配信ジョブを登録（scheduled と recurring 両方）
+  // 各ノードで同時に実行してもキャンペーンは claimCampaign() で1ノードだけが取得する
+  async executeDueCampaigns() {
+    try {
+      await this.recoverStaleClaims();
+      await this.expireCampaigns();
+
+      const result = await pool.query(`
+        SELECT id, title
+        FROM campaigns
+        WHERE ((delivery_type = 'scheduled' AND status = 'scheduled')
+            OR (delivery_type = 'recurring' AND status = 'active'))
+          AND scheduled_at <= NOW()
+        ORDER BY scheduled_at ASC
+        LIMIT 50
+      `);
+
+      if (result.rows.length > 0) {
+        console.log(`📅 ${result.rows.length}件のスケジュール配信を開始中...`);
+      }
+
+      for (const campaign of result.rows) {
+        try {
+          const job = await this.startCampaign(campaign.id, {
+            fromStatuses: [CAMPAIGN_STATUS.SCHEDULED, CAMPAIGN_STATUS.ACTIVE],
+            advanceSchedule: true
+          });
+
+          if (job) {
+            console.log(`  → キャンペーン「${campaign.title}」の配信ジョブを登録しました (${job.total_count}件)`);
+          }
+        } catch (error) {
+          console.error(`  ❌ キャンペーン配信登録エラー (ID: ${campaign.id}):`, error.message);
+        }
+      }
+
+      await this.rolloutDueABTests();
+    } catch (error) {
+      console.error('❌ スケジュール実行エラー:', error.message);
+    }
+  }
+
+  // 待機時間を過ぎたA/Bテストの勝者を決めて残りの購読者への配信ジョブを登録
+  async rolloutDueABTests() {
+    const result = await pool.query(`
+      SELECT id, title
+      FROM campaigns
+      WHERE status = 'testing' AND ab_test_ends_at <= NOW()
+      ORDER BY ab_test_ends_at ASC
+      LIMIT 50
+    `);
+
+    for (const campaign of result.rows) {
+      try {
+        const job = await this.startCampaign(campaign.id, { fromStatuses: [CAMPAIGN_STATUS.TESTING] });
+
+        if (job) {
+          console.log(`  → キャンペーン「${campaign.title}」の勝者の配信ジョブを登録しました (${job.total_count}件)`);
+        }
+      } catch (error) {
+        console.error(`  ❌ A/Bテスト勝者の配信登録エラー (ID: ${campaign.id}):`, error.message);
+      }
+    }
+  }
+
+  // キャンペーン統計を更新
+  async updateCampaignStats(campaignId) {
+    try {
+      await pool.query(`
+        INSERT INTO campaign_stats (campaign_id, date, sent_count, failed_count, clicked_count, unique_clicks)
+        SELECT
+          campaign_id,
+          CURRENT_DATE,
+          COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')),
+          COUNT(*) FILTER (WHERE status = 'failed'),
+          COUNT(*) FILTER (WHERE status = 'clicked'),
+          COUNT(DISTINCT subscriber_id) FILTER (WHERE status = 'clicked')
+        FROM deliveries
+        WHERE campaign_id = $1
+          AND sent_at::date = CURRENT_DATE
+        GROUP BY campaign_id
+        ON CONFLICT (campaign_id, date)
+        DO UPDATE SET
+          sent_count = EXCLUDED.sent_count,
+          failed_count = EXCLUDED.failed_count,
+          clicked_count = EXCLUDED.clicked_count,
+          unique_clicks = EXCLUDED.unique_clicks,
+          ctr = CASE
+            WHEN EXCLUDED.sent_count > 0
+            THEN ROUND((EXCLUDED.clicked_count::decimal / EXCLUDED.sent_count) * 100, 2)
+            ELSE 0
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      `, [campaignId]);
+    } catch (error) {
+      console.error('Update stats error:', error);
+    }
+  }
+}
+
+// 旧ステータスからの移行SQL
+// server.js は予約・繰り返しを 'draft'、送信済みを 'sent' で管理していた
+const migrateCampaignStatuses = `
+UPDATE campaigns SET status = 'scheduled' WHERE status = 'draft' AND delivery_type = 'scheduled';
+UPDATE campaigns SET status = 'active' WHERE status = 'draft' AND delivery_type = 'recurring';
+UPDATE campaigns SET status = 'completed' WHERE status = 'sent';
+`;
+
+module.exports = new DeliveryService();
+module.exports.CAMPAIGN_STATUS = CAMPAIGN_STATUS;
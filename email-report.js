@@ -2,19 +2,21 @@
 // Nodemailer + スケジューラー
 
 const nodemailer = require('nodemailer');
-const cron = require('node-cron');
-const { Pool } = require('pg');
 const reportService = require('./report');
 const path = require('path');
+const crypto = require('crypto');
+const { calculateNextScheduledTime } = require('./recurrence');
+const { DEFAULT_TIMEZONE, isValidTimeZone, getZonedParts, addDays, withLocalTimes } = require('./timezone');
+const clusterService = require('./cluster');
 
-// PostgreSQL接続
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'webpush',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-});
+// setTimeout の上限（約24.8日）。これより先の実行は途中で待ち直す
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+// 実行時刻からこれ以上遅れた実行（全ノード停止中に過ぎた分）は送信せず次回分から再開する
+const MISSED_RUN_GRACE_MINUTES = 5;
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
 
 class EmailReportService {
   constructor() {
@@ -245,17 +247,27 @@ class EmailReportService {
       dayOfMonth, // 1-31 (月次の場合)
       hour,
       minute,
-      includeCSV
+      includeCSV,
+      timezone = DEFAULT_TIMEZONE // IANAタイムゾーン名（時刻・曜日・日付とレポート期間の基準）
     } = options;
 
     try {
+      const nextRunAt = this.calculateNextRun({
+        schedule_type: schedule,
+        day_of_week: dayOfWeek,
+        day_of_month: dayOfMonth,
+        hour,
+        minute,
+        timezone
+      });
+
       // データベースに保存
       const result = await pool.query(`
         INSERT INTO auto_reports (
           id, site_id, recipients, schedule_type, 
-          day_of_week, day_of_month, hour, minute, include_csv, is_active
+          day_of_week, day_of_month, hour, minute, include_csv, is_active, timezone, next_run_at
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, $10, $11)
         ON CONFLICT (id) DO UPDATE SET
           recipients = $3,
           schedule_type = $4,
@@ -264,7 +276,10 @@ class EmailReportService {
           hour = $7,
           minute = $8,
           include_csv = $9,
-          is_active = true
+          is_active = true,
+          timezone = $10,
+          next_run_at = $11,
+          updated_at = CURRENT_TIMESTAMP
         RETURNING *
       `, [
         id || crypto.randomUUID(),
@@ -275,70 +290,196 @@ class EmailReportService {
         dayOfMonth,
         hour,
         minute,
-        includeCSV
+        includeCSV,
+        timezone,
+        nextRunAt
       ]);
 
       const autoReport = result.rows[0];
 
-      // Cronジョブをスケジュール
-      this.registerCronJob(autoReport);
+      // 次回実行をスケジュール
+      this.registerJob(autoReport);
 
-      return autoReport;
+      return this.formatAutoReport(autoReport);
     } catch (error) {
       console.error('Schedule auto report error:', error);
       throw error;
     }
   }
 
-  // Cronジョブ登録
-  registerCronJob(autoReport) {
-    const { id, schedule_type, day_of_week, day_of_month, hour, minute } = autoReport;
+  // 自動レポート設定の入力チェック（エラーメッセージを返す、問題なければnull）
+  validateAutoReportOptions(options) {
+    const { recipients, schedule, dayOfWeek, dayOfMonth, hour, minute, timezone } = options;
+
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return '送信先メールアドレスを1件以上指定してください';
+    }
+    if (!['daily', 'weekly', 'monthly'].includes(schedule)) {
+      return 'scheduleは daily / weekly / monthly のいずれかを指定してください';
+    }
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return 'hourは0〜23で指定してください';
+    }
+    if (!Number.isInteger(minute) || minute < 0 || minute > 59) {
+      return 'minuteは0〜59で指定してください';
+    }
+    if (schedule === 'weekly' && (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6)) {
+      return '週次の場合はdayOfWeek（0〜6）が必須です';
+    }
+    if (schedule === 'monthly' && (!Number.isInteger(dayOfMonth) || dayOfMonth < 1 || dayOfMonth > 31)) {
+      return '月次の場合はdayOfMonth（1〜31）が必須です';
+    }
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return 'timezoneはIANAタイムゾーン名（例: Asia/Tokyo）で指定してください';
+    }
+    return null;
+  }
+
+  // 次回実行日時（レポートのタイムゾーンで計算。月次で指定日がない月は月末日）
+  calculateNextRun(autoReport, lastRunAt = null) {
+    const schedule = {
+      frequency: autoReport.schedule_type,
+      hour: autoReport.hour,
+      minute: autoReport.minute,
+      dayOfWeek: autoReport.day_of_week,
+      dayOfMonth: autoReport.day_of_month
+    };
+    return calculateNextScheduledTime(schedule, lastRunAt, autoReport.timezone || DEFAULT_TIMEZONE);
+  }
+
+  // 次回実行のタイマー登録（next_run_at に実行し、実行後は次回分を登録し直す）
+  // 各ノードが同じ自動レポートのタイマーを持つため、実行時は claimAutoReport() で1ノードだけが送信する
+  registerJob(autoReport) {
+    const { id } = autoReport;
 
     // 既存のジョブがあれば停止
     if (this.scheduledJobs.has(id)) {
       this.scheduledJobs.get(id).stop();
     }
 
-    let cronExpression;
-
-    if (schedule_type === 'daily') {
-      // 毎日 HH:MM
-      cronExpression = `${minute} ${hour} * * *`;
-    } else if (schedule_type === 'weekly') {
-      // 毎週X曜日 HH:MM
-      cronExpression = `${minute} ${hour} * * ${day_of_week}`;
-    } else if (schedule_type === 'monthly') {
-      // 毎月X日 HH:MM
-      cronExpression = `${minute} ${hour} ${day_of_month} * *`;
-    }
+    const runAt = new Date(autoReport.next_run_at || this.calculateNextRun(autoReport));
+    console.log(`Scheduling auto report ${id}: ${runAt.toISOString()} (${autoReport.timezone || DEFAULT_TIMEZONE})`);
 
-    console.log(`Scheduling auto report ${id}: ${cronExpression}`);
+    let timer = null;
+    const job = { stop: () => clearTimeout(timer) };
 
-    const job = cron.schedule(cronExpression, async () => {
-      await this.executeAutoReport(autoReport);
-    });
+    const wait = () => {
+      const delay = runAt.getTime() - Date.now();
+      if (delay > MAX_TIMER_DELAY_MS) {
+        timer = setTimeout(wait, MAX_TIMER_DELAY_MS);
+        return;
+      }
+      timer = setTimeout(async () => {
+        try {
+          const claimed = await this.claimAutoReport(id, runAt);
+          if (claimed) {
+            await this.executeAutoReport(claimed);
+          }
+
+          // 他のノードでの変更・実行を反映して次回分を登録し直す
+          if (this.scheduledJobs.get(id) === job) {
+            const latest = await pool.query('SELECT * FROM auto_reports WHERE id = $1 AND is_active = true', [id]);
+            if (latest.rows.length === 0) {
+              this.scheduledJobs.delete(id);
+              return;
+            }
+            const next = latest.rows[0];
+            const isPast = !next.next_run_at || new Date(next.next_run_at) <= new Date();
+            this.registerJob(isPast ? { ...next, next_run_at: this.calculateNextRun(next) } : next);
+          }
+        } catch (error) {
+          console.error(`Auto report ${id} timer error:`, error);
+        }
+      }, Math.max(0, delay));
+    };
+    wait();
 
     this.scheduledJobs.set(id, job);
   }
 
-  // 自動レポート実行
+  // 実行時刻を過ぎた自動レポートを排他取得し、次回実行日時を進める（取得できなければnull）
+  // runAt: タイマーの実行時刻（DBとの時計のずれで取りこぼさないよう、これ以前の next_run_at も対象にする）
+  // MISSED_RUN_GRACE_MINUTES 以上遅れた実行は次回実行日時だけ進めて null を返す
+  async claimAutoReport(id, runAt = new Date()) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        SELECT *, next_run_at < NOW() - ($3::int * INTERVAL '1 minute') AS is_missed
+        FROM auto_reports
+        WHERE id = $1 AND is_active = true AND next_run_at <= GREATEST(NOW(), $2)
+        FOR UPDATE SKIP LOCKED
+      `, [id, runAt, MISSED_RUN_GRACE_MINUTES]);
+
+      if (result.rows.length === 0) {
+        await client.query('COMMIT');
+        return null;
+      }
+
+      const { is_missed: isMissed, ...autoReport } = result.rows[0];
+      const updated = await client.query(`
+        UPDATE auto_reports
+        SET next_run_at = $2, claimed_by = $3, claimed_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [id, this.calculateNextRun(autoReport), clusterService.nodeId]);
+
+      await client.query('COMMIT');
+
+      if (isMissed) {
+        console.log(`Auto report ${id} missed its run at ${new Date(autoReport.next_run_at).toISOString()}; resuming from the next run`);
+        return null;
+      }
+      return updated.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 実行時刻を過ぎても実行されていない自動レポートの実行（タイマーを持つノードが停止した場合など）
+  // スケジューラーの定期チェックから呼ぶ。通常はタイマーを持つノードが先に実行するため1分の猶予を置く
+  async executeDueAutoReports() {
+    try {
+      const result = await pool.query(`
+        SELECT id FROM auto_reports
+        WHERE is_active = true AND next_run_at <= NOW() - INTERVAL '1 minute'
+        ORDER BY next_run_at ASC
+      `);
+
+      for (const { id } of result.rows) {
+        const claimed = await this.claimAutoReport(id);
+        if (claimed) {
+          await this.executeAutoReport(claimed);
+        }
+      }
+    } catch (error) {
+      console.error('Execute due auto reports error:', error);
+    }
+  }
+
+  // 自動レポート実行（claimAutoReport() で取得した自動レポート）
   async executeAutoReport(autoReport) {
     try {
       console.log(`Executing auto report: ${autoReport.id}`);
 
       // 期間計算
-      const { startDate, endDate } = this.calculateReportPeriod(autoReport.schedule_type);
+      const { startDate, endDate } = this.calculateReportPeriod(autoReport.schedule_type, autoReport.timezone);
 
       // メール送信
       await this.sendReport({
         siteId: autoReport.site_id,
-        recipients: JSON.parse(autoReport.recipients),
+        recipients: this.parseRecipients(autoReport.recipients),
         startDate,
         endDate,
         includeCSV: autoReport.include_csv
       });
 
-      // 最終実行日時を更新
+      // 最終実行日時を更新（次回実行日時は取得時に更新済み）
       await pool.query(
         'UPDATE auto_reports SET last_sent_at = NOW() WHERE id = $1',
         [autoReport.id]
@@ -350,32 +491,28 @@ class EmailReportService {
     }
   }
 
-  // レポート期間計算
-  calculateReportPeriod(scheduleType) {
-    const now = new Date();
+  // レポート期間計算（レポートのタイムゾーンの日付。YYYY-MM-DD）
+  calculateReportPeriod(scheduleType, timezone = DEFAULT_TIMEZONE) {
+    const today = getZonedParts(new Date(), timezone || DEFAULT_TIMEZONE);
+    const format = ({ year, month, day }) =>
+      `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
     let startDate, endDate;
 
     if (scheduleType === 'daily') {
       // 前日
-      const yesterday = new Date(now);
-      yesterday.setDate(yesterday.getDate() - 1);
-      startDate = endDate = yesterday.toISOString().split('T')[0];
+      startDate = endDate = format(addDays(today, -1));
     } else if (scheduleType === 'weekly') {
       // 先週（月曜〜日曜）
-      const lastMonday = new Date(now);
-      lastMonday.setDate(lastMonday.getDate() - lastMonday.getDay() - 6);
-      const lastSunday = new Date(lastMonday);
-      lastSunday.setDate(lastSunday.getDate() + 6);
+      const lastMonday = addDays(today, -today.dayOfWeek - 6);
 
-      startDate = lastMonday.toISOString().split('T')[0];
-      endDate = lastSunday.toISOString().split('T')[0];
+      startDate = format(lastMonday);
+      endDate = format(addDays(lastMonday, 6));
     } else if (scheduleType === 'monthly') {
       // 先月
-      const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-      const lastMonthEnd = new Date(now.getFullYear(), now.getMonth(), 0);
+      const lastMonthEnd = addDays({ year: today.year, month: today.month, day: 1 }, -1);
 
-      startDate = lastMonth.toISOString().split('T')[0];
-      endDate = lastMonthEnd.toISOString().split('T')[0];
+      startDate = format({ ...lastMonthEnd, day: 1 });
+      endDate = format(lastMonthEnd);
     }
 
     return { startDate, endDate };
@@ -392,9 +529,18 @@ class EmailReportService {
 
       console.log(`Loading ${autoReports.length} auto reports...`);
 
-      autoReports.forEach(autoReport => {
-        this.registerCronJob(autoReport);
-      });
+      // 過ぎた実行日時はすぐに実行を試みる（停止中に大きく過ぎた分は claimAutoReport() で次回分から再開する）
+      // 次回実行日時が未記録のもの（タイムゾーン対応前の登録）は計算して記録する
+      for (const autoReport of autoReports) {
+        if (!autoReport.next_run_at) {
+          autoReport.next_run_at = this.calculateNextRun(autoReport);
+          await pool.query(
+            'UPDATE auto_reports SET next_run_at = COALESCE(next_run_at, $2) WHERE id = $1',
+            [autoReport.id, autoReport.next_run_at]
+          );
+        }
+        this.registerJob(autoReport);
+      }
 
       console.log('Auto reports loaded successfully');
     } catch (error) {
@@ -433,16 +579,66 @@ class EmailReportService {
         [siteId]
       );
 
-      return result.rows.map(row => ({
-        ...row,
-        recipients: JSON.parse(row.recipients)
-      }));
+      return result.rows.map(row => this.formatAutoReport(row));
     } catch (error) {
       console.error('List auto reports error:', error);
       throw error;
     }
   }
 
+  // 自動レポート1件取得
+  async getAutoReport(id) {
+    try {
+      const result = await pool.query(
+        'SELECT * FROM auto_reports WHERE id = $1',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return this.formatAutoReport(result.rows[0]);
+    } catch (error) {
+      console.error('Get auto report error:', error);
+      throw error;
+    }
+  }
+
+  // 自動レポートの削除
+  async deleteAutoReport(id) {
+    try {
+      if (this.scheduledJobs.has(id)) {
+        this.scheduledJobs.get(id).stop();
+        this.scheduledJobs.delete(id);
+      }
+
+      await pool.query('DELETE FROM auto_reports WHERE id = $1', [id]);
+
+      console.log(`Auto report ${id} deleted`);
+      return { success: true };
+    } catch (error) {
+      console.error('Delete auto report error:', error);
+      throw error;
+    }
+  }
+
+  // 応答用の自動レポート（送信先の正規化と、日時列へのレポートのタイムゾーンの時刻 *_local の併記）
+  formatAutoReport(row) {
+    return withLocalTimes(
+      { ...row, recipients: this.parseRecipients(row.recipients) },
+      ['next_run_at', 'last_sent_at', 'created_at', 'updated_at']
+    );
+  }
+
+  // 送信先リストを配列に正規化（JSONBはpgがパース済みで返す）
+  parseRecipients(recipients) {
+    if (Array.isArray(recipients)) {
+      return recipients;
+    }
+    return recipients ? JSON.parse(recipients) : [];
+  }
+
   // テストメール送信
   async sendTestEmail(email) {
     try {
@@ -500,6 +696,10 @@ CREATE TABLE IF NOT EXISTS auto_reports (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 実行時刻を解釈するタイムゾーンと次回実行日時
+ALTER TABLE auto_reports ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Tokyo';
+ALTER TABLE auto_reports ADD COLUMN IF NOT EXISTS next_run_at TIMESTAMP;
+
 CREATE INDEX IF NOT EXISTS idx_auto_reports_site ON auto_reports(site_id);
 CREATE INDEX IF NOT EXISTS idx_auto_reports_active ON auto_reports(is_active) WHERE is_active = true;
 `;
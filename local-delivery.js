@@ -0,0 +1,139 @@
+// 購読者の現地時刻での配信（「各購読者の朝9時に届ける」）
+// 日時指定配信（deliveryType: 'scheduled'）に localDelivery: { date: 'YYYY-MM-DD', time: 'HH:MM' } を指定すると、
+// 配信対象を購読者のタイムゾーン（subscribers.timezone。SDKが記録）ごとのウェーブに分け、
+// 各タイムゾーンで date の time になった時点で送信する
+//
+//   - タイムゾーン不明の購読者はキャンペーンのタイムゾーン（campaigns.timezone）で扱う
+//   - キャンペーンの scheduled_at は最も早いタイムゾーン（UTC+14）の送信時刻。ここで配信ジョブを登録し、
+//     配信行には送信時刻（deliveries.release_at）を記録する。ワーカーは送信時刻を過ぎた配信行だけを送り、
+//     残りのウェーブがある間はジョブを次のウェーブの送信時刻まで待機させる（queue.js）
+//   - 配信ジョブの登録時点で送信時刻を過ぎているタイムゾーン（手動送信など）はすぐに送信する
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+const { getDaysInMonth, zonedTimeToUtc, formatLocal } = require('./timezone');
+
+// 送信時刻が最も早い・遅いタイムゾーン
+const EARLIEST_TIMEZONE = 'Pacific/Kiritimati'; // UTC+14
+const LATEST_TIMEZONE = 'Etc/GMT+12'; // UTC-12
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class LocalDeliveryService {
+  // 入力チェック（エラーメッセージを返す、問題なければnull）
+  validate(localDelivery) {
+    if (localDelivery === undefined || localDelivery === null) {
+      return null;
+    }
+    if (typeof localDelivery !== 'object' || Array.isArray(localDelivery)) {
+      return 'localDeliveryは { date: "YYYY-MM-DD", time: "HH:MM" } で指定してください';
+    }
+
+    const dateMatch = DATE_PATTERN.exec(localDelivery.date || '');
+    if (!dateMatch) {
+      return 'localDelivery.dateは YYYY-MM-DD で指定してください';
+    }
+    const [, year, month, day] = dateMatch.map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month)) {
+      return 'localDelivery.dateが不正な日付です';
+    }
+
+    if (!TIME_PATTERN.test(localDelivery.time || '')) {
+      return 'localDelivery.timeは HH:MM（00:00〜23:59）で指定してください';
+    }
+
+    if (this.getReleaseTime(localDelivery, LATEST_TIMEZONE) <= new Date()) {
+      return 'localDeliveryの日時はすべてのタイムゾーンで過ぎています';
+    }
+
+    return null;
+  }
+
+  // 保存用の値（date と time のみ）
+  normalize(localDelivery) {
+    return localDelivery ? { date: localDelivery.date, time: localDelivery.time } : null;
+  }
+
+  // タイムゾーンでの送信時刻
+  getReleaseTime(localDelivery, timezone) {
+    const [year, month, day] = localDelivery.date.split('-').map(Number);
+    const [hour, minute] = localDelivery.time.split(':').map(Number);
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timezone);
+  }
+
+  // 配信ジョブを登録する日時（最も早いタイムゾーンの送信時刻）
+  getStartTime(localDelivery) {
+    return this.getReleaseTime(localDelivery, EARLIEST_TIMEZONE);
+  }
+
+  // タイムゾーンごとのウェーブ（送信時刻順）
+  buildWaves(localDelivery, timezones) {
+    return timezones
+      .map(timezone => ({ timezone, releaseAt: this.getReleaseTime(localDelivery, timezone) }))
+      .sort((a, b) => a.releaseAt - b.releaseAt);
+  }
+
+  // キャンペーンの最新の配信ジョブのウェーブ別の進捗
+  async getWaveProgress(campaignId) {
+    const result = await pool.query(`
+      SELECT
+        timezone,
+        release_at,
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE status IN ('queued', 'sending', 'retrying')) AS pending,
+        COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')) AS sent,
+        COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+        COUNT(*) FILTER (WHERE status IN ('cancelled', 'expired')) AS skipped,
+        COUNT(clicked_at) AS clicked
+      FROM deliveries
+      WHERE job_id = (
+        SELECT id FROM delivery_jobs WHERE campaign_id = $1 ORDER BY created_at DESC LIMIT 1
+      )
+        AND release_at IS NOT NULL
+      GROUP BY timezone, release_at
+      ORDER BY release_at ASC, timezone ASC
+    `, [campaignId]);
+
+    const now = new Date();
+    return result.rows.map((row) => {
+      const total = parseInt(row.total);
+      const pending = parseInt(row.pending);
+      let status = 'completed';
+      if (new Date(row.release_at) > now) {
+        status = 'waiting';
+      } else if (pending > 0) {
+        status = 'sending';
+      }
+
+      return {
+        timezone: row.timezone,
+        releaseAt: row.release_at,
+        releaseAtLocal: formatLocal(row.release_at, row.timezone),
+        status,
+        total,
+        pending,
+        sent: parseInt(row.sent),
+        failed: parseInt(row.failed),
+        skipped: parseInt(row.skipped),
+        clicked: parseInt(row.clicked),
+        percent: total > 0 ? Math.round(((total - pending) / total) * 100) : 100
+      };
+    });
+  }
+}
+
+// 現地時刻配信の列追加SQL
+const addLocalDeliveryColumns = `
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS timezone VARCHAR(64); -- SDKが記録するブラウザのタイムゾーン
+
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS local_delivery JSONB; -- { date, time }
+
+-- ウェーブ（送信に使うタイムゾーンと送信時刻。現地時刻配信以外は NULL）
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS release_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_job_release ON deliveries(job_id, release_at) WHERE status = 'queued';
+`;
+
+module.exports = new LocalDeliveryService();
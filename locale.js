@@ -0,0 +1,191 @@
+// 多言語キャンペーン（購読者のロケールによる内容の切り替え）
+// キャンペーンの title / body / url / actions は既定言語（default_locale）の内容で、
+// variants に言語ごとの内容を持つ。送信時に購読者のロケール（subscribers.locale）で選ぶ
+//
+//   variants: { "en": { title, body, url, actions }, "zh-TW": { ... } }
+//
+// 選択の順序: ロケールの完全一致（en-US）→ 言語のみ（en）→ 同じ言語の別地域（en-GB）→ 既定の内容
+// 購読者のロケールは購読時に SDK（navigator.language）または Accept-Language から記録し、
+// SDK の setLocale() でサイトの言語設定に合わせて変更できる
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+const payloadService = require('./payload');
+const templateService = require('./template');
+
+// 言語ごとに差し替えられる項目
+const VARIANT_FIELDS = ['title', 'body', 'url', 'actions'];
+
+const MAX_VARIANTS = 20;
+
+class LocaleService {
+  // ロケールの正規化（en_us → en-US。不正な値は null）
+  normalize(tag) {
+    if (typeof tag !== 'string' || tag.trim() === '' || tag.length > 35) {
+      return null;
+    }
+    try {
+      return Intl.getCanonicalLocales(tag.trim().replace(/_/g, '-'))[0] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getLanguage(locale) {
+    return locale ? locale.split('-')[0].toLowerCase() : null;
+  }
+
+  // Accept-Language ヘッダーから最も優先度の高いロケール
+  parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') {
+      return null;
+    }
+
+    const candidates = header.split(',')
+      .map((part) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1 };
+      })
+      .filter(candidate => candidate.tag && candidate.tag !== '*' && candidate.q > 0)
+      .sort((a, b) => b.q - a.q);
+
+    for (const candidate of candidates) {
+      const locale = this.normalize(candidate.tag);
+      if (locale) return locale;
+    }
+    return null;
+  }
+
+  // 購読者のロケールの変更（有効な購読のみ。見つからなければnull）
+  async updateByEndpoint(siteId, endpoint, locale) {
+    const result = await pool.query(`
+      UPDATE subscribers
+      SET locale = $3
+      WHERE site_id = $1 AND endpoint = $2 AND is_active = true
+      RETURNING id, locale
+    `, [siteId, endpoint, locale]);
+
+    return result.rows[0] || null;
+  }
+
+  // 言語別の内容の入力チェック（エラーメッセージを返す、問題なければnull）
+  validateVariants(variants) {
+    if (variants === undefined || variants === null) {
+      return null;
+    }
+    if (typeof variants !== 'object' || Array.isArray(variants)) {
+      return 'variantsはロケールをキーとするオブジェクトで指定してください';
+    }
+
+    const entries = Object.entries(variants);
+    if (entries.length > MAX_VARIANTS) {
+      return `variantsは${MAX_VARIANTS}言語までです`;
+    }
+
+    const seen = new Set();
+    for (const [tag, variant] of entries) {
+      const locale = this.normalize(tag);
+      if (!locale) {
+        return `variants のロケール ${tag} が不正です`;
+      }
+      if (seen.has(locale)) {
+        return `variants のロケール ${tag} が重複しています`;
+      }
+      seen.add(locale);
+
+      if (!variant || typeof variant !== 'object' || Array.isArray(variant)) {
+        return `variants.${tag}はオブジェクトで指定してください`;
+      }
+      const unknown = Object.keys(variant).find(key => !VARIANT_FIELDS.includes(key));
+      if (unknown) {
+        return `variants.${tag} に指定できる項目は ${VARIANT_FIELDS.join(' / ')} です`;
+      }
+      if (typeof variant.title !== 'string' || variant.title.trim() === '') {
+        return `variants.${tag}.title is required`;
+      }
+      for (const field of ['body', 'url']) {
+        if (variant[field] !== undefined && variant[field] !== null && typeof variant[field] !== 'string') {
+          return `variants.${tag}.${field}は文字列で指定してください`;
+        }
+      }
+
+      const error =
+        (variant.actions !== undefined ? payloadService.validateActions(variant.actions) : null) ||
+        templateService.validateContent(variant) ||
+        payloadService.checkSize({ title: variant.title, body: variant.body, url: variant.url, actions: variant.actions });
+      if (error) {
+        return `variants.${tag}: ${error}`;
+      }
+    }
+
+    return null;
+  }
+
+  // 保存用にロケールのキーを正規化
+  normalizeVariants(variants) {
+    if (!variants) {
+      return null;
+    }
+
+    const normalized = {};
+    for (const [tag, variant] of Object.entries(variants)) {
+      normalized[this.normalize(tag)] = variant;
+    }
+    return normalized;
+  }
+
+  // 購読者のロケールに使う内容のロケール（既定の内容を使う場合は default_locale、未設定ならnull）
+  selectLocale(campaign, locale) {
+    const variants = campaign.variants || {};
+    const keys = Object.keys(variants);
+    const normalized = this.normalize(locale);
+
+    if (normalized && keys.length > 0) {
+      const language = this.getLanguage(normalized);
+      const defaultLanguage = this.getLanguage(campaign.default_locale);
+
+      if (variants[normalized]) return normalized;
+
+      // 購読者の言語が既定言語なら既定の内容（地域違いの別言語版より優先）
+      if (language !== defaultLanguage) {
+        if (variants[language]) return language;
+        const sameLanguage = keys.find(key => this.getLanguage(key) === language);
+        if (sameLanguage) return sameLanguage;
+      }
+    }
+
+    return campaign.default_locale || null;
+  }
+
+  // 購読者のロケールに合わせた内容のキャンペーン（variants の内容で title などを置き換える）
+  applyVariant(campaign, locale) {
+    const selected = this.selectLocale(campaign, locale);
+    const variant = selected && campaign.variants ? campaign.variants[selected] : null;
+
+    if (!variant) {
+      return campaign;
+    }
+
+    const applied = { ...campaign };
+    for (const field of VARIANT_FIELDS) {
+      if (variant[field] !== undefined) {
+        applied[field] = variant[field];
+      }
+    }
+    return applied;
+  }
+}
+
+// ロケールの列追加SQL
+const addLocaleColumns = `
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS locale VARCHAR(35);
+
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS default_locale VARCHAR(35);
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS variants JSONB;
+
+-- 送信に使った内容のロケール
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS locale VARCHAR(35);
+`;
+
+module.exports = new LocaleService();
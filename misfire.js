@@ -0,0 +1,148 @@
+// 配信時刻を過ぎてしまった実行（ミスファイア）の扱い
+// サーバー停止などでスケジューラーが配信時刻に実行できなかった場合、再開時にキャンペーンの misfire_policy に従って決める
+//
+//   skip      遅れた実行はすべて行わない（次の配信時刻から再開）
+//   run_once  遅れた実行のうち最新の1回だけ行う（既定）
+//   run_all   遅れた実行を古い順にすべて行う（1回ずつ。ジョブ終了後の次のチェックで次の回を実行）
+//
+// 配信時刻から MISFIRE_GRACE_SECONDS 以内の実行は遅れとみなさない（スケジューラーのチェック間隔の分）
+// max_lateness_minutes を指定すると、配信時刻からそれ以上遅れた実行はポリシーにかかわらず行わない
+// 行わなかった実行は campaign_missed_runs に記録する（reason: 'skipped' ポリシーで省略 / 'too_late' 許容遅延を超過）
+// 行わなかった回も繰り返し配信の実行回数（occurrence_count）に数え、上限（maxOccurrences）を超える回は列挙しない
+
+const { calculateNextScheduledTime } = require('./recurrence');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+const MISFIRE_POLICIES = ['skip', 'run_once', 'run_all'];
+const DEFAULT_MISFIRE_POLICY = 'run_once';
+
+// 遅れとみなさない猶予
+const MISFIRE_GRACE_SECONDS = parseInt(process.env.MISFIRE_GRACE_SECONDS) || 120;
+
+// 1回のチェックで列挙する遅れた実行の上限（分単位のインターバルで長期間停止した場合など）
+// 超えた分は記録せず、現在時刻以降の次の配信時刻から再開する
+const MAX_OVERDUE_RUNS = 1000;
+
+class MisfireService {
+  // 入力チェック（エラーメッセージを返す、問題なければnull）
+  validate({ misfirePolicy, maxLatenessMinutes }) {
+    if (misfirePolicy !== undefined && !MISFIRE_POLICIES.includes(misfirePolicy)) {
+      return `misfirePolicyは ${MISFIRE_POLICIES.join(' / ')} のいずれかを指定してください`;
+    }
+    if (maxLatenessMinutes !== undefined && maxLatenessMinutes !== null &&
+        (!Number.isInteger(maxLatenessMinutes) || maxLatenessMinutes < 1 || maxLatenessMinutes > 60 * 24 * 365)) {
+      return 'maxLatenessMinutesは1以上の整数（分）で指定してください（null で無制限）';
+    }
+    return null;
+  }
+
+  // 配信時刻を過ぎたキャンペーンの今回の実行を決める（排他取得後に呼ぶ）
+  // 戻り値: { runAt: 今回実行する配信時刻（実行しなければnull）, missed: [{ scheduledAt, reason }],
+  //          nextTime: 次回の配信時刻（繰り返し配信のみ。以降の実行がなければnull）,
+  //          occurrences: 今回消化した回数（実行した回と行わなかった回。occurrence_count に加える） }
+  planRun(campaign, now = new Date()) {
+    const policy = campaign.misfire_policy || DEFAULT_MISFIRE_POLICY;
+    const graceMs = MISFIRE_GRACE_SECONDS * 1000;
+    const maxLatenessMs = campaign.max_lateness_minutes ? campaign.max_lateness_minutes * 60 * 1000 : null;
+    const isRecurring = campaign.delivery_type === 'recurring' && campaign.recurring_schedule;
+
+    // 現在時刻までに来ていた配信時刻（古い順）
+    const overdue = [new Date(campaign.scheduled_at)];
+    let nextTime = null;
+    if (isRecurring) {
+      // 列挙済みの回を実行回数に含めて次の回を求める（実行回数の上限に達したら null）
+      const next = time => calculateNextScheduledTime(
+        campaign.recurring_schedule, time, campaign.timezone, campaign.occurrence_count + overdue.length
+      );
+
+      nextTime = next(overdue[0]);
+      while (nextTime && new Date(nextTime) <= now && overdue.length < MAX_OVERDUE_RUNS) {
+        overdue.push(new Date(nextTime));
+        nextTime = next(nextTime);
+      }
+      if (nextTime && new Date(nextTime) <= now) {
+        nextTime = next(now);
+      }
+    }
+
+    const isLate = time => now - time > graceMs;
+    const isTooLate = time => maxLatenessMs !== null && now - time > maxLatenessMs;
+    const latest = overdue[overdue.length - 1];
+
+    let runIndex = -1;
+    if (!isLate(latest)) {
+      // 最新の回が遅れていなければ、それより前の回の扱いだけがポリシーで変わる
+      runIndex = policy === 'run_all' ? overdue.findIndex(time => !isTooLate(time)) : overdue.length - 1;
+    } else if (policy === 'run_once') {
+      runIndex = isTooLate(latest) ? -1 : overdue.length - 1;
+    } else if (policy === 'run_all') {
+      runIndex = overdue.findIndex(time => !isTooLate(time));
+    }
+
+    // run_all は実行する回より後の回を次回に回す（次回以降の回は今回消化しない）
+    let occurrences = overdue.length;
+    if (policy === 'run_all' && runIndex !== -1 && runIndex < overdue.length - 1) {
+      nextTime = overdue[runIndex + 1].toISOString();
+      occurrences = runIndex + 1;
+    }
+
+    const missed = [];
+    const lastConsidered = policy === 'run_all' && runIndex !== -1 ? runIndex : overdue.length;
+    for (let i = 0; i < lastConsidered; i++) {
+      if (i === runIndex) continue;
+      missed.push({ scheduledAt: overdue[i], reason: isTooLate(overdue[i]) ? 'too_late' : 'skipped' });
+    }
+
+    return { runAt: runIndex !== -1 ? overdue[runIndex] : null, missed, nextTime, occurrences };
+  }
+
+  // 行わなかった実行を記録（client を指定するとそのトランザクションで記録する）
+  async recordMissedRuns(campaignId, missed, client = pool) {
+    if (missed.length === 0) {
+      return;
+    }
+
+    await client.query(`
+      INSERT INTO campaign_missed_runs (campaign_id, scheduled_at, reason)
+      SELECT $1, missed.scheduled_at, missed.reason
+      FROM unnest($2::timestamptz[], $3::varchar[]) AS missed(scheduled_at, reason)
+    `, [campaignId, missed.map(run => run.scheduledAt), missed.map(run => run.reason)]);
+  }
+
+  // キャンペーンの行わなかった実行（新しい順）
+  async listMissedRuns(campaignId, { limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(`
+      SELECT *, COUNT(*) OVER () AS total_count
+      FROM campaign_missed_runs
+      WHERE campaign_id = $1
+      ORDER BY scheduled_at DESC
+      LIMIT $2 OFFSET $3
+    `, [campaignId, limit, offset]);
+
+    return {
+      total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+      runs: result.rows.map(({ total_count, ...run }) => run)
+    };
+  }
+}
+
+// ミスファイアの設定列と記録テーブル作成SQL
+const createMissedRunsTable = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS misfire_policy VARCHAR(20) NOT NULL DEFAULT 'run_once'; -- 'skip', 'run_once', 'run_all'
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS max_lateness_minutes INT; -- NULL は無制限
+
+CREATE TABLE IF NOT EXISTS campaign_missed_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  scheduled_at TIMESTAMP NOT NULL,
+  reason VARCHAR(20) NOT NULL, -- 'skipped', 'too_late'
+  detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_missed_runs_campaign ON campaign_missed_runs(campaign_id, scheduled_at DESC);
+`;
+
+module.exports = new MisfireService();
+module.exports.MISFIRE_POLICIES = MISFIRE_POLICIES;
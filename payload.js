@@ -0,0 +1,263 @@
+// 通知ペイロード（リッチ通知のオプション）
+// キャンペーンとトランザクション通知で共通の表示オプションの入力チェック・保存列・送信ペイロードを扱う
+//
+// オプション（APIのキー → 保存列）:
+//   iconUrl / imageUrl / badgeUrl  https の画像URL（icon_url / image_url / badge_url）
+//   actions             アクションボタン [{ action, title, url, icon }]（actions）。クリックはボタンごとに記録する
+//   tag / renotify      同じ tag の通知は置き換え、renotify で置き換え時も再通知（tag / renotify）
+//   requireInteraction  ユーザーが操作するまで表示し続ける（require_interaction）
+//   silent / vibrate    無音・バイブレーションのパターン（silent / vibrate）。同時には指定できない
+//   data                Service Worker に渡す任意のデータ（data）
+
+// 保存列（APIのキー → 列名）
+const PAYLOAD_COLUMNS = {
+  iconUrl: 'icon_url',
+  imageUrl: 'image_url',
+  badgeUrl: 'badge_url',
+  actions: 'actions',
+  tag: 'tag',
+  renotify: 'renotify',
+  requireInteraction: 'require_interaction',
+  silent: 'silent',
+  vibrate: 'vibrate',
+  data: 'data'
+};
+
+// JSONBで保存する列
+const JSON_COLUMNS = ['actions', 'vibrate', 'data'];
+
+// 真偽値の列（null は false として保存）
+const BOOLEAN_COLUMNS = ['renotify', 'require_interaction', 'silent'];
+
+// 有効性チェック用のテスト通知の tag（Service Worker が表示しない）
+const RESERVED_TAGS = ['validation-test'];
+
+// アクションボタンの最大数（Chrome の Notification.maxActions）
+const MAX_ACTIONS = 2;
+const ACTION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+const MAX_ACTION_TITLE_LENGTH = 64;
+const MAX_TAG_LENGTH = 64;
+const MAX_VIBRATE_ENTRIES = 20;
+
+// プッシュサービスのペイロード上限（約4KB）から暗号化のオーバーヘッドを除いた目安
+const MAX_PAYLOAD_BYTES = 3072;
+
+class NotificationPayloadService {
+  isHttpsUrl(value) {
+    return typeof value === 'string' && /^https:\/\/\S+$/.test(value);
+  }
+
+  // 遷移先URL（https、http、サイト内の相対パス、またはテンプレート変数で始まるURL）
+  isLinkUrl(value) {
+    return typeof value === 'string' && (/^https?:\/\/\S+$/.test(value) || /^\/\S*$/.test(value) || value.startsWith('{{'));
+  }
+
+  validateActions(actions) {
+    if (!Array.isArray(actions)) {
+      return 'actionsは配列で指定してください';
+    }
+    if (actions.length > MAX_ACTIONS) {
+      return `actionsは${MAX_ACTIONS}件までです`;
+    }
+
+    const ids = new Set();
+    for (const [index, action] of actions.entries()) {
+      if (!action || typeof action !== 'object') {
+        return `actions[${index}]はオブジェクトで指定してください`;
+      }
+      if (typeof action.action !== 'string' || !ACTION_ID_PATTERN.test(action.action)) {
+        return `actions[${index}].actionは英数字・_・-（32文字以内）で指定してください`;
+      }
+      if (ids.has(action.action)) {
+        return `actions[${index}].action が重複しています (${action.action})`;
+      }
+      ids.add(action.action);
+      if (typeof action.title !== 'string' || action.title.trim() === '' || action.title.length > MAX_ACTION_TITLE_LENGTH) {
+        return `actions[${index}].titleは${MAX_ACTION_TITLE_LENGTH}文字以内で指定してください`;
+      }
+      if (action.url !== undefined && action.url !== null && !this.isLinkUrl(action.url)) {
+        return `actions[${index}].urlはURLまたは / から始まるパスで指定してください`;
+      }
+      if (action.icon !== undefined && action.icon !== null && !this.isHttpsUrl(action.icon)) {
+        return `actions[${index}].iconは https のURLで指定してください`;
+      }
+    }
+    return null;
+  }
+
+  validateVibrate(vibrate) {
+    const pattern = Array.isArray(vibrate) ? vibrate : [vibrate];
+    if (
+      pattern.length === 0 ||
+      pattern.length > MAX_VIBRATE_ENTRIES ||
+      !pattern.every(ms => Number.isInteger(ms) && ms >= 0 && ms <= 10000)
+    ) {
+      return `vibrateは0〜10000ミリ秒の整数、またはその配列（${MAX_VIBRATE_ENTRIES}件まで）で指定してください`;
+    }
+    return null;
+  }
+
+  // 表示オプションの入力チェック（エラーメッセージを返す、問題なければnull）
+  // options: APIのキー（camelCase）。undefined のキーは未指定として扱う
+  // current: 更新時の既存レコード（tag と renotify、silent と vibrate の組み合わせを既存値と合わせて確認する）
+  validateOptions(options, current = {}) {
+    const has = key => options[key] !== undefined && options[key] !== null;
+
+    for (const key of ['iconUrl', 'imageUrl', 'badgeUrl']) {
+      if (has(key) && !this.isHttpsUrl(options[key])) {
+        return `${key}は https のURLで指定してください`;
+      }
+    }
+
+    if (has('actions')) {
+      const error = this.validateActions(options.actions);
+      if (error) return error;
+    }
+
+    if (has('tag') && (typeof options.tag !== 'string' || options.tag.length > MAX_TAG_LENGTH)) {
+      return `tagは${MAX_TAG_LENGTH}文字以内の文字列で指定してください`;
+    }
+    if (has('tag') && RESERVED_TAGS.includes(options.tag)) {
+      return `tag に ${options.tag} は使用できません`;
+    }
+
+    for (const key of ['renotify', 'requireInteraction', 'silent']) {
+      if (has(key) && typeof options[key] !== 'boolean') {
+        return `${key}は true / false で指定してください`;
+      }
+    }
+
+    if (has('vibrate')) {
+      const error = this.validateVibrate(options.vibrate);
+      if (error) return error;
+    }
+
+    if (has('data') && (typeof options.data !== 'object' || Array.isArray(options.data))) {
+      return 'dataはオブジェクトで指定してください';
+    }
+
+    // 既存値と合わせた組み合わせのチェック（ブラウザの showNotification が TypeError になる組み合わせ）
+    const merged = key => (options[key] !== undefined ? options[key] : current[PAYLOAD_COLUMNS[key]]);
+
+    if (merged('renotify') && !merged('tag')) {
+      return 'renotify を指定する場合は tag も指定してください';
+    }
+    if (merged('silent') && merged('vibrate')) {
+      return 'silent と vibrate は同時に指定できません';
+    }
+
+    return null;
+  }
+
+  // リクエストボディから表示オプションだけを取り出す
+  pickOptions(body) {
+    const options = {};
+    for (const key of Object.keys(PAYLOAD_COLUMNS)) {
+      if (body[key] !== undefined) {
+        options[key] = body[key];
+      }
+    }
+    return options;
+  }
+
+  // オプションを列名と値の組に変換（未指定のキーは含めない）
+  normalize(options) {
+    const record = {};
+
+    for (const [key, column] of Object.entries(PAYLOAD_COLUMNS)) {
+      if (options[key] === undefined) continue;
+
+      let value = options[key];
+      if (key === 'vibrate' && value !== null && !Array.isArray(value)) {
+        value = [value];
+      }
+      if (value === null && BOOLEAN_COLUMNS.includes(column)) {
+        value = false;
+      }
+      if (key === 'actions' && Array.isArray(value)) {
+        value = value.map(({ action, title, url, icon }) => ({ action, title, url: url || null, icon: icon || null }));
+      }
+      record[column] = value;
+    }
+
+    return record;
+  }
+
+  // オプションを保存列と値の組に変換（JSONB列は文字列化する）
+  toColumns(options) {
+    const columns = this.normalize(options);
+
+    for (const column of JSON_COLUMNS) {
+      if (columns[column] !== undefined && columns[column] !== null) {
+        columns[column] = JSON.stringify(columns[column]);
+      }
+    }
+
+    return columns;
+  }
+
+  // 保存済みレコード（キャンペーン・トランザクション通知）から送信ペイロードを組み立てる
+  // 未設定の項目は含めない（ペイロードサイズを抑えるため）
+  buildNotification(record) {
+    const payload = {
+      title: record.title,
+      body: record.body,
+      icon: record.icon_url,
+      image: record.image_url,
+      badge: record.badge_url,
+      url: record.url,
+      tag: record.tag,
+      renotify: record.renotify,
+      requireInteraction: record.require_interaction,
+      silent: record.silent,
+      vibrate: record.vibrate,
+      actions: record.actions && record.actions.length > 0 ? record.actions : undefined,
+      data: record.data && Object.keys(record.data).length > 0 ? record.data : undefined
+    };
+
+    for (const key of Object.keys(payload)) {
+      if (payload[key] === null || payload[key] === undefined || payload[key] === false) {
+        delete payload[key];
+      }
+    }
+
+    return payload;
+  }
+
+  // ペイロードがプッシュサービスの上限に収まるか（作成時のチェック用）
+  checkSize(record) {
+    const size = Buffer.byteLength(JSON.stringify(this.buildNotification(record)));
+    if (size > MAX_PAYLOAD_BYTES) {
+      return `通知の内容が大きすぎます（${size}バイト、上限${MAX_PAYLOAD_BYTES}バイト）`;
+    }
+    return null;
+  }
+}
+
+// リッチ通知の列追加SQL
+const addPayloadColumns = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS image_url TEXT;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS badge_url TEXT;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS actions JSONB;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS tag VARCHAR(64);
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS renotify BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS require_interaction BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS silent BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS vibrate JSONB;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS data JSONB;
+
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS badge_url TEXT;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS actions JSONB;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS tag VARCHAR(64);
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS renotify BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS require_interaction BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS silent BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS vibrate JSONB;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS data JSONB;
+
+-- アクションボタンのクリック（本文のクリックは NULL）
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS clicked_action VARCHAR(32);
+`;
+
+module.exports = new NotificationPayloadService();
+module.exports.PAYLOAD_COLUMNS = PAYLOAD_COLUMNS;
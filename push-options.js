@@ -0,0 +1,147 @@
+// Web Push プロトコルのオプション（TTL / Urgency / Topic）と有効期限
+// キャンペーン・トランザクション通知ごとに指定し、送信時にプッシュサービスへのヘッダーとして渡す
+//
+//   ttl        端末がオフラインの間、プッシュサービスが通知を保持する秒数（0 はオンラインの端末にのみ届ける）
+//   urgency    very-low / low / normal / high（端末の省電力状態での配信の優先度）
+//   topic      同じ topic の未配信の通知はプッシュサービス上で新しいものに置き換わる
+//   expiresAt  通知の有効期限。期限を過ぎた配信行は送信せず 'expired' にし、期限までの残り秒数で TTL を切り詰める
+//              オフセットなしの日時はキャンペーンのタイムゾーン（トランザクション通知は DEFAULT_TIMEZONE）の時刻とみなす
+//
+// 配信行（deliveries）には送信時に実際に使った ttl / urgency / topic を記録する
+
+const { DEFAULT_TIMEZONE, parseDateTime } = require('./timezone');
+
+// 保存列（APIのキー → 列名）
+const PUSH_OPTION_COLUMNS = {
+  ttl: 'ttl',
+  urgency: 'urgency',
+  topic: 'topic',
+  expiresAt: 'expires_at'
+};
+
+const URGENCY_LEVELS = ['very-low', 'low', 'normal', 'high'];
+
+// プッシュサービスが保持する最大期間（28日）
+const MAX_TTL_SECONDS = 28 * 24 * 60 * 60;
+
+// 未指定時の TTL（web-push の既定値と同じ28日）
+const DEFAULT_TTL_SECONDS = parseInt(process.env.PUSH_DEFAULT_TTL) || MAX_TTL_SECONDS;
+
+// topic は URL セーフな Base64 の文字で32文字まで（RFC 8030）
+const TOPIC_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+class PushOptionsService {
+  isValidUrgency(urgency) {
+    return URGENCY_LEVELS.includes(urgency);
+  }
+
+  // リクエストボディからプロトコルのオプションだけを取り出す
+  pickOptions(body) {
+    const options = {};
+    for (const key of Object.keys(PUSH_OPTION_COLUMNS)) {
+      if (body[key] !== undefined) {
+        options[key] = body[key];
+      }
+    }
+    return options;
+  }
+
+  // 入力チェック（エラーメッセージを返す、問題なければnull）
+  // scheduledAt: 日時指定配信の送信日時（有効期限が送信日時より前ならエラー）
+  // timezone: オフセットなしの expiresAt を解釈するタイムゾーン
+  validateOptions(options, { scheduledAt = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    const has = key => options[key] !== undefined && options[key] !== null;
+
+    if (has('ttl') && (!Number.isInteger(options.ttl) || options.ttl < 0 || options.ttl > MAX_TTL_SECONDS)) {
+      return `ttlは0〜${MAX_TTL_SECONDS}秒の整数で指定してください`;
+    }
+
+    if (has('urgency') && !this.isValidUrgency(options.urgency)) {
+      return `urgencyは ${URGENCY_LEVELS.join(' / ')} のいずれかを指定してください`;
+    }
+
+    if (has('topic') && (typeof options.topic !== 'string' || !TOPIC_PATTERN.test(options.topic))) {
+      return 'topicは英数字・_・-（32文字以内）で指定してください';
+    }
+
+    if (has('expiresAt')) {
+      const expiresAt = this.parseExpiresAt(options.expiresAt, timezone);
+      if (!expiresAt) {
+        return 'expiresAtは日時（ISO 8601）で指定してください';
+      }
+      if (expiresAt <= new Date()) {
+        return 'expiresAtには未来の日時を指定してください';
+      }
+      if (scheduledAt && expiresAt <= new Date(scheduledAt)) {
+        return 'expiresAtは送信日時より後にしてください';
+      }
+    }
+
+    return null;
+  }
+
+  // 有効期限の入力の解釈（不正な値は null）
+  parseExpiresAt(value, timezone = DEFAULT_TIMEZONE) {
+    return typeof value === 'string' ? parseDateTime(value, timezone) : null;
+  }
+
+  // オプションを保存列と値の組に変換（未指定のキーは含めない）
+  // expires_at はタイムゾーンなしの列のため、入力のオフセットを反映したUTCの日時（ISO 8601）で保存する
+  toColumns(options, { timezone = DEFAULT_TIMEZONE } = {}) {
+    const columns = {};
+    for (const [key, column] of Object.entries(PUSH_OPTION_COLUMNS)) {
+      if (options[key] !== undefined) {
+        columns[column] = options[key];
+      }
+    }
+    if (columns.expires_at) {
+      columns.expires_at = this.parseExpiresAt(columns.expires_at, timezone).toISOString();
+    }
+    return columns;
+  }
+
+  // 有効期限切れか
+  isExpired(record, now = new Date()) {
+    return !!record.expires_at && new Date(record.expires_at) <= now;
+  }
+
+  // 送信時のオプション（web-push の TTL / urgency / topic）
+  // TTL は有効期限までの残り秒数で切り詰める（期限切れなら null）
+  resolve(record, now = new Date()) {
+    if (this.isExpired(record, now)) {
+      return null;
+    }
+
+    let ttl = record.ttl !== null && record.ttl !== undefined ? record.ttl : DEFAULT_TTL_SECONDS;
+    if (record.expires_at) {
+      const remaining = Math.floor((new Date(record.expires_at) - now) / 1000);
+      ttl = Math.max(0, Math.min(ttl, remaining));
+    }
+
+    const options = { TTL: ttl };
+    if (record.urgency) options.urgency = record.urgency;
+    if (record.topic) options.topic = record.topic;
+    return options;
+  }
+}
+
+// プロトコルオプションの列追加SQL
+const addPushOptionColumns = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS ttl INT;
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS urgency VARCHAR(10); -- 'very-low', 'low', 'normal', 'high'
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS topic VARCHAR(32);
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS ttl INT;
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS urgency VARCHAR(10);
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS topic VARCHAR(32);
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+-- 送信時に使ったオプション
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS ttl INT;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS urgency VARCHAR(10);
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS topic VARCHAR(32);
+`;
+
+module.exports = new PushOptionsService();
+module.exports.URGENCY_LEVELS = URGENCY_LEVELS;
@@ -0,0 +1,442 @@
+// 配信ジョブキュー
+// キャンペーン送信を delivery_jobs（ジョブ）と deliveries（宛先ごとの配信行）としてPostgreSQLに保存し、
+// ワーカー（worker.js）が FOR UPDATE SKIP LOCKED で排他取得して処理する。
+//
+// ジョブの状態: queued → running → completed / failed / cancelled
+//   - running のジョブはワーカーが定期的に locked_at を更新する（リース）
+//   - リースが切れた running ジョブ（ワーカー停止など）は別のワーカーが再取得し、未送信分から再開する
+//   - ジョブ処理中の例外とリース切れは max_attempts まで数え、例外は run_after を遅らせて再実行する
+//   - 配信行の一時的な失敗（retry.js）は retrying として残り、再送時刻まで run_after を遅らせてジョブを待機に戻す
+//   - 現地時刻配信（local-delivery.js）の配信行は送信時刻（release_at）まで取得せず、次のウェーブまでジョブを待機に戻す
+
+const segmentService = require('./segments');
+const localDeliveryService = require('./local-delivery');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// ワーカーのリース期間（この時間 locked_at が更新されないジョブは再取得可能）
+const LEASE_SECONDS = parseInt(process.env.WORKER_LEASE_SECONDS) || 120;
+
+// ジョブ単位の最大試行回数
+const MAX_JOB_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3;
+
+// リース切れで再取得したジョブに記録するエラー
+const LEASE_EXPIRED_ERROR = 'Worker lease expired';
+
+class JobQueueService {
+  // キャンペーンの配信ジョブを登録（宛先ごとの配信行もまとめて作成）
+  // abPhase: A/Bテスト（abtest.js）の段階
+  //   'test'     配信対象から testPercent をランダムに選び、パターンを順に割り当てる
+  //   'rollout'  テスト配信で送った購読者を除いた全員に勝者（campaign.ab_winner）のパターンを割り当てる
+  // 現地時刻配信（campaign.local_delivery）は購読者のタイムゾーンごとに送信時刻を記録する
+  // beforeCommit: 登録と同じトランザクションで行う処理（client を受け取る。スケジュールの更新など）
+  async enqueueCampaign(campaign, createdBy = null, { abPhase = null, beforeCommit = null } = {}) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const jobResult = await client.query(`
+        INSERT INTO delivery_jobs (campaign_id, site_id, status, max_attempts, created_by, ab_phase)
+        VALUES ($1, $2, 'queued', $3, $4, $5)
+        RETURNING *
+      `, [campaign.id, campaign.site_id, MAX_JOB_ATTEMPTS, createdBy, abPhase]);
+
+      const job = jobResult.rows[0];
+
+      // 配信対象（セグメント指定時は該当者のみ）を queued の配信行として登録
+      const columns = campaign.local_delivery && !abPhase ? 'id, timezone' : 'id';
+      const { query, params } = await segmentService.buildAudienceQuery(campaign.site_id, campaign.segment_id, columns);
+      params.push(campaign.id, job.id);
+      const campaignParam = `$${params.length - 1}`;
+      const jobParam = `$${params.length}`;
+
+      let insertResult;
+      if (abPhase === 'test') {
+        params.push(campaign.ab_test.variants.map(variant => variant.id), campaign.ab_test.test_percent);
+        const variantsParam = `$${params.length - 1}::varchar[]`;
+
+        insertResult = await client.query(`
+          INSERT INTO deliveries (campaign_id, subscriber_id, status, job_id, variant)
+          SELECT ${campaignParam}, sample.id, 'queued', ${jobParam},
+                 (${variantsParam})[((sample.rn - 1) % array_length(${variantsParam}, 1)) + 1]
+          FROM (
+            SELECT audience.id, ROW_NUMBER() OVER (ORDER BY random()) AS rn, COUNT(*) OVER () AS total
+            FROM (${query}) audience
+          ) sample
+          WHERE sample.rn <= CEIL(sample.total * $${params.length} / 100.0)
+        `, params);
+
+        // 前回の送信のテスト結果・勝者はリセットする
+        await client.query(`
+          UPDATE campaigns
+          SET ab_test_job_id = $2, ab_test_ends_at = NULL, ab_winner = NULL, ab_winner_selected_at = NULL
+          WHERE id = $1
+        `, [campaign.id, job.id]);
+      } else if (abPhase === 'rollout') {
+        params.push(campaign.ab_winner, campaign.ab_test_job_id);
+
+        insertResult = await client.query(`
+          INSERT INTO deliveries (campaign_id, subscriber_id, status, job_id, variant)
+          SELECT ${campaignParam}, audience.id, 'queued', ${jobParam}, $${params.length - 1}
+          FROM (${query}) audience
+          WHERE NOT EXISTS (
+            SELECT 1 FROM deliveries tested
+            WHERE tested.job_id = $${params.length} AND tested.subscriber_id = audience.id
+          )
+        `, params);
+      } else if (campaign.local_delivery) {
+        insertResult = await this.insertLocalDeliveries(client, campaign, query, params, campaignParam, jobParam);
+      } else {
+        insertResult = await client.query(`
+          INSERT INTO deliveries (campaign_id, subscriber_id, status, job_id)
+          SELECT ${campaignParam}, audience.id, 'queued', ${jobParam}
+          FROM (${query}) audience
+        `, params);
+      }
+
+      const updatedJob = await client.query(
+        'UPDATE delivery_jobs SET total_count = $1 WHERE id = $2 RETURNING *',
+        [insertResult.rowCount, job.id]
+      );
+
+      if (beforeCommit) {
+        await beforeCommit(client);
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`📥 配信ジョブ登録: ${job.id}（キャンペーン ${campaign.id}, ${insertResult.rowCount}件）`);
+      return updatedJob.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 現地時刻配信の配信行を登録（タイムゾーン不明の購読者はキャンペーンのタイムゾーン）
+  // 送信時刻を過ぎているウェーブはすぐに送信する
+  // params は配信対象のパラメータの後にキャンペーンID・ジョブIDが入ったもの
+  async insertLocalDeliveries(client, campaign, audienceQuery, params, campaignParam, jobParam) {
+    const timezoneResult = await client.query(
+      `SELECT DISTINCT COALESCE(audience.timezone, $${params.length - 1}) AS timezone FROM (${audienceQuery}) audience`,
+      [...params.slice(0, -2), campaign.timezone]
+    );
+
+    const waves = localDeliveryService.buildWaves(
+      campaign.local_delivery,
+      timezoneResult.rows.map(row => row.timezone)
+    );
+    params.push(campaign.timezone);
+    const fallbackParam = `$${params.length}`;
+    params.push(
+      waves.map(wave => wave.timezone),
+      waves.map(wave => wave.releaseAt)
+    );
+
+    return client.query(`
+      INSERT INTO deliveries (campaign_id, subscriber_id, status, job_id, timezone, release_at)
+      SELECT ${campaignParam}, audience.id, 'queued', ${jobParam}, wave.timezone, wave.release_at
+      FROM (${audienceQuery}) audience
+      JOIN unnest($${params.length - 1}::varchar[], $${params.length}::timestamptz[]) AS wave(timezone, release_at)
+        ON wave.timezone = COALESCE(audience.timezone, ${fallbackParam})
+    `, params);
+  }
+
+  // 処理可能なジョブを1件排他取得（なければnull）
+  // 待機中のジョブ、またはリースが切れた実行中のジョブが対象
+  // リース切れの再取得は1回の失敗として attempts に数え、max_attempts に達したジョブは失敗にして返す
+  // （status が 'failed' のジョブは処理せず、キャンペーンの終了だけを行う）
+  async claimNextJob(workerId) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        WITH next AS (
+          SELECT id, status = 'running' AS lease_expired FROM delivery_jobs
+          WHERE (status = 'queued' AND run_after <= NOW())
+             OR (status = 'running' AND locked_at < NOW() - ($2::int * INTERVAL '1 second'))
+          ORDER BY created_at ASC
+          FOR UPDATE SKIP LOCKED
+          LIMIT 1
+        )
+        UPDATE delivery_jobs j
+        SET status = 'running',
+            locked_by = $1,
+            locked_at = NOW(),
+            attempts = j.attempts + CASE WHEN next.lease_expired THEN 1 ELSE 0 END,
+            last_error = CASE WHEN next.lease_expired THEN $3 ELSE j.last_error END,
+            started_at = COALESCE(j.started_at, NOW())
+        FROM next
+        WHERE j.id = next.id
+        RETURNING j.*
+      `, [workerId, LEASE_SECONDS, LEASE_EXPIRED_ERROR]);
+
+      let job = result.rows[0] || null;
+
+      if (job && job.attempts >= job.max_attempts) {
+        // 再取得の上限に達したジョブは失敗にし、未送信の配信行も失敗として記録（failJob と同じ）
+        const failedResult = await client.query(`
+          UPDATE delivery_jobs
+          SET status = 'failed', finished_at = NOW(), locked_by = NULL, locked_at = NULL
+          WHERE id = $1
+          RETURNING *
+        `, [job.id]);
+        job = failedResult.rows[0];
+
+        await client.query(`
+          UPDATE deliveries SET status = 'failed', error_message = $2
+          WHERE job_id = $1 AND status IN ('queued', 'sending', 'retrying')
+        `, [job.id, `Job failed: ${LEASE_EXPIRED_ERROR}`]);
+      } else if (job) {
+        // 前回のワーカーが送信途中で停止した配信行は未送信に戻して再開する
+        await client.query(`
+          UPDATE deliveries SET status = 'queued'
+          WHERE job_id = $1 AND status = 'sending'
+        `, [job.id]);
+      }
+
+      await client.query('COMMIT');
+      return job;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 未送信の配信行をバッチ取得して送信中にする（購読者情報付き。属性などはテンプレートの差し込みに使う）
+  async claimDeliveryBatch(jobId, batchSize) {
+    const result = await pool.query(`
+      WITH batch AS (
+        SELECT id FROM deliveries
+        WHERE job_id = $1
+          AND ((status = 'queued' AND (release_at IS NULL OR release_at <= NOW()))
+            OR (status = 'retrying' AND next_retry_at <= NOW()))
+        ORDER BY id
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      UPDATE deliveries d
+      SET status = 'sending'
+      FROM batch, subscribers s
+      WHERE d.id = batch.id AND s.id = d.subscriber_id
+      RETURNING d.id, d.subscriber_id, d.attempts, d.variant, s.endpoint, s.p256dh_key, s.auth_key, s.vapid_key_id, s.is_active,
+                s.attributes, s.external_user_id, s.device_type, s.browser, s.os, s.locale
+    `, [jobId, batchSize]);
+
+    return result.rows;
+  }
+
+  // リース延長と進捗の更新
+  async heartbeat(jobId, workerId) {
+    const result = await pool.query(`
+      UPDATE delivery_jobs j
+      SET locked_at = NOW(),
+          sent_count = p.sent,
+          failed_count = p.failed
+      FROM (
+        SELECT
+          COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')) AS sent,
+          COUNT(*) FILTER (WHERE status = 'failed') AS failed
+        FROM deliveries WHERE job_id = $1
+      ) p
+      WHERE j.id = $1 AND j.locked_by = $2 AND j.status = 'running'
+      RETURNING j.id
+    `, [jobId, workerId]);
+
+    // 自分のリースでなくなっていれば（キャンセル・他ワーカーへの移動）falseを返す
+    return result.rows.length > 0;
+  }
+
+  // 待機中の配信行（再送待ち・送信時刻前のウェーブ）の最も早い送信時刻（なければnull）
+  async getNextRunAt(jobId) {
+    const result = await pool.query(`
+      SELECT MIN(CASE WHEN status = 'retrying' THEN next_retry_at ELSE release_at END) AS next_run_at
+      FROM deliveries
+      WHERE job_id = $1
+        AND (status = 'retrying' OR (status = 'queued' AND release_at > NOW()))
+    `, [jobId]);
+
+    return result.rows[0].next_run_at;
+  }
+
+  // 待機中の配信行だけが残ったジョブを手放し、次の送信時刻に再取得されるようにする
+  async deferJob(jobId, workerId, runAfter) {
+    await this.heartbeat(jobId, workerId);
+
+    const result = await pool.query(`
+      UPDATE delivery_jobs
+      SET status = 'queued', run_after = $3, locked_by = NULL, locked_at = NULL
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+      RETURNING *
+    `, [jobId, workerId, runAfter]);
+
+    return result.rows[0] || null;
+  }
+
+  // ジョブ完了
+  async completeJob(jobId, workerId) {
+    await this.heartbeat(jobId, workerId);
+
+    const result = await pool.query(`
+      UPDATE delivery_jobs
+      SET status = 'completed', finished_at = NOW(), locked_by = NULL, locked_at = NULL
+      WHERE id = $1 AND locked_by = $2 AND status = 'running'
+      RETURNING *
+    `, [jobId, workerId]);
+
+    return result.rows[0] || null;
+  }
+
+  // ジョブ失敗（試行回数が残っていれば待機に戻して再実行）
+  async failJob(job, workerId, error) {
+    const attempts = job.attempts + 1;
+    const willRetry = attempts < job.max_attempts;
+
+    const result = await pool.query(`
+      UPDATE delivery_jobs
+      SET status = $1,
+          attempts = $6,
+          last_error = $2,
+          run_after = NOW() + ($3::int * INTERVAL '1 second'),
+          finished_at = CASE WHEN $1 = 'failed' THEN NOW() ELSE NULL END,
+          locked_by = NULL,
+          locked_at = NULL
+      WHERE id = $4 AND locked_by = $5
+      RETURNING *
+    `, [willRetry ? 'queued' : 'failed', error.message, attempts * 30, job.id, workerId, attempts]);
+
+    // 最終失敗時は未送信の配信行も失敗として記録
+    if (!willRetry) {
+      await pool.query(`
+        UPDATE deliveries SET status = 'failed', error_message = $2
+        WHERE job_id = $1 AND status IN ('queued', 'sending', 'retrying')
+      `, [job.id, `Job failed: ${error.message}`]);
+    }
+
+    return result.rows[0] || null;
+  }
+
+  // ジョブのキャンセル（未送信分は送信しない）
+  async cancelJob(jobId) {
+    const result = await pool.query(`
+      UPDATE delivery_jobs
+      SET status = 'cancelled', finished_at = NOW(), locked_by = NULL, locked_at = NULL
+      WHERE id = $1 AND status IN ('queued', 'running')
+      RETURNING *
+    `, [jobId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    await pool.query(`
+      UPDATE deliveries SET status = 'cancelled'
+      WHERE job_id = $1 AND status IN ('queued', 'retrying')
+    `, [jobId]);
+
+    return result.rows[0];
+  }
+
+  // ジョブ取得
+  async getJob(jobId) {
+    const result = await pool.query('SELECT * FROM delivery_jobs WHERE id = $1', [jobId]);
+    return result.rows[0] || null;
+  }
+
+  // 実行中のジョブ一覧（処理中のワーカーとリースの期限付き）
+  async listRunningJobs() {
+    const result = await pool.query(`
+      SELECT id, campaign_id, site_id, status, total_count, sent_count, failed_count, attempts,
+             locked_by, locked_at, started_at,
+             locked_at + ($1::int * INTERVAL '1 second') AS lease_expires_at
+      FROM delivery_jobs
+      WHERE status = 'running'
+      ORDER BY locked_at ASC
+    `, [LEASE_SECONDS]);
+    return result.rows;
+  }
+
+  // キャンペーンのジョブ一覧
+  async listCampaignJobs(campaignId) {
+    const result = await pool.query(
+      'SELECT * FROM delivery_jobs WHERE campaign_id = $1 ORDER BY created_at DESC',
+      [campaignId]
+    );
+    return result.rows;
+  }
+
+  // ジョブの進捗（配信行のステータス別件数）
+  async getProgress(jobId) {
+    const result = await pool.query(`
+      SELECT
+        COUNT(*) AS total,
+        COUNT(*) FILTER (WHERE status IN ('queued', 'sending', 'retrying')) AS pending,
+        COUNT(*) FILTER (WHERE status = 'retrying') AS retrying,
+        COUNT(*) FILTER (WHERE status = 'queued' AND release_at > NOW()) AS waiting,
+        COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')) AS sent,
+        COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+        COUNT(*) FILTER (WHERE status = 'cancelled') AS cancelled,
+        COUNT(*) FILTER (WHERE status = 'expired') AS expired
+      FROM deliveries
+      WHERE job_id = $1
+    `, [jobId]);
+
+    const row = result.rows[0];
+    const total = parseInt(row.total);
+    const pending = parseInt(row.pending);
+
+    return {
+      total,
+      pending,
+      retrying: parseInt(row.retrying),
+      waiting: parseInt(row.waiting),
+      sent: parseInt(row.sent),
+      failed: parseInt(row.failed),
+      cancelled: parseInt(row.cancelled),
+      expired: parseInt(row.expired),
+      percent: total > 0 ? Math.round(((total - pending) / total) * 100) : 100
+    };
+  }
+}
+
+// 配信ジョブテーブル作成SQL
+const createDeliveryJobsTable = `
+CREATE TABLE IF NOT EXISTS delivery_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed', 'cancelled'
+  total_count INT NOT NULL DEFAULT 0,
+  sent_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 3,
+  run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  locked_by VARCHAR(255),
+  locked_at TIMESTAMP,
+  last_error TEXT,
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP
+);
+
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS job_id UUID REFERENCES delivery_jobs(id) ON DELETE SET NULL;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS attempts INT NOT NULL DEFAULT 0;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_delivery_jobs_pending ON delivery_jobs(status, run_after) WHERE status IN ('queued', 'running');
+CREATE INDEX IF NOT EXISTS idx_delivery_jobs_campaign ON delivery_jobs(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_deliveries_job_status ON deliveries(job_id, status);
+`;
+
+module.exports = new JobQueueService();
+module.exports.LEASE_SECONDS = LEASE_SECONDS;
@@ -0,0 +1,164 @@
+// プッシュ送信のレート制限
+// プッシュサービス（エンドポイントのホスト）ごとのトークンバケットと、プロセス全体の同時送信数の上限で送信を制御する
+// キャンペーン配信（delivery.js）と購読者の有効性チェックの両方がこの制限を通して送信する
+//
+// レートは PUSH_RATE_LIMITS（JSON）で上書きできる（rate: 1秒あたりの送信数、burst: バケット容量）
+//   例: {"fcm.googleapis.com": {"rate": 200, "burst": 400}, "default": {"rate": 10, "burst": 20}}
+//   "*.notify.windows.com" のようにワイルドカードで指定したホストは1つのバケットを共有する
+// 同時送信数は PUSH_MAX_CONCURRENCY で指定する
+// 429 による一時停止は PUSH_MAX_PAUSE_SECONDS（既定30秒）までに抑える
+//   停止中の送信は待機するため、長い Retry-After をそのまま使うと配信ジョブのリース（WORKER_LEASE_SECONDS）が
+//   切れて他のワーカーに再取得されたり、同期で送信するAPI（トランザクション通知）が応答しなくなる
+//   それ以上待つ必要がある場合は、再送（retry.js の next_retry_at）で後から送る
+
+// 主要プッシュサービスの既定レート
+const DEFAULT_RATE_LIMITS = {
+  'fcm.googleapis.com': { rate: 100, burst: 200 },
+  'updates.push.services.mozilla.com': { rate: 50, burst: 100 },
+  'web.push.apple.com': { rate: 50, burst: 100 },
+  '*.notify.windows.com': { rate: 20, burst: 40 },
+  default: { rate: 20, burst: 40 }
+};
+
+// 設定値の読み込み（不正なJSONは既定値で動かす）
+function loadRateLimits() {
+  const limits = { ...DEFAULT_RATE_LIMITS };
+
+  if (!process.env.PUSH_RATE_LIMITS) {
+    return limits;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.PUSH_RATE_LIMITS);
+    for (const [host, limit] of Object.entries(overrides)) {
+      const rate = Number(limit && limit.rate);
+      if (!(rate > 0)) {
+        console.error(`PUSH_RATE_LIMITS: ${host} の rate が不正です`);
+        continue;
+      }
+      limits[host] = { rate, burst: Number(limit.burst) > 0 ? Number(limit.burst) : rate };
+    }
+  } catch (error) {
+    console.error('PUSH_RATE_LIMITS の解析に失敗しました:', error.message);
+  }
+
+  return limits;
+}
+
+class PushRateLimiter {
+  constructor() {
+    this.limits = loadRateLimits();
+    this.maxConcurrency = parseInt(process.env.PUSH_MAX_CONCURRENCY) || 50;
+    this.maxPauseMs = (parseInt(process.env.PUSH_MAX_PAUSE_SECONDS) || 30) * 1000;
+    this.active = 0;
+    this.waiters = [];
+    this.buckets = new Map();
+  }
+
+  // エンドポイントのホスト名（不正なURLは空文字）
+  getHost(endpoint) {
+    try {
+      return new URL(endpoint).hostname;
+    } catch (error) {
+      return '';
+    }
+  }
+
+  // ホストに適用するバケットのキーとレート
+  resolveLimit(host) {
+    if (this.limits[host]) {
+      return { key: host, ...this.limits[host] };
+    }
+
+    for (const [pattern, limit] of Object.entries(this.limits)) {
+      if (pattern.startsWith('*.') && host.endsWith(pattern.slice(1))) {
+        return { key: pattern, ...limit };
+      }
+    }
+
+    // 未知のプッシュサービスはホストごとに既定レートのバケットを持つ
+    return { key: host || 'unknown', ...this.limits.default };
+  }
+
+  getBucket(endpoint) {
+    const { key, rate, burst } = this.resolveLimit(this.getHost(endpoint));
+
+    let bucket = this.buckets.get(key);
+    if (!bucket) {
+      bucket = { key, rate, burst, tokens: burst, updatedAt: Date.now(), pausedUntil: 0 };
+      this.buckets.set(key, bucket);
+    }
+    return bucket;
+  }
+
+  // トークンを1つ予約し、使えるようになるまでの待機時間を返す
+  // トークンは負まで借りられるため、待機中の送信は予約順に間隔を空けて実行される
+  reserve(bucket) {
+    const now = Date.now();
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.rate);
+    bucket.updatedAt = now;
+    bucket.tokens -= 1;
+
+    const tokenWait = bucket.tokens >= 0 ? 0 : (-bucket.tokens / bucket.rate) * 1000;
+    return Math.max(tokenWait, bucket.pausedUntil - now);
+  }
+
+  // 同時送信数の枠を取得
+  async acquireSlot() {
+    if (this.active < this.maxConcurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiters.push(resolve));
+  }
+
+  // 枠を解放（待機中があればそのまま引き継ぐ）
+  releaseSlot() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // プッシュサービスから 429 などで待機を指示された場合、そのホストへの送信を一時停止する（maxPauseMs まで）
+  pause(endpoint, delayMs) {
+    const bucket = this.getBucket(endpoint);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + Math.min(delayMs, this.maxPauseMs));
+  }
+
+  // レート制限と同時送信数の範囲内で fn を実行する
+  // トークン待ちの間は同時送信数の枠を占有しない（混雑したサービスが他のサービスを止めないため）
+  async schedule(endpoint, fn) {
+    const wait = this.reserve(this.getBucket(endpoint));
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+
+    await this.acquireSlot();
+    try {
+      return await fn();
+    } finally {
+      this.releaseSlot();
+    }
+  }
+
+  // 状態を取得
+  getStatus() {
+    return {
+      maxConcurrency: this.maxConcurrency,
+      active: this.active,
+      waiting: this.waiters.length,
+      buckets: Array.from(this.buckets.values()).map(bucket => ({
+        key: bucket.key,
+        rate: bucket.rate,
+        burst: bucket.burst,
+        tokens: Math.round(bucket.tokens * 100) / 100,
+        pausedUntil: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil) : null
+      }))
+    };
+  }
+}
+
+module.exports = new PushRateLimiter();
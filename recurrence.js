@@ -0,0 +1,427 @@
+// 繰り返し配信のスケジュール計算
+// server.js（API）と scheduler.js（スタンドアロン）で同じ計算を使う
+//
+// recurring_schedule（API は camelCase。旧scheduler の snake_case も読める）
+//   frequency: 'daily'     毎日 hour:minute
+//              'weekly'    dayOfWeek（0=日）または daysOfWeek（[1, 3, 5] など複数）の hour:minute
+//              'monthly'   dayOfMonth（1〜31）の hour:minute、
+//                          または weekOfMonth（1〜5、-1=最終）と dayOfWeek で「第n○曜日」の hour:minute
+//              'interval'  intervalValue × intervalUnit（'minutes' / 'hours' / 'days'）ごと
+//              'cron'      cron（5項目の cron 式「分 時 日 月 曜日」）
+//   startDate / endDate  実行期間（YYYY-MM-DD。endDate の日を含む）
+//   maxOccurrences       実行回数の上限（スケジューラーによる実行回数は campaigns.occurrence_count。遅れて見送った回も含む）
+//
+// 時刻・曜日・日付はキャンペーンのタイムゾーンで解釈する
+
+const { DEFAULT_TIMEZONE, getZonedParts, zonedTimeToUtc, getDaysInMonth, addDays } = require('./timezone');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'interval', 'cron'];
+const INTERVAL_UNITS = ['minutes', 'hours', 'days'];
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// 次回実行日時を探す日数の上限（2月29日だけの cron 式でも見つかる範囲）
+const MAX_SEARCH_DAYS = 366 * 8;
+
+// cron 式の各項目（曜日の 7 は日曜として扱う）
+const CRON_FIELDS = [
+  { min: 0, max: 59 },
+  { min: 0, max: 23 },
+  { min: 1, max: 31 },
+  { min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+// インターバルをミリ秒に変換
+function getIntervalMilliseconds(value, unit) {
+  const multipliers = {
+    'minutes': 60 * 1000,
+    'hours': 60 * 60 * 1000,
+    'days': 24 * 60 * 60 * 1000
+  };
+  return value * (multipliers[unit] || multipliers.hours);
+}
+
+// recurring_schedule のキー表記ゆれを吸収（API: camelCase / 旧scheduler: snake_case）
+function normalizeSchedule(recurringSchedule) {
+  const schedule = recurringSchedule || {};
+  const pick = (camelCase, snakeCase) => (schedule[camelCase] !== undefined ? schedule[camelCase] : schedule[snakeCase]);
+
+  return {
+    frequency: schedule.frequency,
+    hour: schedule.hour,
+    minute: schedule.minute,
+    dayOfWeek: pick('dayOfWeek', 'day_of_week'),
+    daysOfWeek: pick('daysOfWeek', 'days_of_week'),
+    dayOfMonth: pick('dayOfMonth', 'day'),
+    weekOfMonth: pick('weekOfMonth', 'week_of_month'),
+    intervalValue: pick('intervalValue', 'interval_value'),
+    intervalUnit: pick('intervalUnit', 'interval_unit'),
+    cron: schedule.cron,
+    startDate: pick('startDate', 'start_date'),
+    endDate: pick('endDate', 'end_date'),
+    maxOccurrences: pick('maxOccurrences', 'max_occurrences')
+  };
+}
+
+// cron 式の項目の値（数値または JAN / MON などの名前。範囲外は null）
+function parseCronValue(value, field) {
+  let number;
+  if (/^\d+$/.test(value)) {
+    number = parseInt(value);
+  } else {
+    const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+    number = index === -1 ? NaN : index + field.min;
+  }
+  return number >= field.min && number <= field.max ? number : null;
+}
+
+// cron 式の1項目（*、5、1-5、*/15、1-30/2、MON-FRI、それらのカンマ区切り）を値の集合に変換（不正なら null）
+function parseCronField(part, field) {
+  const values = new Set();
+
+  for (const item of part.split(',')) {
+    const match = /^(\*|[0-9a-z]+(?:-[0-9a-z]+)?)(?:\/(\d+))?$/i.exec(item);
+    if (!match) {
+      return null;
+    }
+
+    const step = match[2] !== undefined ? parseInt(match[2]) : 1;
+    if (step < 1) {
+      return null;
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      const [from, to] = match[1].split('-');
+      start = parseCronValue(from, field);
+      end = to !== undefined ? parseCronValue(to, field) : (match[2] !== undefined ? field.max : start);
+      if (start === null || end === null || start > end) {
+        return null;
+      }
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+// cron 式（分 時 日 月 曜日）の解析（不正な式は null）
+// 日と曜日の両方を指定した場合は、標準の cron と同じくどちらかに一致する日に実行する
+function parseCronExpression(expression) {
+  if (typeof expression !== 'string') {
+    return null;
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    return null;
+  }
+
+  const fields = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (fields.includes(null)) {
+    return null;
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields;
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    daysRestricted: !parts[2].startsWith('*'),
+    weekdaysRestricted: !parts[4].startsWith('*')
+  };
+}
+
+// 日付（年月日）の曜日（0=日）
+function getDayOfWeek({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// 年月に月数を加算
+function addMonths({ year, month }, months) {
+  const total = year * 12 + (month - 1) + months;
+  return { year: Math.floor(total / 12), month: (total % 12) + 1 };
+}
+
+// 第n曜日の日（n: 1〜5、-1=最終。その月にない場合は null）
+function getNthWeekday(year, month, weekOfMonth, dayOfWeek) {
+  const daysInMonth = getDaysInMonth(year, month);
+
+  if (weekOfMonth === -1) {
+    return daysInMonth - ((getDayOfWeek({ year, month, day: daysInMonth }) - dayOfWeek + 7) % 7);
+  }
+
+  const day = 1 + ((dayOfWeek - getDayOfWeek({ year, month, day: 1 }) + 7) % 7) + (weekOfMonth - 1) * 7;
+  return day <= daysInMonth ? day : null;
+}
+
+// YYYY-MM-DD を { year, month, day } に変換（不正な日付は null）
+function parseDate(value) {
+  const match = DATE_PATTERN.exec(typeof value === 'string' ? value : '');
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day] = match.map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month)) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+// 曜日の指定（daysOfWeek があれば優先）
+function getTargetWeekdays({ dayOfWeek, daysOfWeek }) {
+  if (Array.isArray(daysOfWeek) && daysOfWeek.length > 0) {
+    return daysOfWeek.map(day => parseInt(day));
+  }
+  return [parseInt(dayOfWeek) || 0];
+}
+
+// cron 式に一致する baseDate より後の最初の日時（見つからなければ null）
+function findNextCronTime(cron, baseDate, timezone) {
+  const base = getZonedParts(baseDate, timezone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    const date = addDays(base, offset);
+    if (!cron.months.has(date.month)) continue;
+
+    const dayMatches = cron.days.has(date.day);
+    const weekdayMatches = cron.weekdays.has(getDayOfWeek(date));
+    const matches = cron.daysRestricted && cron.weekdaysRestricted
+      ? dayMatches || weekdayMatches
+      : dayMatches && weekdayMatches;
+    if (!matches) continue;
+
+    for (const hour of cron.hours) {
+      if (offset === 0 && hour < base.hour) continue;
+      for (const minute of cron.minutes) {
+        const time = zonedTimeToUtc({ ...date, hour, minute }, timezone);
+        if (time > baseDate) {
+          return time;
+        }
+      }
+    }
+  }
+
+  return null;
+}
+
+// 日次・週次・月次・cron の baseDate より後の最初の実行日時（見つからなければ null）
+function findNextTime(schedule, baseDate, timezone) {
+  if (schedule.frequency === 'cron') {
+    const cron = parseCronExpression(schedule.cron);
+    return cron ? findNextCronTime(cron, baseDate, timezone) : null;
+  }
+
+  const base = getZonedParts(baseDate, timezone);
+  const time = { hour: parseInt(schedule.hour) || 0, minute: parseInt(schedule.minute) || 0, second: 0 };
+  const at = date => zonedTimeToUtc({ ...date, ...time }, timezone);
+
+  switch (schedule.frequency) {
+    case 'weekly': {
+      // 指定曜日のうち次に来る日（今日が指定曜日で時刻が過ぎている場合は次の指定曜日）
+      const targetDays = getTargetWeekdays(schedule);
+      for (let offset = 0; offset <= 7; offset++) {
+        const date = addDays(base, offset);
+        if (targetDays.includes(getDayOfWeek(date)) && at(date) > baseDate) {
+          return at(date);
+        }
+      }
+      return null;
+    }
+
+    case 'monthly': {
+      // 指定日（その月にない場合は月末日）または第n曜日。今月の分が過ぎていれば翌月以降
+      const weekOfMonth = schedule.weekOfMonth !== undefined && schedule.weekOfMonth !== null
+        ? parseInt(schedule.weekOfMonth)
+        : null;
+      const targetDate = parseInt(schedule.dayOfMonth) || 1;
+
+      for (let months = 0; months <= 12; months++) {
+        const { year, month } = addMonths(base, months);
+        const day = weekOfMonth !== null
+          ? getNthWeekday(year, month, weekOfMonth, parseInt(schedule.dayOfWeek) || 0)
+          : Math.min(targetDate, getDaysInMonth(year, month));
+        if (day !== null && at({ year, month, day }) > baseDate) {
+          return at({ year, month, day });
+        }
+      }
+      return null;
+    }
+
+    default: {
+      // daily: 今日の時刻を過ぎている場合は明日
+      const today = at(base);
+      return today > baseDate ? today : at(addDays(base, 1));
+    }
+  }
+}
+
+// 次回実行日時を計算（timezone: IANAタイムゾーン名。時刻・曜日・日付はそのタイムゾーンで解釈する）
+// 夏時間の切り替えで存在しない時刻は後ろにずらし、2回ある時刻は1回目を使う（timezone.js）
+// 月次で指定日がその月にない場合（31日など）は月末日に実行する
+// occurrenceCount: これまでの実行回数。終了日を過ぎる・実行回数の上限に達した場合は null（以降の実行なし）
+function calculateNextScheduledTime(recurringSchedule, lastExecuted = null, timezone = DEFAULT_TIMEZONE, occurrenceCount = 0) {
+  const schedule = normalizeSchedule(recurringSchedule);
+
+  if (schedule.maxOccurrences && occurrenceCount >= parseInt(schedule.maxOccurrences)) {
+    return null;
+  }
+
+  // 基準日時（最後の実行日時 or 現在時刻）
+  const baseDate = lastExecuted ? new Date(lastExecuted) : new Date();
+  const startDate = parseDate(schedule.startDate);
+  const startTime = startDate ? zonedTimeToUtc(startDate, timezone) : null;
+
+  let nextDate;
+  if (schedule.frequency === 'interval') {
+    // インターバル（X分/時間/日ごと）は前回実行からの経過で決まる（初回は現在時刻か開始日）
+    // 日単位は夏時間の切り替えをまたいでも同じ時刻になるよう壁時計時刻で加算する
+    const value = parseInt(schedule.intervalValue) || 1;
+    if (!lastExecuted) {
+      nextDate = baseDate;
+    } else if (schedule.intervalUnit === 'days') {
+      const base = getZonedParts(baseDate, timezone);
+      nextDate = zonedTimeToUtc({ ...base, ...addDays(base, value) }, timezone);
+    } else {
+      nextDate = new Date(baseDate.getTime() + getIntervalMilliseconds(value, schedule.intervalUnit));
+    }
+    if (startTime && nextDate < startTime) {
+      nextDate = startTime;
+    }
+  } else {
+    // 開始日より前は開始日の0時から探す
+    const searchFrom = startTime && baseDate < startTime ? new Date(startTime.getTime() - 1) : baseDate;
+    nextDate = findNextTime(schedule, searchFrom, timezone);
+  }
+
+  const endDate = parseDate(schedule.endDate);
+  if (!nextDate || (endDate && nextDate >= zonedTimeToUtc(addDays(endDate, 1), timezone))) {
+    return null;
+  }
+
+  return nextDate.toISOString();
+}
+
+// 今後の実行日時の一覧（プレビュー用。終了日・実行回数の上限までで打ち切る）
+function listUpcomingRuns(recurringSchedule, count, timezone = DEFAULT_TIMEZONE, occurrenceCount = 0) {
+  const runs = [];
+  let next = calculateNextScheduledTime(recurringSchedule, null, timezone, occurrenceCount);
+
+  while (next && runs.length < count) {
+    runs.push(next);
+    next = calculateNextScheduledTime(recurringSchedule, next, timezone, occurrenceCount + runs.length);
+  }
+
+  return runs;
+}
+
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// recurring_schedule の入力チェック（エラーメッセージを返す、問題なければnull）
+function validateSchedule(recurringSchedule) {
+  if (!recurringSchedule || typeof recurringSchedule !== 'object' || Array.isArray(recurringSchedule)) {
+    return 'recurringScheduleはオブジェクトで指定してください';
+  }
+
+  const schedule = normalizeSchedule(recurringSchedule);
+
+  if (!FREQUENCIES.includes(schedule.frequency)) {
+    return `recurringSchedule.frequencyは ${FREQUENCIES.join(' / ')} のいずれかを指定してください`;
+  }
+
+  if (['daily', 'weekly', 'monthly'].includes(schedule.frequency)) {
+    if (schedule.hour !== undefined && !isIntegerInRange(schedule.hour, 0, 23)) {
+      return 'recurringSchedule.hourは0〜23の整数で指定してください';
+    }
+    if (schedule.minute !== undefined && !isIntegerInRange(schedule.minute, 0, 59)) {
+      return 'recurringSchedule.minuteは0〜59の整数で指定してください';
+    }
+  }
+
+  const isWeekday = value => isIntegerInRange(value, 0, 6);
+
+  switch (schedule.frequency) {
+    case 'weekly':
+      if (schedule.daysOfWeek !== undefined) {
+        if (!Array.isArray(schedule.daysOfWeek) || schedule.daysOfWeek.length === 0 || !schedule.daysOfWeek.every(isWeekday)) {
+          return 'recurringSchedule.daysOfWeekは0（日）〜6（土）の整数の配列で指定してください';
+        }
+      } else if (!isWeekday(schedule.dayOfWeek)) {
+        return 'recurringSchedule.dayOfWeek（0〜6）または daysOfWeek を指定してください';
+      }
+      break;
+
+    case 'monthly':
+      if (schedule.weekOfMonth !== undefined) {
+        if (schedule.weekOfMonth !== -1 && !isIntegerInRange(schedule.weekOfMonth, 1, 5)) {
+          return 'recurringSchedule.weekOfMonthは1〜5または-1（最終）で指定してください';
+        }
+        if (!isWeekday(schedule.dayOfWeek)) {
+          return 'recurringSchedule.weekOfMonth には dayOfWeek（0〜6）を合わせて指定してください';
+        }
+      } else if (!isIntegerInRange(schedule.dayOfMonth, 1, 31)) {
+        return 'recurringSchedule.dayOfMonth（1〜31）または weekOfMonth と dayOfWeek を指定してください';
+      }
+      break;
+
+    case 'interval':
+      if (!isIntegerInRange(schedule.intervalValue, 1, 10000)) {
+        return 'recurringSchedule.intervalValueは1以上の整数で指定してください';
+      }
+      if (!INTERVAL_UNITS.includes(schedule.intervalUnit)) {
+        return `recurringSchedule.intervalUnitは ${INTERVAL_UNITS.join(' / ')} のいずれかを指定してください`;
+      }
+      break;
+
+    case 'cron':
+      if (!parseCronExpression(schedule.cron)) {
+        return 'recurringSchedule.cronは5項目のcron式（分 時 日 月 曜日。例: "0 9 * * 1-5"）で指定してください';
+      }
+      break;
+  }
+
+  const startDate = schedule.startDate !== undefined && schedule.startDate !== null ? parseDate(schedule.startDate) : null;
+  if (schedule.startDate !== undefined && schedule.startDate !== null && !startDate) {
+    return 'recurringSchedule.startDateは YYYY-MM-DD で指定してください';
+  }
+  const endDate = schedule.endDate !== undefined && schedule.endDate !== null ? parseDate(schedule.endDate) : null;
+  if (schedule.endDate !== undefined && schedule.endDate !== null && !endDate) {
+    return 'recurringSchedule.endDateは YYYY-MM-DD で指定してください';
+  }
+  if (startDate && endDate && schedule.endDate < schedule.startDate) {
+    return 'recurringSchedule.endDateは startDate 以降の日付にしてください';
+  }
+
+  if (schedule.maxOccurrences !== undefined && schedule.maxOccurrences !== null &&
+      !isIntegerInRange(schedule.maxOccurrences, 1, 100000)) {
+    return 'recurringSchedule.maxOccurrencesは1以上の整数で指定してください';
+  }
+
+  return null;
+}
+
+// 繰り返し配信の実行回数の列追加SQL
+const addRecurrenceColumns = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS occurrence_count INT NOT NULL DEFAULT 0;
+`;
+
+module.exports = {
+  calculateNextScheduledTime,
+  listUpcomingRuns,
+  validateSchedule,
+  parseCronExpression,
+  getIntervalMilliseconds,
+  normalizeSchedule
+};
@@ -6,16 +6,9 @@ const { createCanvas } = require('canvas');
 const { Chart } = require('chart.js/auto');
 const fs = require('fs');
 const path = require('path');
-const { Pool } = require('pg');
 
-// PostgreSQL接続
-const pool = new Pool({
-  host: process.env.DB_HOST || 'localhost',
-  port: process.env.DB_PORT || 5432,
-  database: process.env.DB_NAME || 'webpush',
-  user: process.env.DB_USER || 'postgres',
-  password: process.env.DB_PASSWORD || 'password',
-});
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
 
 class ReportService {
   constructor() {
@@ -41,7 +34,9 @@ class ReportService {
       );
       
       if (result.rows.length > 0 && result.rows[0].report_template) {
-        return JSON.parse(result.rows[0].report_template);
+        const saved = result.rows[0].report_template;
+        // JSONB列の場合はpgがパース済みで返す
+        return typeof saved === 'string' ? JSON.parse(saved) : saved;
       }
       
       // デフォルトテンプレート
@@ -121,13 +116,13 @@ class ReportService {
         COUNT(DISTINCT s.id) FILTER (WHERE s.is_active = true) as active_subscribers,
         COUNT(DISTINCT s.id) as total_subscribers,
         COUNT(DISTINCT c.id) as total_campaigns,
-        SUM(CASE WHEN d.status = 'sent' THEN 1 ELSE 0 END) as total_sent,
+        SUM(CASE WHEN d.status IN ('sent', 'clicked') THEN 1 ELSE 0 END) as total_sent,
         SUM(CASE WHEN d.status = 'clicked' THEN 1 ELSE 0 END) as total_clicks,
         ROUND(
           CASE 
-            WHEN SUM(CASE WHEN d.status = 'sent' THEN 1 ELSE 0 END) > 0 
+            WHEN SUM(CASE WHEN d.status IN ('sent', 'clicked') THEN 1 ELSE 0 END) > 0 
             THEN (SUM(CASE WHEN d.status = 'clicked' THEN 1 ELSE 0 END)::decimal / 
-                  SUM(CASE WHEN d.status = 'sent' THEN 1 ELSE 0 END)) * 100
+                  SUM(CASE WHEN d.status IN ('sent', 'clicked') THEN 1 ELSE 0 END)) * 100
             ELSE 0
           END, 2
         ) as avg_ctr
@@ -164,13 +159,13 @@ class ReportService {
     const trendResult = await client.query(`
       SELECT 
         DATE(sent_at) as date,
-        COUNT(*) FILTER (WHERE status = 'sent') as sent,
+        COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')) as sent,
         COUNT(*) FILTER (WHERE status = 'clicked') as clicked,
         ROUND(
           CASE 
-            WHEN COUNT(*) FILTER (WHERE status = 'sent') > 0
+            WHEN COUNT(*) FILTER (WHERE status IN ('sent', 'clicked')) > 0
             THEN (COUNT(*) FILTER (WHERE status = 'clicked')::decimal / 
-                  COUNT(*) FILTER (WHERE status = 'sent')) * 100
+                  COUNT(*) FILTER (WHERE status IN ('sent', 'clicked'))) * 100
             ELSE 0
           END, 2
         ) as ctr
@@ -187,13 +182,13 @@ class ReportService {
       SELECT 
         c.name,
         c.created_at,
-        COUNT(*) FILTER (WHERE d.status = 'sent') as sent,
+        COUNT(*) FILTER (WHERE d.status IN ('sent', 'clicked')) as sent,
         COUNT(*) FILTER (WHERE d.status = 'clicked') as clicked,
         ROUND(
           CASE 
-            WHEN COUNT(*) FILTER (WHERE d.status = 'sent') > 0
+            WHEN COUNT(*) FILTER (WHERE d.status IN ('sent', 'clicked')) > 0
             THEN (COUNT(*) FILTER (WHERE d.status = 'clicked')::decimal / 
-                  COUNT(*) FILTER (WHERE d.status = 'sent')) * 100
+                  COUNT(*) FILTER (WHERE d.status IN ('sent', 'clicked'))) * 100
             ELSE 0
           END, 2
         ) as ctr
@@ -291,7 +286,7 @@ class ReportService {
 
     // ロゴ表示
     if (showLogo && logoUrl) {
-      const logoPath = path.join(this.assetsDir, 'logo.png');
+      const logoPath = this.getLogoPath(site.id);
       if (fs.existsSync(logoPath)) {
         try {
           doc.image(logoPath, 50, 50, { width: 80 });
@@ -673,15 +668,25 @@ class ReportService {
     }
   }
 
+  // サイト別ロゴのファイルパス
+  getLogoPath(siteId) {
+    return path.join(this.assetsDir, `logo_${siteId}.png`);
+  }
+
   // ロゴアップロード
   async uploadLogo(siteId, logoBuffer) {
     try {
-      const logoPath = path.join(this.assetsDir, `logo_${siteId}.png`);
+      const logoPath = this.getLogoPath(siteId);
       fs.writeFileSync(logoPath, logoBuffer);
+
+      // テンプレートにロゴURLを反映（ヘッダーでのロゴ表示を有効化）
+      const template = await this.getCustomTemplate(siteId);
+      const logoUrl = `/api/reports/logo/${siteId}`;
+      await this.saveCustomTemplate(siteId, { ...template, logoUrl });
       
       return {
         success: true,
-        logoUrl: `/assets/logo_${siteId}.png`
+        logoUrl
       };
     } catch (error) {
       console.error('Upload logo error:', error);
@@ -704,13 +709,13 @@ class ReportService {
             c.created_at,
             c.delivery_type,
             c.status,
-            COUNT(d.id) FILTER (WHERE d.status = 'sent') as sent,
+            COUNT(d.id) FILTER (WHERE d.status IN ('sent', 'clicked')) as sent,
             COUNT(d.id) FILTER (WHERE d.status = 'clicked') as clicked,
             ROUND(
               CASE 
-                WHEN COUNT(d.id) FILTER (WHERE d.status = 'sent') > 0
+                WHEN COUNT(d.id) FILTER (WHERE d.status IN ('sent', 'clicked')) > 0
                 THEN (COUNT(d.id) FILTER (WHERE d.status = 'clicked')::decimal / 
-                      COUNT(d.id) FILTER (WHERE d.status = 'sent')) * 100
+                      COUNT(d.id) FILTER (WHERE d.status IN ('sent', 'clicked'))) * 100
                 ELSE 0
               END, 2
             ) as ctr
@@ -0,0 +1,84 @@
+// プッシュ送信のリトライポリシー
+// 429・5xx・ネットワークエラーなど一時的な失敗を、指数バックオフ（ジッター付き）で再送する
+// プッシュサービスが Retry-After ヘッダーを返した場合はその時間を優先する
+
+// 一時的な障害とみなすネットワークエラーコード
+const RETRYABLE_ERROR_CODES = [
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENETUNREACH',
+  'EHOSTUNREACH'
+];
+
+class RetryPolicy {
+  constructor() {
+    // 初回送信を含む最大試行回数
+    this.maxAttempts = parseInt(process.env.PUSH_RETRY_MAX_ATTEMPTS) || 5;
+    // バックオフの基準時間と上限
+    this.baseDelayMs = parseInt(process.env.PUSH_RETRY_BASE_DELAY_MS) || 2000;
+    this.maxDelayMs = parseInt(process.env.PUSH_RETRY_MAX_DELAY_MS) || 10 * 60 * 1000;
+  }
+
+  // 再送すべきエラーか（429 Too Many Requests / 5xx / タイムアウト等）
+  isRetryable(error) {
+    const statusCode = error.statusCode;
+    if (statusCode === 429 || (statusCode >= 500 && statusCode <= 599)) {
+      return true;
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+  }
+
+  // Retry-After ヘッダーをミリ秒に変換（秒数 または HTTP日付）
+  parseRetryAfter(error) {
+    const headers = error.headers || {};
+    const value = headers['retry-after'] || headers['Retry-After'];
+
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = new Date(value);
+    if (!isNaN(date.getTime())) {
+      return Math.max(0, date.getTime() - Date.now());
+    }
+
+    return null;
+  }
+
+  // 次の再送までの待機時間（attempt: これまでの試行回数）
+  // Retry-After も上限（maxDelayMs）を超えないようにする
+  getDelayMs(attempt, error) {
+    const retryAfter = error ? this.parseRetryAfter(error) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.maxDelayMs);
+    }
+
+    // 指数バックオフ（上限あり）の50〜100%の範囲でランダムに揺らし、再送の集中を避ける
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  // 送信失敗時の判定（attempt: 今回を含む試行回数）
+  // 再送する場合は { retry: true, nextRetryAt }、打ち切る場合は { retry: false }
+  decide(attempt, error) {
+    if (!this.isRetryable(error) || attempt >= this.maxAttempts) {
+      return { retry: false };
+    }
+    return {
+      retry: true,
+      nextRetryAt: new Date(Date.now() + this.getDelayMs(attempt, error))
+    };
+  }
+}
+
+module.exports = new RetryPolicy();
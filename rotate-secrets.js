@@ -0,0 +1,96 @@
+// 秘密情報のマスター鍵ローテーション
+// `npm run rotate-secrets` で実行する
+//
+// 1. 新しいマスター鍵を SECRETS_MASTER_KEY、旧鍵を SECRETS_PREVIOUS_MASTER_KEYS に設定して実行
+// 2. 保存済みの秘密情報（VAPID秘密鍵・メール設定の秘密項目）を新しい鍵で包み直す。平文で残っている値は暗号化する
+// 3. 完了後は SECRETS_PREVIOUS_MASTER_KEYS から旧鍵を外してよい
+//
+// あわせて、平文で残っているサイトのAPIキーをハッシュに置き換える
+
+require('dotenv').config();
+const secretsService = require('./secrets');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// 単一カラムの秘密情報を包み直す
+async function rotateColumn(table, column) {
+  const result = await pool.query(
+    `SELECT id, ${column} AS value FROM ${table} WHERE ${column} IS NOT NULL`
+  );
+
+  let updated = 0;
+  for (const row of result.rows) {
+    if (!secretsService.needsRotation(row.value)) continue;
+
+    await pool.query(
+      `UPDATE ${table} SET ${column} = $1 WHERE id = $2`,
+      [secretsService.rewrap(row.value), row.id]
+    );
+    updated++;
+  }
+
+  console.log(`  ${table}.${column}: ${updated}/${result.rows.length}件を更新`);
+  return updated;
+}
+
+// メール設定（JSONB）内の秘密項目を包み直す
+async function rotateEmailSettings() {
+  const result = await pool.query('SELECT site_id, settings FROM email_settings');
+
+  let updated = 0;
+  for (const row of result.rows) {
+    if (!secretsService.fieldsNeedRotation(row.settings)) continue;
+
+    await pool.query(
+      'UPDATE email_settings SET settings = $1 WHERE site_id = $2',
+      [JSON.stringify(secretsService.rewrapFields(row.settings)), row.site_id]
+    );
+    updated++;
+  }
+
+  console.log(`  email_settings.settings: ${updated}/${result.rows.length}件を更新`);
+  return updated;
+}
+
+// 平文のAPIキーをハッシュ化
+async function hashPlainApiKeys() {
+  const result = await pool.query('SELECT id, api_key FROM sites WHERE api_key IS NOT NULL');
+
+  for (const row of result.rows) {
+    await pool.query(
+      'UPDATE sites SET api_key_hash = $1, api_key_prefix = $2, api_key = NULL WHERE id = $3',
+      [secretsService.hashApiKey(row.api_key), row.api_key.slice(0, 8), row.id]
+    );
+  }
+
+  console.log(`  sites.api_key: ${result.rows.length}件をハッシュ化`);
+  return result.rows.length;
+}
+
+async function rotateSecrets() {
+  if (!secretsService.isConfigured()) {
+    throw new Error('SECRETS_MASTER_KEY is not set');
+  }
+
+  console.log('🔐 秘密情報のローテーション開始...');
+
+  await rotateColumn('site_vapid_keys', 'private_key');
+  await rotateColumn('sites', 'vapid_private_key');
+  await rotateEmailSettings();
+  await hashPlainApiKeys();
+
+  console.log('✅ 秘密情報のローテーション完了');
+}
+
+module.exports = rotateSecrets;
+
+// スタンドアロン実行
+if (require.main === module) {
+  rotateSecrets()
+    .then(() => pool.end())
+    .catch((error) => {
+      console.error('❌ ローテーションエラー:', error.message);
+      pool.end(() => process.exit(1));
+    });
+}
@@ -0,0 +1,281 @@
+// 秘密情報の暗号化（エンベロープ暗号化）
+// 値ごとにデータ鍵（DEK）を生成して AES-256-GCM で暗号化し、DEK をマスター鍵で暗号化して一緒に保存する
+//
+// 保存形式: enc:v1:<マスター鍵ID>:<DEKのIV>:<暗号化DEK>:<値のIV>:<暗号文>（各要素は base64、暗号文は認証タグ付き）
+//
+// マスター鍵は SECRETS_MASTER_KEY（32バイトを hex または base64）で指定する
+// ローテーション時は新しい鍵を SECRETS_MASTER_KEY に、旧鍵を SECRETS_PREVIOUS_MASTER_KEYS（カンマ区切り）に設定し、
+// `npm run rotate-secrets` で保存済みの値を新しい鍵で包み直す（値の暗号文自体は変わらない）
+//
+// マスター鍵が未設定の場合は平文のまま保存する（鍵を設定後に rotate-secrets で暗号化できる）
+// ただし本番環境（NODE_ENV=production）ではマスター鍵が未設定なら起動しない
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// 設定オブジェクトで暗号化対象とする項目名（password, pass, secret, token, apiKey など）
+const SECRET_FIELD_PATTERN = /pass(word)?$|secret|token|api_?key/i;
+
+// レスポンスで秘密項目の代わりに返す値（保存時にこの値のままなら変更なしとみなす）
+const SECRET_MASK = '********';
+
+// マスター鍵の読み込み（hex 64文字 または base64 の32バイト）
+function parseMasterKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Master key must be 32 bytes (hex or base64)');
+  }
+  return key;
+}
+
+// マスター鍵ID（鍵のハッシュの先頭。どの鍵で包んだかの識別に使う）
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+function encryptWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  return { iv, encrypted };
+}
+
+function decryptWithKey(key, iv, encrypted) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(encrypted.subarray(encrypted.length - TAG_LENGTH));
+  return Buffer.concat([decipher.update(encrypted.subarray(0, encrypted.length - TAG_LENGTH)), decipher.final()]);
+}
+
+class SecretsService {
+  constructor() {
+    this.currentKey = null;
+    this.keys = new Map();
+
+    if (process.env.SECRETS_MASTER_KEY) {
+      this.currentKey = this.addKey(process.env.SECRETS_MASTER_KEY);
+    } else if (process.env.NODE_ENV === 'production') {
+      throw new Error('SECRETS_MASTER_KEY is required in production (secrets would be stored unencrypted)');
+    } else {
+      console.warn('⚠️ SECRETS_MASTER_KEY not set (secrets are stored unencrypted)');
+    }
+
+    const previous = (process.env.SECRETS_PREVIOUS_MASTER_KEYS || '').split(',').filter(v => v.trim());
+    for (const value of previous) {
+      this.addKey(value);
+    }
+  }
+
+  addKey(value) {
+    const key = parseMasterKey(value);
+    const keyId = getKeyId(key);
+    this.keys.set(keyId, key);
+    return { keyId, key };
+  }
+
+  isConfigured() {
+    return !!this.currentKey;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // 暗号化（マスター鍵未設定時は平文のまま）
+  encrypt(plaintext) {
+    if (plaintext === null || plaintext === undefined || !this.currentKey) {
+      return plaintext;
+    }
+
+    const dek = crypto.randomBytes(32);
+    const value = encryptWithKey(dek, Buffer.from(String(plaintext), 'utf8'));
+    const wrapped = encryptWithKey(this.currentKey.key, dek);
+
+    return PREFIX + [
+      this.currentKey.keyId,
+      wrapped.iv.toString('base64'),
+      wrapped.encrypted.toString('base64'),
+      value.iv.toString('base64'),
+      value.encrypted.toString('base64')
+    ].join(':');
+  }
+
+  parse(value) {
+    const parts = value.slice(PREFIX.length).split(':');
+    if (parts.length !== 5) {
+      throw new Error('Malformed encrypted secret');
+    }
+
+    const [keyId, dekIv, wrappedDek, iv, encrypted] = parts;
+    return {
+      keyId,
+      dekIv: Buffer.from(dekIv, 'base64'),
+      wrappedDek: Buffer.from(wrappedDek, 'base64'),
+      iv: Buffer.from(iv, 'base64'),
+      encrypted: Buffer.from(encrypted, 'base64')
+    };
+  }
+
+  unwrapDek(parsed) {
+    const masterKey = this.keys.get(parsed.keyId);
+    if (!masterKey) {
+      throw new Error(`Master key ${parsed.keyId} is not configured`);
+    }
+    return decryptWithKey(masterKey, parsed.dekIv, parsed.wrappedDek);
+  }
+
+  // 復号（暗号化されていない値はそのまま返す）
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const parsed = this.parse(value);
+    return decryptWithKey(this.unwrapDek(parsed), parsed.iv, parsed.encrypted).toString('utf8');
+  }
+
+  // 現在のマスター鍵で保存し直す必要があるか（平文、または旧鍵で包まれている）
+  needsRotation(value) {
+    if (value === null || value === undefined || !this.currentKey) {
+      return false;
+    }
+    if (!this.isEncrypted(value)) {
+      return true;
+    }
+    return this.parse(value).keyId !== this.currentKey.keyId;
+  }
+
+  // 現在のマスター鍵で包み直す（平文は暗号化する）
+  rewrap(value) {
+    if (!this.needsRotation(value)) {
+      return value;
+    }
+    if (!this.isEncrypted(value)) {
+      return this.encrypt(value);
+    }
+
+    const parsed = this.parse(value);
+    const wrapped = encryptWithKey(this.currentKey.key, this.unwrapDek(parsed));
+
+    return PREFIX + [
+      this.currentKey.keyId,
+      wrapped.iv.toString('base64'),
+      wrapped.encrypted.toString('base64'),
+      parsed.iv.toString('base64'),
+      parsed.encrypted.toString('base64')
+    ].join(':');
+  }
+
+  // ============================================
+  // 設定オブジェクト内の秘密項目（SMTPパスワード等）
+  // ============================================
+
+  isSecretField(name) {
+    return SECRET_FIELD_PATTERN.test(name);
+  }
+
+  // 秘密項目の値だけを fn で変換した複製を返す（ネストしたオブジェクトも対象）
+  mapSecretFields(obj, fn, existing = null) {
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+      return obj;
+    }
+
+    const result = {};
+    for (const [name, value] of Object.entries(obj)) {
+      const previous = existing && typeof existing === 'object' ? existing[name] : undefined;
+
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        result[name] = this.mapSecretFields(value, fn, previous);
+      } else if (this.isSecretField(name) && typeof value === 'string' && value !== '') {
+        result[name] = fn(value, previous);
+      } else {
+        result[name] = value;
+      }
+    }
+    return result;
+  }
+
+  // 保存用に秘密項目を暗号化（マスク値のままなら保存済みの値を引き継ぐ）
+  sealFields(obj, existing = null) {
+    return this.mapSecretFields(obj, (value, previous) => {
+      if (value === SECRET_MASK && previous !== undefined) {
+        return previous;
+      }
+      return this.encrypt(value);
+    }, existing);
+  }
+
+  // レスポンス用に秘密項目をマスク
+  maskFields(obj) {
+    return this.mapSecretFields(obj, () => SECRET_MASK);
+  }
+
+  // 秘密項目を現在のマスター鍵で包み直す
+  rewrapFields(obj) {
+    return this.mapSecretFields(obj, value => this.rewrap(value));
+  }
+
+  // 秘密項目に包み直しが必要なものがあるか
+  fieldsNeedRotation(obj) {
+    let needed = false;
+    this.mapSecretFields(obj, (value) => {
+      needed = needed || this.needsRotation(value);
+      return value;
+    });
+    return needed;
+  }
+
+  // ============================================
+  // APIキー（ハッシュのみ保存し、平文は発行時に一度だけ返す）
+  // ============================================
+
+  // APIキーを発行（ランダムな64文字の16進数）
+  generateApiKey() {
+    const apiKey = crypto.randomBytes(32).toString('hex');
+    return {
+      apiKey,
+      hash: this.hashApiKey(apiKey),
+      prefix: apiKey.slice(0, 8)
+    };
+  }
+
+  hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+  }
+
+  verifyApiKey(apiKey, hash) {
+    if (!apiKey || !hash) {
+      return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = Buffer.from(this.hashApiKey(apiKey), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+}
+
+// APIキーのハッシュ化SQL
+// 既存の平文キーをハッシュと表示用の先頭8文字に置き換える
+const hashSiteApiKeys = `
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS api_key_hash VARCHAR(64);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS api_key_prefix VARCHAR(8);
+ALTER TABLE sites ALTER COLUMN api_key DROP NOT NULL;
+
+UPDATE sites
+SET api_key_hash = encode(sha256(convert_to(api_key, 'UTF8')), 'hex'),
+    api_key_prefix = left(api_key, 8),
+    api_key = NULL
+WHERE api_key IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sites_api_key_hash ON sites(api_key_hash);
+`;
+
+module.exports = new SecretsService();
+module.exports.SECRET_MASK = SECRET_MASK;
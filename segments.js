@@ -0,0 +1,402 @@
+// 購読者セグメントサービス
+// 静的セグメント（segment_members に明示登録）と動的セグメント（ルール評価）を扱う
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+const { ATTRIBUTE_KEY_PATTERN } = require('./attributes');
+
+// ルールで使用できる項目と型（キーはそのままsubscribersの列名）
+// attributes はカスタム属性で、条件に key（属性キー）を指定する
+const SEGMENT_FIELDS = {
+  device_type: 'string',
+  browser: 'string',
+  os: 'string',
+  locale: 'string',
+  timezone: 'string',
+  subscribed_at: 'date',
+  last_active_at: 'date',
+  tags: 'tags',
+  attributes: 'attribute'
+};
+
+// 型ごとに使用できる演算子
+const SEGMENT_OPERATORS = {
+  string: ['equals', 'not_equals', 'in', 'not_in'],
+  date: ['before', 'after', 'within_last_days', 'not_within_last_days'],
+  tags: ['contains', 'not_contains', 'contains_any', 'contains_all'],
+  attribute: ['equals', 'not_equals', 'in', 'not_in', 'exists', 'not_exists', 'greater_than', 'less_than']
+};
+
+class SegmentService {
+  // ルールの入力チェック（エラーメッセージを返す、問題なければnull）
+  // rules: { match: 'all' | 'any', conditions: [{ field, operator, value }] }
+  //   カスタム属性の条件は { field: 'attributes', key, operator, value }
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return 'rulesはオブジェクトで指定してください';
+    }
+
+    if (rules.match !== undefined && !['all', 'any'].includes(rules.match)) {
+      return 'rules.matchは all / any のいずれかを指定してください';
+    }
+
+    if (!Array.isArray(rules.conditions) || rules.conditions.length === 0) {
+      return 'rules.conditionsに条件を1件以上指定してください';
+    }
+
+    for (const [index, condition] of rules.conditions.entries()) {
+      const { field, operator, value } = condition || {};
+      const type = SEGMENT_FIELDS[field];
+
+      if (!type) {
+        return `conditions[${index}]: 未対応の項目です (${field})`;
+      }
+
+      if (!SEGMENT_OPERATORS[type].includes(operator)) {
+        return `conditions[${index}]: ${field} に使用できる演算子は ${SEGMENT_OPERATORS[type].join(' / ')} です`;
+      }
+
+      if (type === 'attribute') {
+        const error = this.validateAttributeCondition(condition);
+        if (error) {
+          return `conditions[${index}]: ${error}`;
+        }
+        continue;
+      }
+
+      const expectsList = ['in', 'not_in', 'contains_any', 'contains_all'].includes(operator);
+      const expectsDays = ['within_last_days', 'not_within_last_days'].includes(operator);
+
+      if (expectsList) {
+        if (!Array.isArray(value) || value.length === 0 || value.some(v => typeof v !== 'string')) {
+          return `conditions[${index}]: valueは文字列の配列で指定してください`;
+        }
+      } else if (expectsDays) {
+        if (!Number.isFinite(value) || value <= 0) {
+          return `conditions[${index}]: valueは正の日数で指定してください`;
+        }
+      } else if (type === 'date') {
+        if (typeof value !== 'string' || isNaN(new Date(value).getTime())) {
+          return `conditions[${index}]: valueは日時（ISO 8601）で指定してください`;
+        }
+      } else if (typeof value !== 'string' || value === '') {
+        return `conditions[${index}]: valueは文字列で指定してください`;
+      }
+    }
+
+    return null;
+  }
+
+  // カスタム属性の条件の入力チェック
+  validateAttributeCondition({ key, operator, value }) {
+    if (typeof key !== 'string' || !ATTRIBUTE_KEY_PATTERN.test(key)) {
+      return 'keyに属性キーを指定してください';
+    }
+
+    const isScalar = v => typeof v === 'string' || typeof v === 'boolean' || Number.isFinite(v);
+
+    switch (operator) {
+      case 'exists':
+      case 'not_exists':
+        return null;
+      case 'in':
+      case 'not_in':
+        if (!Array.isArray(value) || value.length === 0 || !value.every(isScalar)) {
+          return 'valueは文字列・数値・真偽値の配列で指定してください';
+        }
+        return null;
+      case 'greater_than':
+      case 'less_than':
+        if (!Number.isFinite(value)) {
+          return 'valueは数値で指定してください';
+        }
+        return null;
+      default:
+        if (!isScalar(value)) {
+          return 'valueは文字列・数値・真偽値で指定してください';
+        }
+        return null;
+    }
+  }
+
+  // カスタム属性の条件をSQLに変換
+  // 値はテキストとして比較する（数値・真偽値は JSON の表記 "10" "true" に揃う）
+  buildAttributeCondition(condition, params) {
+    const { key, operator, value } = condition;
+    params.push(key);
+    const k = `$${params.length}`;
+    const text = `(attributes ->> ${k})`;
+
+    switch (operator) {
+      case 'exists':
+        return `COALESCE(attributes, '{}') ? ${k}`;
+      case 'not_exists':
+        return `NOT (COALESCE(attributes, '{}') ? ${k})`;
+    }
+
+    params.push(Array.isArray(value) ? value.map(String) : String(value));
+    const p = `$${params.length}`;
+    const number = `(CASE WHEN jsonb_typeof(attributes -> ${k}) = 'number' THEN ${text}::numeric END)`;
+
+    switch (operator) {
+      case 'equals':
+        return `${text} = ${p}`;
+      case 'not_equals':
+        return `${text} IS DISTINCT FROM ${p}`;
+      case 'in':
+        return `${text} = ANY(${p}::text[])`;
+      case 'not_in':
+        return `(${text} IS NULL OR NOT (${text} = ANY(${p}::text[])))`;
+      case 'greater_than':
+        return `${number} > ${p}::numeric`;
+      case 'less_than':
+        return `${number} < ${p}::numeric`;
+      default:
+        throw new Error(`Unsupported segment operator: ${operator}`);
+    }
+  }
+
+  // 1条件をSQLに変換（値はparamsに追加してプレースホルダで参照）
+  buildCondition(condition, params) {
+    const { field, operator, value } = condition;
+
+    if (SEGMENT_FIELDS[field] === 'attribute') {
+      return this.buildAttributeCondition(condition, params);
+    }
+
+    params.push(value);
+    const p = `$${params.length}`;
+
+    switch (operator) {
+      case 'equals':
+        return `${field} = ${p}`;
+      case 'not_equals':
+        return `${field} IS DISTINCT FROM ${p}`;
+      case 'in':
+        return `${field} = ANY(${p}::text[])`;
+      case 'not_in':
+        return `(${field} IS NULL OR NOT (${field} = ANY(${p}::text[])))`;
+      case 'before':
+        return `${field} < ${p}`;
+      case 'after':
+        return `${field} > ${p}`;
+      case 'within_last_days':
+        return `${field} >= NOW() - (${p}::float8 * INTERVAL '1 day')`;
+      case 'not_within_last_days':
+        return `(${field} IS NULL OR ${field} < NOW() - (${p}::float8 * INTERVAL '1 day'))`;
+      case 'contains':
+        return `${p} = ANY(COALESCE(tags, '{}'))`;
+      case 'not_contains':
+        return `NOT (${p} = ANY(COALESCE(tags, '{}')))`;
+      case 'contains_any':
+        return `COALESCE(tags, '{}') && ${p}::text[]`;
+      case 'contains_all':
+        return `COALESCE(tags, '{}') @> ${p}::text[]`;
+      default:
+        throw new Error(`Unsupported segment operator: ${operator}`);
+    }
+  }
+
+  // ルール全体をSQLに変換
+  buildRulesFilter(rules, params) {
+    const joiner = rules.match === 'any' ? ' OR ' : ' AND ';
+    const conditions = rules.conditions.map(condition => this.buildCondition(condition, params));
+    return `(${conditions.join(joiner)})`;
+  }
+
+  // セグメントの絞り込み条件をSQLに変換（subscribersテーブルに対する条件）
+  buildSegmentFilter(segment, params) {
+    if (segment.type === 'dynamic') {
+      return this.buildRulesFilter(segment.rules, params);
+    }
+
+    params.push(segment.id);
+    return `id IN (SELECT subscriber_id FROM segment_members WHERE segment_id = $${params.length})`;
+  }
+
+  // キャンペーンの配信対象購読者を取得するクエリを組み立てる
+  // segment_id が指定されているのにセグメントが存在しない場合は全員配信を避けるためエラー
+  async buildAudienceQuery(siteId, segmentId, columns = '*') {
+    const params = [siteId];
+    let query = `SELECT ${columns} FROM subscribers WHERE site_id = $1 AND is_active = true`;
+
+    if (segmentId) {
+      const segment = await this.getSegment(segmentId);
+
+      if (!segment || segment.site_id !== siteId) {
+        throw new Error(`Segment ${segmentId} not found`);
+      }
+
+      query += ` AND ${this.buildSegmentFilter(segment, params)}`;
+    }
+
+    return { query, params };
+  }
+
+  // セグメント一覧（人数付き）
+  async listSegments(siteId) {
+    const result = await pool.query(
+      'SELECT * FROM segments WHERE site_id = $1 ORDER BY created_at DESC',
+      [siteId]
+    );
+
+    const segments = [];
+    for (const segment of result.rows) {
+      segments.push({ ...segment, subscriber_count: await this.countMembers(segment) });
+    }
+    return segments;
+  }
+
+  // セグメント1件取得
+  async getSegment(id) {
+    const result = await pool.query('SELECT * FROM segments WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  // セグメント作成
+  async createSegment({ siteId, name, description, type, rules, createdBy }) {
+    const result = await pool.query(
+      `INSERT INTO segments (site_id, name, description, type, rules, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        siteId,
+        name,
+        description || '',
+        type,
+        type === 'dynamic' ? JSON.stringify(rules) : null,
+        createdBy
+      ]
+    );
+    return result.rows[0];
+  }
+
+  // セグメント更新（種別は変更不可）
+  async updateSegment(id, { name, description, rules }) {
+    const result = await pool.query(
+      `UPDATE segments
+       SET name = COALESCE($1, name),
+           description = COALESCE($2, description),
+           rules = COALESCE($3, rules),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $4
+       RETURNING *`,
+      [name, description, rules ? JSON.stringify(rules) : null, id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // セグメント削除
+  async deleteSegment(id) {
+    await pool.query('DELETE FROM segments WHERE id = $1', [id]);
+  }
+
+  // セグメントを使用中のキャンペーン
+  // 配信済み・失敗・停止・A/Bテスト中（testing）などのキャンペーンも再送・再開・勝者配信で再び送信されうるため、
+  // ステータスにかかわらず対象にする（削除すると segment_id が NULL になり、サイト全体に送信されてしまう）
+  async findPendingCampaigns(segmentId) {
+    const result = await pool.query(
+      `SELECT id, name, status FROM campaigns
+       WHERE segment_id = $1
+       ORDER BY created_at DESC`,
+      [segmentId]
+    );
+    return result.rows;
+  }
+
+  // 静的セグメントにメンバー追加（同じサイトの購読者のみ）
+  async addMembers(segment, subscriberIds) {
+    const result = await pool.query(
+      `INSERT INTO segment_members (segment_id, subscriber_id)
+       SELECT $1, id FROM subscribers WHERE site_id = $2 AND id = ANY($3)
+       ON CONFLICT (segment_id, subscriber_id) DO NOTHING
+       RETURNING subscriber_id`,
+      [segment.id, segment.site_id, subscriberIds]
+    );
+    return result.rowCount;
+  }
+
+  // 静的セグメントからメンバー削除
+  async removeMembers(segment, subscriberIds) {
+    const result = await pool.query(
+      'DELETE FROM segment_members WHERE segment_id = $1 AND subscriber_id = ANY($2)',
+      [segment.id, subscriberIds]
+    );
+    return result.rowCount;
+  }
+
+  // セグメントに該当するアクティブ購読者一覧
+  async listMembers(segment, limit, offset) {
+    const { query, params } = await this.buildAudienceQuery(segment.site_id, segment.id);
+    params.push(limit, offset);
+
+    const result = await pool.query(
+      `${query} ORDER BY subscribed_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return result.rows;
+  }
+
+  // セグメントに該当するアクティブ購読者数
+  async countMembers(segment) {
+    const params = [segment.site_id];
+    const filter = this.buildSegmentFilter(segment, params);
+
+    const result = await pool.query(
+      `SELECT COUNT(*) FROM subscribers WHERE site_id = $1 AND is_active = true AND ${filter}`,
+      params
+    );
+    return parseInt(result.rows[0].count);
+  }
+
+  // 保存前のルールで該当人数をプレビュー
+  async previewRules(siteId, rules) {
+    const params = [siteId];
+    const filter = this.buildRulesFilter(rules, params);
+
+    const result = await pool.query(
+      `SELECT COUNT(*) FROM subscribers WHERE site_id = $1 AND is_active = true AND ${filter}`,
+      params
+    );
+
+    const totalResult = await pool.query(
+      'SELECT COUNT(*) FROM subscribers WHERE site_id = $1 AND is_active = true',
+      [siteId]
+    );
+
+    return {
+      count: parseInt(result.rows[0].count),
+      total: parseInt(totalResult.rows[0].count)
+    };
+  }
+}
+
+// セグメント関連テーブル作成SQL
+const createSegmentsTables = `
+CREATE TABLE IF NOT EXISTS segments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT DEFAULT '',
+  type VARCHAR(20) NOT NULL DEFAULT 'static', -- 'static', 'dynamic'
+  rules JSONB, -- 動的セグメントのルール
+  created_by UUID,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS segment_members (
+  segment_id UUID NOT NULL REFERENCES segments(id) ON DELETE CASCADE,
+  subscriber_id UUID NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (segment_id, subscriber_id)
+);
+
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS tags TEXT[] DEFAULT '{}';
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS segment_id UUID REFERENCES segments(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_segments_site ON segments(site_id);
+CREATE INDEX IF NOT EXISTS idx_subscribers_tags ON subscribers USING GIN (tags);
+`;
+
+module.exports = new SegmentService();
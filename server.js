@@ -1,10 +1,38 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const webpush = require('web-push');
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+const reportService = require('./report');
+const emailReportService = require('./email-report');
+const trackingService = require('./tracking');
+const segmentService = require('./segments');
+const deliveryService = require('./delivery');
+const { CAMPAIGN_STATUS } = require('./delivery');
+const queueService = require('./queue');
+const vapidKeyService = require('./vapid');
+const secretsService = require('./secrets');
+const siteAuthService = require('./site-auth');
+const subscriptionService = require('./subscriptions');
+const { SUBSCRIPTION_EVENTS } = require('./subscriptions');
+const widgetService = require('./widget');
+const { WIDGET_THEMES, WIDGET_POSITIONS } = require('./widget');
+const attributeService = require('./attributes');
+const transactionalService = require('./transactional');
+const payloadService = require('./payload');
+const pushOptionsService = require('./push-options');
+const templateService = require('./template');
+const localeService = require('./locale');
+const abTestService = require('./abtest');
+const deliveryWorker = require('./worker');
+const { calculateNextScheduledTime, listUpcomingRuns, validateSchedule } = require('./recurrence');
+const { DEFAULT_TIMEZONE, isValidTimeZone, parseDateTime, withLocalTimes } = require('./timezone');
+const localDeliveryService = require('./local-delivery');
+const misfireService = require('./misfire');
+const clusterService = require('./cluster');
 
 const app = express();
 const PORT = process.env.PORT || 10000;
@@ -21,14 +49,6 @@ console.log('VAPID_PUBLIC_KEY:', process.env.VAPID_PUBLIC_KEY ? 'SET' : 'NOT SET
 console.log('VAPID_PRIVATE_KEY:', process.env.VAPID_PRIVATE_KEY ? 'SET' : 'NOT SET');
 console.log('===================================');
 
-// データベース接続設定
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
-  }
-});
-
 // データベース接続テスト
 pool.connect((err, client, release) => {
   if (err) {
@@ -40,15 +60,11 @@ pool.connect((err, client, release) => {
 });
 
 // VAPID設定
+// 送信はサイトごとの鍵（vapid.js）で署名する。環境変数の鍵は鍵を持たないサイトのフォールバック
 if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
-  webpush.setVapidDetails(
-    'mailto:admin@example.com',
-    process.env.VAPID_PUBLIC_KEY,
-    process.env.VAPID_PRIVATE_KEY
-  );
-  console.log('✅ VAPID keys configured');
+  console.log('✅ Fallback VAPID keys configured');
 } else {
-  console.warn('⚠️ VAPID keys not set');
+  console.warn('⚠️ Fallback VAPID keys not set (per-site keys only)');
 }
 
 // 認証ミドルウェア
@@ -80,21 +96,76 @@ function checkSiteAccess(req, res, next) {
   }
   
   // clientは自分のサイトのみ
-  const requestedSiteId = req.query.siteId || req.body.siteId || req.params.siteId;
+  // クエリ・ボディ・パスのいずれかに他サイトのsiteIdが含まれていれば拒否する
+  // （ハンドラーによって参照する場所が異なるため、指定されたものをすべて確認する）
+  // （ロゴアップロードなどボディが画像データの場合は対象外）
+  const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) && !Buffer.isBuffer(req.body)
+    ? req.body
+    : null;
+  const requestedSiteIds = [req.query.siteId, body && body.siteId, req.params.siteId]
+    .filter(siteId => siteId !== undefined && siteId !== null && siteId !== '');
   
-  if (requestedSiteId && requestedSiteId !== userSiteId) {
+  if (!userSiteId || requestedSiteIds.some(siteId => siteId !== userSiteId)) {
     return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
   }
   
-  // siteIdが指定されていない場合は自動的に設定
-  if (!req.query.siteId && !req.body.siteId) {
-    req.query.siteId = userSiteId;
-    req.body.siteId = userSiteId;
+  // ハンドラーがどちらを参照しても自分のサイトになるよう、常に上書きする
+  req.query.siteId = userSiteId;
+  if (body) {
+    body.siteId = userSiteId;
   }
   
   next();
 }
 
+// 公開エンドポイント（購読・SDK）用のサイト認証ミドルウェア
+// 公開キー（X-Site-Key または siteKey）+ Origin、またはAPIキー（X-API-Key）で認証し、req.site に設定する
+async function authenticateSite(req, res, next) {
+  try {
+    const body = req.body || {};
+    const result = await siteAuthService.authenticate({
+      publicKey: req.headers['x-site-key'] || body.siteKey || req.query.siteKey,
+      apiKey: req.headers['x-api-key'],
+      origin: req.headers.origin,
+      siteId: body.siteId || req.query.siteId
+    });
+    
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    
+    req.site = result.site;
+    req.siteAuthMethod = result.method;
+    next();
+  } catch (error) {
+    console.error('サイト認証エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// サーバー間連携専用のエンドポイント用（authenticateSite の後に使用し、公開キーでの呼び出しを拒否する）
+function requireSiteApiKey(req, res, next) {
+  if (req.siteAuthMethod !== 'api_key') {
+    return res.status(403).json({ error: 'This endpoint requires the site API key (X-API-Key)' });
+  }
+  next();
+}
+
+// 指定サイトへのアクセス権限判定（リソースIDから取得したsite_idのチェック用）
+function canAccessSite(user, siteId) {
+  if (user.role === 'admin') {
+    return true;
+  }
+  return !!user.assigned_site_id && user.assigned_site_id === siteId;
+}
+
+// サイト情報のレスポンス（VAPID秘密鍵・APIキーは返さない）
+// APIキーは作成・再発行時のレスポンスでのみ平文を返し、以降は先頭8文字（api_key_prefix）だけを表示に使う
+function toSiteResponse(site) {
+  const { vapid_private_key, api_key, api_key_hash, ...rest } = site;
+  return rest;
+}
+
 // ヘルスチェックエンドポイント
 app.get('/health', async (req, res) => {
   try {
@@ -106,7 +177,8 @@ app.get('/health', async (req, res) => {
       environment: {
         databaseUrl: !!process.env.DATABASE_URL,
         jwtSecret: !!process.env.JWT_SECRET,
-        vapidKeys: !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY)
+        vapidKeys: !!(process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY),
+        secretsMasterKey: secretsService.isConfigured()
       }
     });
   } catch (error) {
@@ -118,8 +190,16 @@ app.get('/health', async (req, res) => {
 });
 
 // VAPID公開鍵取得エンドポイント（認証不要）
-app.get('/vapid-public-key', (req, res) => {
+// siteId指定時はサイトの現在の鍵、未指定時は環境変数の鍵（旧ウィジェット互換）
+app.get('/vapid-public-key', async (req, res) => {
     try {
+        if (req.query.siteId) {
+            const key = await vapidKeyService.getActiveKey(req.query.siteId);
+            if (!key) {
+                return res.status(404).json({ error: 'VAPID public key not found for site' });
+            }
+            return res.json({ publicKey: key.public_key });
+        }
         if (!process.env.VAPID_PUBLIC_KEY) {
             console.error('❌ VAPID_PUBLIC_KEY not set');
             return res.status(500).json({ error: 'VAPID public key not configured' });
@@ -132,6 +212,129 @@ app.get('/vapid-public-key', (req, res) => {
     }
 });
 
+// サイトのVAPID公開鍵取得（認証不要・ウィジェットの購読処理で使用）
+app.get('/api/sites/:id/vapid-public-key', async (req, res) => {
+  try {
+    const siteResult = await pool.query(
+      'SELECT id FROM sites WHERE id = $1 AND is_active = true',
+      [req.params.id]
+    );
+    
+    if (siteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    const key = await vapidKeyService.getActiveKey(req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: 'VAPID public key not found for site' });
+    }
+    
+    res.json({ publicKey: key.public_key, keyId: key.id });
+  } catch (error) {
+    console.error('VAPID公開鍵取得エラー:', error);
+    res.status(500).json({ error: 'Failed to get VAPID public key' });
+  }
+});
+
+// 公開キーからウィジェット用のサイト設定を組み立てる（無効なサイト・鍵未設定ならnull）
+async function loadWidgetConfig(req, siteKey) {
+  const site = await siteAuthService.findSiteByPublicKey(siteKey);
+  if (!site || !site.is_active) {
+    return null;
+  }
+  
+  const vapidKey = await vapidKeyService.getActiveKey(site.id);
+  if (!vapidKey) {
+    return null;
+  }
+  
+  return widgetService.buildClientConfig(site, vapidKey.public_key, widgetService.getPublicBaseUrl(req));
+}
+
+// 購読ウィジェット（認証不要・サイトのページに <script> で埋め込む）
+app.get('/widget/:siteKey.js', async (req, res) => {
+  try {
+    const config = await loadWidgetConfig(req, req.params.siteKey);
+    
+    res.type('application/javascript');
+    
+    if (!config) {
+      return res.status(404).send('/* Web Push widget: site not found */');
+    }
+    
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(widgetService.renderWidgetScript(config));
+  } catch (error) {
+    console.error('ウィジェット生成エラー:', error);
+    res.status(500).type('application/javascript').send('/* Web Push widget: internal error */');
+  }
+});
+
+// Service Worker 本体（認証不要・サイトの Service Worker から importScripts で読み込む）
+app.get('/sw/:siteKey.js', async (req, res) => {
+  try {
+    const config = await loadWidgetConfig(req, req.params.siteKey);
+    
+    res.type('application/javascript');
+    
+    if (!config) {
+      return res.status(404).send('/* Web Push service worker: site not found */');
+    }
+    
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(widgetService.renderServiceWorker(config));
+  } catch (error) {
+    console.error('Service Worker生成エラー:', error);
+    res.status(500).type('application/javascript').send('/* Web Push service worker: internal error */');
+  }
+});
+
+// 通知トラッキングエンドポイント（認証不要・Service Workerから呼び出し）
+// 認証は配信ペイロードに含まれる署名トークン（token）またはサイトのAPIキー（X-API-Key）
+app.post('/api/track/:deliveryId/:event', async (req, res) => {
+  try {
+    const { deliveryId, event } = req.params;
+    
+    if (!trackingService.isValidEvent(event)) {
+      return res.status(400).json({ error: 'event must be one of shown, clicked, closed' });
+    }
+    
+    const delivery = await trackingService.getDelivery(deliveryId);
+    
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    
+    // sendBeacon（text/plain）でも送れるようにクエリパラメータも受け付ける
+    const token = (req.body && req.body.token) || req.query.token;
+    const apiKey = req.headers['x-api-key'];
+    const authorized =
+      trackingService.verifyToken(deliveryId, token) ||
+      secretsService.verifyApiKey(apiKey, delivery.api_key_hash);
+    
+    if (!authorized) {
+      return res.status(401).json({ error: 'Invalid tracking token' });
+    }
+    
+    // アクションボタンのクリックはボタンIDも記録
+    const action = (req.body && req.body.action) || req.query.action || null;
+    if (action !== null && (event !== 'clicked' || !trackingService.isValidAction(action))) {
+      return res.status(400).json({ error: 'action is only valid for clicked events and must be an action id' });
+    }
+    
+    const updated = await trackingService.recordEvent(deliveryId, event, action);
+    
+    if (!updated) {
+      return res.status(409).json({ error: 'Delivery has not been sent' });
+    }
+    
+    res.status(204).end();
+  } catch (error) {
+    console.error('トラッキング記録エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ルートエンドポイント
 app.get('/', (req, res) => {
   res.json({
@@ -143,14 +346,78 @@ app.get('/', (req, res) => {
         login: 'POST /api/auth/login',
         register: 'POST /api/auth/register'
       },
+      widget: {
+        script: 'GET /widget/:siteKey.js',
+        serviceWorker: 'GET /sw/:siteKey.js'
+      },
+      sites: {
+        widget: 'GET /api/sites/:id/widget',
+        vapidPublicKey: 'GET /api/sites/:id/vapid-public-key',
+        vapidKeys: 'GET /api/sites/:id/vapid-keys',
+        rotateVapidKey: 'POST /api/sites/:id/vapid-keys/rotate'
+      },
       subscribers: {
-        subscribe: 'POST /api/subscribe',
-        list: 'GET /api/subscribers'
+        subscribe: 'POST /api/subscribe (X-Site-Key + Origin, or X-API-Key)',
+        unsubscribe: 'POST /api/unsubscribe',
+        change: 'POST /api/subscription-change',
+        sdkAttributes: 'POST /api/sdk/attributes',
+        sdkLocale: 'POST /api/sdk/locale',
+        identify: 'POST /api/identify (X-API-Key)',
+        list: 'GET /api/subscribers?status=active|inactive|all&externalUserId=...&tag=...&attributes[key]=value',
+        detail: 'GET /api/subscribers/:id',
+        update: 'PATCH /api/subscribers/:id',
+        bulkUpdate: 'POST /api/subscribers/bulk-update',
+        events: 'GET /api/subscribers/:id/events',
+        siteEvents: 'GET /api/subscription-events'
+      },
+      segments: {
+        list: 'GET /api/segments',
+        create: 'POST /api/segments',
+        preview: 'POST /api/segments/preview',
+        members: 'GET|POST|DELETE /api/segments/:id/members'
+      },
+      transactional: {
+        send: 'POST /api/send (X-API-Key, Idempotency-Key)',
+        status: 'GET /api/send/:id (X-API-Key)'
+      },
+      users: {
+        notify: 'POST /api/notify-user (X-API-Key, Idempotency-Key)',
+        subscribers: 'GET /api/users/:externalUserId/subscribers (X-API-Key)'
+      },
+      tracking: {
+        event: 'POST /api/track/:deliveryId/:event (shown | clicked | closed, action for button clicks)'
       },
       campaigns: {
         create: 'POST /api/campaigns',
         list: 'GET /api/campaigns',
-        send: 'POST /api/campaigns/:id/send'
+        preview: 'POST /api/campaigns/preview | POST /api/campaigns/:id/preview',
+        schedulePreview: 'POST /api/campaigns/schedule-preview',
+        send: 'POST /api/campaigns/:id/send',
+        abTestWinner: 'POST /api/campaigns/:id/ab-test/winner',
+        jobs: 'GET /api/campaigns/:id/jobs',
+        missedRuns: 'GET /api/campaigns/:id/missed-runs'
+      },
+      scheduler: {
+        status: 'GET /api/scheduler/status (admin)'
+      },
+      jobs: {
+        status: 'GET /api/jobs/:id',
+        cancel: 'POST /api/jobs/:id/cancel'
+      },
+      reports: {
+        dashboard: 'POST /api/reports/dashboard',
+        csv: 'POST /api/reports/csv',
+        email: 'POST /api/reports/email',
+        download: 'GET /api/reports/:filename',
+        template: 'GET|PUT /api/reports/template',
+        logo: 'POST /api/reports/logo'
+      },
+      autoReports: {
+        list: 'GET /api/auto-reports',
+        create: 'POST /api/auto-reports',
+        update: 'PUT /api/auto-reports/:id',
+        stop: 'POST /api/auto-reports/:id/stop',
+        delete: 'DELETE /api/auto-reports/:id'
       }
     }
   });
@@ -224,39 +491,367 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// 購読エンドポイント
-app.post('/api/subscribe', async (req, res) => {
+// 購読データの形式チェック
+function isValidSubscription(subscription) {
+  return !!subscription &&
+    typeof subscription.endpoint === 'string' &&
+    /^https:\/\//.test(subscription.endpoint) &&
+    !!subscription.keys && !!subscription.keys.p256dh && !!subscription.keys.auth;
+}
+
+// 購読に使われたVAPID鍵の解決（applicationServerKey 未指定時はサイトの現在の鍵とみなす）
+// 不明な applicationServerKey の場合は null
+async function resolveSubscriptionKeys(siteId, applicationServerKey) {
+  let subscribedKey = null;
+  if (applicationServerKey) {
+    subscribedKey = await vapidKeyService.findKeyByPublicKey(siteId, applicationServerKey);
+    if (!subscribedKey) {
+      return null;
+    }
+  }
+  const activeKey = await vapidKeyService.getActiveKey(siteId);
+  
+  return {
+    vapidKeyId: subscribedKey ? subscribedKey.id : null,
+    defaultVapidKeyId: activeKey ? activeKey.id : null
+  };
+}
+
+// 購読者のロケール（SDKが送る navigator.language、なければ Accept-Language ヘッダー）
+function resolveSubscriberLocale(req) {
+  return localeService.normalize(req.body.locale) || localeService.parseAcceptLanguage(req.get('Accept-Language'));
+}
+
+// 購読者のタイムゾーン（SDKが送る Intl のタイムゾーン名。不正・未指定ならnull）
+function resolveSubscriberTimezone(req) {
+  return isValidTimeZone(req.body.timezone) ? req.body.timezone : null;
+}
+
+// 購読エンドポイント（サイトの公開キーまたはAPIキーが必要）
+app.post('/api/subscribe', authenticateSite, async (req, res) => {
   try {
-    const { siteId, subscription, userAgent } = req.body;
+    const { subscription, userAgent, applicationServerKey, externalUserId } = req.body;
+    const siteId = req.site.id;
+    
+    if (!isValidSubscription(subscription)) {
+      return res.status(400).json({ error: 'subscription must include an https endpoint and p256dh/auth keys' });
+    }
+    
+    // ユーザーIDの紐付けはAPIキー（サーバー間連携）でのみ受け付ける
+    if (externalUserId !== undefined) {
+      if (req.siteAuthMethod !== 'api_key') {
+        return res.status(403).json({ error: 'externalUserId can only be set with the site API key (X-API-Key)' });
+      }
+      if (!transactionalService.isValidExternalUserId(externalUserId)) {
+        return res.status(400).json({ error: 'externalUserId must be a non-empty string of up to 255 characters' });
+      }
+    }
+    
+    const keys = await resolveSubscriptionKeys(siteId, applicationServerKey);
+    if (!keys) {
+      return res.status(400).json({ error: 'Unknown applicationServerKey for this site' });
+    }
     
     // User-Agentを解析
     const deviceInfo = parseUserAgent(userAgent || '');
     
-    const result = await pool.query(
-      `INSERT INTO subscribers (site_id, endpoint, p256dh_key, auth_key, user_agent, device_type, browser, os)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-       ON CONFLICT (site_id, endpoint) DO UPDATE
-       SET last_active_at = CURRENT_TIMESTAMP,
-           device_type = EXCLUDED.device_type,
-           browser = EXCLUDED.browser,
-           os = EXCLUDED.os
-       RETURNING id`,
-      [
-        siteId,
-        subscription.endpoint,
-        subscription.keys.p256dh,
-        subscription.keys.auth,
-        userAgent,
-        deviceInfo.device,
-        deviceInfo.browser,
-        deviceInfo.os
-      ]
-    );
+    const { subscriber, event } = await subscriptionService.subscribe(siteId, {
+      subscription,
+      userAgent,
+      deviceInfo,
+      locale: resolveSubscriberLocale(req),
+      timezone: resolveSubscriberTimezone(req),
+      ...keys
+    });
+    
+    if (externalUserId !== undefined) {
+      await transactionalService.identifySubscriber(siteId, { subscriberId: subscriber.id }, externalUserId);
+    }
     
     res.json({
       message: 'Subscription saved',
-      subscriberId: result.rows[0].id
+      subscriberId: subscriber.id,
+      event
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読解除エンドポイント（ブラウザで unsubscribe() した後に呼び出す）
+app.post('/api/unsubscribe', authenticateSite, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    
+    const subscriber = await subscriptionService.unsubscribe(req.site.id, endpoint);
+    
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Active subscription not found' });
+    }
+    
+    res.json({ message: 'Unsubscribed', subscriberId: subscriber.id });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読変更エンドポイント（Service Workerの pushsubscriptionchange から呼び出す）
+// 新しい購読（subscription）があれば旧エンドポイントと置き換え、購読者IDと配信履歴を引き継ぐ
+app.post('/api/subscription-change', authenticateSite, async (req, res) => {
+  try {
+    const { oldEndpoint, subscription, userAgent, applicationServerKey } = req.body;
+    const siteId = req.site.id;
+    
+    if (!oldEndpoint) {
+      return res.status(400).json({ error: 'oldEndpoint is required' });
+    }
+    
+    if (subscription && !isValidSubscription(subscription)) {
+      return res.status(400).json({ error: 'subscription must include an https endpoint and p256dh/auth keys' });
+    }
+    
+    const keys = await resolveSubscriptionKeys(siteId, applicationServerKey);
+    if (!keys) {
+      return res.status(400).json({ error: 'Unknown applicationServerKey for this site' });
+    }
+    
+    const result = await subscriptionService.changeSubscription(siteId, oldEndpoint, {
+      subscription: subscription || null,
+      userAgent,
+      deviceInfo: parseUserAgent(userAgent || ''),
+      locale: resolveSubscriberLocale(req),
+      timezone: resolveSubscriberTimezone(req),
+      ...keys
+    });
+    
+    if (!result) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    
+    res.json({
+      message: 'Subscription updated',
+      subscriberId: result.subscriber.id,
+      event: result.event
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// タグ・カスタム属性の設定（ページのSDKから呼び出す）
+// body: { endpoint, tags | addTags | removeTags, attributes }
+app.post('/api/sdk/attributes', authenticateSite, async (req, res) => {
+  try {
+    const { endpoint, tags, addTags, removeTags, attributes } = req.body;
+    
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    
+    const update = { tags, addTags, removeTags, attributes };
+    const validationError = attributeService.validateUpdate(update);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const subscriber = await attributeService.updateByEndpoint(req.site.id, endpoint, update);
+    
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Active subscription not found' });
+    }
+    
+    res.json({
+      subscriberId: subscriber.id,
+      tags: subscriber.tags,
+      attributes: subscriber.attributes
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読者のロケールの変更（ページのSDKから呼び出す。サイトの言語切り替え時など）
+// body: { endpoint, locale }
+app.post('/api/sdk/locale', authenticateSite, async (req, res) => {
+  try {
+    const { endpoint } = req.body;
+    
+    if (!endpoint) {
+      return res.status(400).json({ error: 'endpoint is required' });
+    }
+    
+    const locale = localeService.normalize(req.body.locale);
+    if (!locale) {
+      return res.status(400).json({ error: 'locale must be a valid language tag (e.g. ja, en-US)' });
+    }
+    
+    const subscriber = await localeService.updateByEndpoint(req.site.id, endpoint, locale);
+    
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Active subscription not found' });
+    }
+    
+    res.json({ subscriberId: subscriber.id, locale: subscriber.locale });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読者にサイトのユーザーIDを紐付け（サーバー間連携。ログイン時に呼び出す）
+// body: { endpoint または subscriberId, externalUserId（null で解除） }
+app.post('/api/identify', authenticateSite, requireSiteApiKey, async (req, res) => {
+  try {
+    const { endpoint, subscriberId, externalUserId } = req.body;
+    
+    if (!endpoint && !subscriberId) {
+      return res.status(400).json({ error: 'endpoint or subscriberId is required' });
+    }
+    
+    if (subscriberId && !transactionalService.isValidUuid(subscriberId)) {
+      return res.status(400).json({ error: 'subscriberId must be a UUID' });
+    }
+    
+    if (!subscriberId && typeof endpoint !== 'string') {
+      return res.status(400).json({ error: 'endpoint must be a string' });
+    }
+    
+    if (externalUserId !== null && !transactionalService.isValidExternalUserId(externalUserId)) {
+      return res.status(400).json({ error: 'externalUserId must be a non-empty string of up to 255 characters, or null' });
+    }
+    
+    const subscriber = await transactionalService.identifySubscriber(
+      req.site.id,
+      subscriberId ? { subscriberId } : { endpoint },
+      externalUserId
+    );
+    
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    
+    res.json({
+      subscriberId: subscriber.id,
+      externalUserId: subscriber.external_user_id,
+      isActive: subscriber.is_active
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// トランザクション通知の送信（共通処理）
+// Idempotency-Key ヘッダー（または body.idempotencyKey）があれば同じキーの再送は最初の結果を返す
+async function sendTransactional(req, res, request) {
+  const idempotencyKey = req.headers['idempotency-key'] || req.body.idempotencyKey;
+  
+  if (idempotencyKey !== undefined && !transactionalService.isValidIdempotencyKey(idempotencyKey)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be a non-empty string of up to 255 characters' });
+  }
+  
+  const validationError = transactionalService.validateRequest(request);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+  
+  const outcome = await transactionalService.send(req.site.id, request, { idempotencyKey });
+  
+  if (outcome.error) {
+    return res.status(outcome.status).json({ error: outcome.error });
+  }
+  
+  if (outcome.replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  res.json(outcome.result);
+}
+
+// トランザクション通知（購読者ID・ユーザーID・エンドポイントを指定して即時送信）
+// body: { subscriberId(s) | externalUserId(s) | endpoint(s), title, body, url,
+//         ...表示オプション（payload.js）, ttl, urgency, topic, expiresAt（push-options.js） }
+app.post('/api/send', authenticateSite, requireSiteApiKey, async (req, res) => {
+  try {
+    const { subscriberId, subscriberIds, externalUserId, externalUserIds, endpoint, endpoints } = req.body;
+    const { title, body, url } = req.body;
+    
+    // 単数形のキーは1件の配列として扱う
+    const toList = (list, single) => list !== undefined ? list : single !== undefined ? [single] : undefined;
+    
+    await sendTransactional(req, res, {
+      subscriberIds: toList(subscriberIds, subscriberId),
+      externalUserIds: toList(externalUserIds, externalUserId),
+      endpoints: toList(endpoints, endpoint),
+      title,
+      body,
+      url,
+      ...payloadService.pickOptions(req.body),
+      ...pushOptionsService.pickOptions(req.body)
     });
+  } catch (error) {
+    console.error('トランザクション通知エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ユーザーへの通知（ユーザーの有効な全端末に即時送信し、ユーザーごとの結果を返す）
+// body: { externalUserId または externalUserIds, title, body, url, ...表示オプション, ttl, urgency, topic, expiresAt }
+app.post('/api/notify-user', authenticateSite, requireSiteApiKey, async (req, res) => {
+  try {
+    const { externalUserId, externalUserIds, title, body, url } = req.body;
+    
+    await sendTransactional(req, res, {
+      externalUserIds: externalUserIds || (externalUserId !== undefined ? [externalUserId] : []),
+      title,
+      body,
+      url,
+      ...payloadService.pickOptions(req.body),
+      ...pushOptionsService.pickOptions(req.body)
+    });
+  } catch (error) {
+    console.error('ユーザー通知エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// トランザクション通知の送信記録（端末ごとの配信・トラッキング状況付き）
+app.get('/api/send/:id', authenticateSite, requireSiteApiKey, async (req, res) => {
+  try {
+    if (!transactionalService.isValidUuid(req.params.id)) {
+      return res.status(400).json({ error: 'Message id must be a UUID' });
+    }
+    
+    const message = await transactionalService.getMessage(req.site.id, req.params.id);
+    
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    
+    const { response, request_hash, ...rest } = message;
+    const deliveries = await transactionalService.listMessageDeliveries(message.id);
+    
+    res.json({ ...rest, deliveries });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ユーザーの端末一覧（サーバー間連携）
+app.get('/api/users/:externalUserId/subscribers', authenticateSite, requireSiteApiKey, async (req, res) => {
+  try {
+    const subscribers = await transactionalService.listUserSubscribers(req.site.id, req.params.externalUserId);
+    
+    res.json(subscribers.map(subscriber => ({
+      subscriberId: subscriber.id,
+      isActive: subscriber.is_active,
+      deviceType: subscriber.device_type,
+      browser: subscriber.browser,
+      os: subscriber.os,
+      subscribedAt: subscriber.subscribed_at,
+      lastActiveAt: subscriber.last_active_at
+    })));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -322,600 +917,2089 @@ app.get('/api/subscribers', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'siteId is required' });
     }
     
-    const result = await pool.query(
-      'SELECT * FROM subscribers WHERE site_id = $1 AND is_active = true ORDER BY subscribed_at DESC',
-      [siteId]
-    );
+    // status: active（既定）/ inactive / all
+    const { status = 'active' } = req.query;
+    if (!['active', 'inactive', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'status must be one of active, inactive, all' });
+    }
     
-    res.json(result.rows);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// キャンペーン作成
-app.post('/api/campaigns', authenticateToken, async (req, res) => {
-  try {
-    let { siteId, name, title, body, url, iconUrl, deliveryType, scheduledAt, recurringSchedule } = req.body;
+    // tag: 指定したタグをすべて持つ購読者（複数指定またはカンマ区切り）
+    // attributes[key]=value: カスタム属性が一致する購読者
+    const tags = [].concat(req.query.tag || [])
+      .flatMap(tag => String(tag).split(','))
+      .map(tag => tag.trim())
+      .filter(Boolean);
     
-    // clientユーザーは自分のサイトIDを強制
-    if (req.user.role === 'client') {
-      if (!req.user.assigned_site_id) {
-        return res.status(403).json({ error: 'サイトが割り当てられていません' });
+    const attributeFilters = req.query.attributes || {};
+    if (typeof attributeFilters !== 'object' || Array.isArray(attributeFilters)) {
+      return res.status(400).json({ error: 'attributes must be specified as attributes[key]=value' });
+    }
+    
+    const conditions = [];
+    if (tags.length > 0) {
+      conditions.push({ field: 'tags', operator: 'contains_all', value: tags });
+    }
+    for (const [key, value] of Object.entries(attributeFilters)) {
+      if (typeof value !== 'string') {
+        return res.status(400).json({ error: `attributes[${key}] must be a single value` });
       }
-      siteId = req.user.assigned_site_id;
+      conditions.push({ field: 'attributes', key, operator: 'equals', value });
+    }
+    
+    const params = [siteId];
+    let query = 'SELECT * FROM subscribers WHERE site_id = $1';
+    if (status === 'active') {
+      query += ' AND is_active = true';
+    } else if (status === 'inactive') {
+      query += ' AND is_active = false';
     }
+    if (req.query.externalUserId) {
+      params.push(req.query.externalUserId);
+      query += ` AND external_user_id = $${params.length}`;
+    }
+    if (conditions.length > 0) {
+      const rules = { match: 'all', conditions };
+      const validationError = segmentService.validateRules(rules);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      query += ` AND ${segmentService.buildRulesFilter(rules, params)}`;
+    }
+    query += ' ORDER BY subscribed_at DESC';
+    
+    const result = await pool.query(query, params);
+    
+    res.json(result.rows);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読イベント一覧（サイト単位・種別ごとの件数付き）
+app.get('/api/subscription-events', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, type, startDate, endDate } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
     
     if (!siteId) {
       return res.status(400).json({ error: 'siteId is required' });
     }
     
-    // 繰り返し配信の場合、初回scheduled_atを計算
-    if (deliveryType === 'recurring' && recurringSchedule) {
-      scheduledAt = calculateNextScheduledTime(recurringSchedule);
+    if (type && !subscriptionService.isValidEventType(type)) {
+      return res.status(400).json({ error: `type must be one of ${SUBSCRIPTION_EVENTS.join(', ')}` });
     }
     
-    const result = await pool.query(
-      `INSERT INTO campaigns (site_id, name, title, body, url, icon_url, delivery_type, scheduled_at, recurring_schedule, created_by, status)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       RETURNING *`,
-      [
-        siteId, 
-        name, 
-        title, 
-        body, 
-        url, 
-        iconUrl || null, 
-        deliveryType, 
-        scheduledAt, 
-        recurringSchedule ? JSON.stringify(recurringSchedule) : null,
-        req.user.id, 
-        'draft'
-      ]
-    );
+    const [events, counts] = await Promise.all([
+      subscriptionService.listSiteEvents(siteId, { eventType: type, startDate, endDate, limit, offset }),
+      subscriptionService.countSiteEvents(siteId, { startDate, endDate })
+    ]);
     
-    res.status(201).json(result.rows[0]);
+    res.json({ events, counts });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// キャンペーン一覧
-app.get('/api/campaigns', authenticateToken, async (req, res) => {
+// 購読者取得とアクセス権限チェック（共通処理）
+async function loadSubscriberForRequest(req, res) {
+  const result = await pool.query('SELECT * FROM subscribers WHERE id = $1', [req.params.id]);
+  
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: '購読者が見つかりません' });
+    return null;
+  }
+  
+  if (!canAccessSite(req.user, result.rows[0].site_id)) {
+    res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    return null;
+  }
+  
+  return result.rows[0];
+}
+
+// 購読者詳細（最近の購読イベント付き）
+app.get('/api/subscribers/:id', authenticateToken, async (req, res) => {
   try {
-    let { siteId } = req.query;
+    const subscriber = await loadSubscriberForRequest(req, res);
+    if (!subscriber) return;
     
-    // clientユーザーは自分のサイトIDを強制
-    if (req.user.role === 'client') {
-      if (!req.user.assigned_site_id) {
-        return res.status(403).json({ error: 'サイトが割り当てられていません' });
-      }
-      siteId = req.user.assigned_site_id;
+    const events = await subscriptionService.listEvents(subscriber.id, { limit: 20 });
+    
+    res.json({ ...subscriber, events });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読者のイベント履歴
+app.get('/api/subscribers/:id/events', authenticateToken, async (req, res) => {
+  try {
+    const subscriber = await loadSubscriberForRequest(req, res);
+    if (!subscriber) return;
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const events = await subscriptionService.listEvents(subscriber.id, { limit, offset });
+    
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読者のタグ・カスタム属性の更新
+// body: { tags | addTags | removeTags, attributes, replaceAttributes }
+app.patch('/api/subscribers/:id', authenticateToken, async (req, res) => {
+  try {
+    const subscriber = await loadSubscriberForRequest(req, res);
+    if (!subscriber) return;
+    
+    const { tags, addTags, removeTags, attributes, replaceAttributes } = req.body;
+    const update = { tags, addTags, removeTags, attributes, replaceAttributes };
+    
+    const validationError = attributeService.validateUpdate(update);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
+    const updated = await attributeService.updateSubscriber(subscriber.id, update);
+    
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 購読者のタグ・カスタム属性の一括更新（CRMなどからの同期用）
+// body: { siteId, updates: [{ subscriberId または endpoint, tags | addTags | removeTags, attributes, replaceAttributes }] }
+app.post('/api/subscribers/bulk-update', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, updates } = req.body;
+    
     if (!siteId) {
       return res.status(400).json({ error: 'siteId is required' });
     }
     
-    const result = await pool.query(
-      'SELECT * FROM campaigns WHERE site_id = $1 ORDER BY created_at DESC',
-      [siteId]
-    );
+    const validationError = attributeService.validateBulkUpdates(updates);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    res.json(result.rows);
+    const result = await attributeService.bulkUpdate(siteId, updates);
+    
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// キャンペーン更新
-app.patch('/api/campaigns/:id', authenticateToken, async (req, res) => {
+// キャンペーンの応答（日時列にキャンペーンのタイムゾーンの時刻 *_local を併記）
+const CAMPAIGN_TIME_FIELDS = ['scheduled_at', 'expires_at', 'ab_test_ends_at', 'created_at', 'updated_at'];
+
+function formatCampaign(campaign) {
+  return withLocalTimes(campaign, CAMPAIGN_TIME_FIELDS);
+}
+
+// キャンペーン作成
+app.post('/api/campaigns', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { scheduled_at, recurring_schedule, status } = req.body;
+    let { siteId, name, title, body, url, deliveryType, scheduledAt, recurringSchedule, segmentId } = req.body;
     
-    const updates = [];
-    const values = [];
-    let paramIndex = 1;
+    // 表示オプション（iconUrl, imageUrl, badgeUrl, actions, tag, renotify, requireInteraction, silent, vibrate, data）
+    const payloadOptions = payloadService.pickOptions(req.body);
+    // プロトコルのオプション（ttl, urgency, topic, expiresAt）
+    const pushOptions = pushOptionsService.pickOptions(req.body);
     
-    if (scheduled_at !== undefined) {
-      updates.push(`scheduled_at = $${paramIndex++}`);
-      values.push(scheduled_at);
+    // clientユーザーは自分のサイトIDを強制
+    if (req.user.role === 'client') {
+      if (!req.user.assigned_site_id) {
+        return res.status(403).json({ error: 'サイトが割り当てられていません' });
+      }
+      siteId = req.user.assigned_site_id;
     }
     
-    if (recurring_schedule !== undefined) {
-      updates.push(`recurring_schedule = $${paramIndex++}`);
-      values.push(recurring_schedule ? JSON.stringify(recurring_schedule) : null);
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
     }
     
-    if (status !== undefined) {
-      updates.push(`status = $${paramIndex++}`);
-      values.push(status);
+    const payloadError =
+      payloadService.validateOptions(payloadOptions) ||
+      payloadService.checkSize({ title, body, url, ...payloadService.normalize(payloadOptions) });
+    if (payloadError) {
+      return res.status(400).json({ error: payloadError });
     }
     
-    if (updates.length === 0) {
-      return res.status(400).json({ error: 'No updates provided' });
+    // テンプレート変数とUTM設定（template.js）
+    const { utm } = req.body;
+    const templateError =
+      templateService.validateContent({ title, body, url, actions: payloadOptions.actions }) ||
+      templateService.validateUtm(utm);
+    if (templateError) {
+      return res.status(400).json({ error: templateError });
     }
     
-    updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(id);
+    // ロケール別の内容（locale.js）。title などは既定言語（defaultLocale）の内容
+    const { variants, defaultLocale } = req.body;
+    if (defaultLocale !== undefined && defaultLocale !== null && !localeService.normalize(defaultLocale)) {
+      return res.status(400).json({ error: 'defaultLocale must be a valid language tag (e.g. ja, en-US)' });
+    }
+    const variantsError = localeService.validateVariants(variants);
+    if (variantsError) {
+      return res.status(400).json({ error: variantsError });
+    }
     
-    const query = `UPDATE campaigns SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+    // A/Bテスト（abtest.js）。繰り返し配信・ロケール別の内容とは併用できない
+    const { abTest } = req.body;
+    if (abTest) {
+      if (deliveryType === 'recurring') {
+        return res.status(400).json({ error: 'A/Bテストは繰り返し配信では使用できません' });
+      }
+      if (variants) {
+        return res.status(400).json({ error: 'abTest と variants は同時に指定できません' });
+      }
+    }
+    const abTestError = abTestService.validateConfig(abTest, { title, body, url, ...payloadService.normalize(payloadOptions) });
+    if (abTestError) {
+      return res.status(400).json({ error: abTestError });
+    }
     
-    const result = await pool.query(query, values);
+    // 購読者の現地時刻での配信（local-delivery.js）。送信日時は localDelivery から決まる
+    const { localDelivery } = req.body;
+    if (localDelivery) {
+      if (deliveryType !== 'scheduled') {
+        return res.status(400).json({ error: 'localDeliveryは日時指定配信（scheduled）でのみ使用できます' });
+      }
+      if (abTest) {
+        return res.status(400).json({ error: 'localDelivery と abTest は同時に指定できません' });
+      }
+      if (scheduledAt !== undefined && scheduledAt !== null) {
+        return res.status(400).json({ error: 'localDelivery と scheduledAt は同時に指定できません' });
+      }
+    }
+    const localDeliveryError = localDeliveryService.validate(localDelivery);
+    if (localDeliveryError) {
+      return res.status(400).json({ error: localDeliveryError });
+    }
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Campaign not found' });
+    // セグメントは同じサイトのもののみ指定可能
+    if (segmentId) {
+      const segment = await segmentService.getSegment(segmentId);
+      if (!segment || segment.site_id !== siteId) {
+        return res.status(400).json({ error: '指定されたセグメントが見つかりません' });
+      }
     }
     
-    res.json(result.rows[0]);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
-
-// キャンペーン削除
-app.delete('/api/campaigns/:id', authenticateToken, async (req, res) => {
-  try {
-    const { id } = req.params;
+    // 時刻・曜日・日付を解釈するタイムゾーン（IANA名）
+    const timezone = req.body.timezone !== undefined ? req.body.timezone : DEFAULT_TIMEZONE;
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone name (e.g. Asia/Tokyo)' });
+    }
     
-    const result = await pool.query(
-      'DELETE FROM campaigns WHERE id = $1 RETURNING *',
-      [id]
-    );
+    // オフセットなしの日時（2025-01-01T09:00）はキャンペーンのタイムゾーンの時刻とみなす
+    if (scheduledAt !== undefined && scheduledAt !== null) {
+      const parsed = parseDateTime(scheduledAt, timezone);
+      if (!parsed) {
+        return res.status(400).json({ error: 'scheduledAt must be a date-time (ISO 8601)' });
+      }
+      scheduledAt = parsed.toISOString();
+    }
     
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Campaign not found' });
+    // 繰り返し配信の場合、スケジュール（recurrence.js）をチェックして初回scheduled_atを計算
+    if (deliveryType === 'recurring') {
+      const scheduleError = validateSchedule(recurringSchedule);
+      if (scheduleError) {
+        return res.status(400).json({ error: scheduleError });
+      }
+      scheduledAt = calculateNextScheduledTime(recurringSchedule, null, timezone);
+      if (!scheduledAt) {
+        return res.status(400).json({ error: 'recurringScheduleに今後の実行日時がありません（endDate・cron式を確認してください）' });
+      }
     }
     
-    res.json({ message: 'Campaign deleted successfully' });
+    // 現地時刻配信は最も早いタイムゾーンの送信時刻に配信ジョブを登録する
+    if (localDelivery) {
+      scheduledAt = localDeliveryService.getStartTime(localDelivery).toISOString();
+    }
+    
+    // 配信時刻に遅れた場合の扱い（misfire.js）
+    const { misfirePolicy, maxLatenessMinutes } = req.body;
+    const misfireError = misfireService.validate({ misfirePolicy, maxLatenessMinutes });
+    if (misfireError) {
+      return res.status(400).json({ error: misfireError });
+    }
+    
+    const pushOptionsError = pushOptionsService.validateOptions(pushOptions, {
+      scheduledAt: deliveryType === 'scheduled' ? scheduledAt : null,
+      timezone
+    });
+    if (pushOptionsError) {
+      return res.status(400).json({ error: pushOptionsError });
+    }
+    
+    const columns = {
+      site_id: siteId,
+      name,
+      title,
+      body,
+      url,
+      delivery_type: deliveryType,
+      scheduled_at: scheduledAt,
+      recurring_schedule: recurringSchedule ? JSON.stringify(recurringSchedule) : null,
+      timezone,
+      created_by: req.user.id,
+      status: deliveryService.getInitialStatus(deliveryType),
+      segment_id: segmentId || null,
+      ...payloadService.toColumns(payloadOptions),
+      ...pushOptionsService.toColumns(pushOptions, { timezone }),
+      utm: utm !== undefined && utm !== null ? JSON.stringify(utm) : null,
+      default_locale: localeService.normalize(defaultLocale),
+      variants: variants ? JSON.stringify(localeService.normalizeVariants(variants)) : null,
+      ab_test: abTest ? JSON.stringify(abTestService.normalizeConfig(abTest)) : null,
+      local_delivery: localDelivery ? JSON.stringify(localDeliveryService.normalize(localDelivery)) : null,
+      ...(misfirePolicy !== undefined ? { misfire_policy: misfirePolicy } : {}),
+      max_lateness_minutes: maxLatenessMinutes !== undefined ? maxLatenessMinutes : null
+    };
+    const names = Object.keys(columns);
+    
+    const result = await pool.query(
+      `INSERT INTO campaigns (${names.join(', ')})
+       VALUES (${names.map((name, i) => `$${i + 1}`).join(', ')})
+       RETURNING *`,
+      Object.values(columns)
+    );
+    
+    res.status(201).json(formatCampaign(result.rows[0]));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================
-// サイト管理API
-// ============================================
+// プレビュー用の購読者（subscriberId 指定、sample 指定、どちらもなければサイトで最近アクティブな購読者）
+async function loadPreviewSubscriber(siteId, { subscriberId, sample }) {
+  if (subscriberId) {
+    const result = await pool.query('SELECT * FROM subscribers WHERE id = $1 AND site_id = $2', [subscriberId, siteId]);
+    return result.rows[0] || null;
+  }
+  
+  if (sample) {
+    return { id: 'sample', ...sample, attributes: sample.attributes || {} };
+  }
+  
+  const result = await pool.query(
+    `SELECT * FROM subscribers WHERE site_id = $1 AND is_active = true
+     ORDER BY last_active_at DESC NULLS LAST LIMIT 1`,
+    [siteId]
+  );
+  return result.rows[0] || {};
+}
 
-// サイト一覧取得
-app.get('/api/sites', authenticateToken, async (req, res) => {
+// キャンペーン内容を購読者1件分に展開して返す（共通処理）
+// locale を指定すると購読者のロケールの代わりに使う（言語ごとの内容の確認用）
+// variant を指定するとA/Bテストのそのパターンの内容にする
+async function renderCampaignPreview(req, res, campaign) {
+  const { subscriberId, sample, locale, variant } = req.body;
+  
+  if (sample !== undefined && (!sample || typeof sample !== 'object' || Array.isArray(sample))) {
+    return res.status(400).json({ error: 'sample must be an object such as { attributes: { first_name: "..." } }' });
+  }
+  
+  if (locale !== undefined && !localeService.normalize(locale)) {
+    return res.status(400).json({ error: 'locale must be a valid language tag (e.g. ja, en-US)' });
+  }
+  
+  if (variant !== undefined && !abTestService.isValidVariantId(campaign, variant)) {
+    return res.status(400).json({ error: `variant must be one of the A/B test variants (${abTestService.getVariantIds(campaign).join(', ') || 'none'})` });
+  }
+  
+  const subscriber = await loadPreviewSubscriber(campaign.site_id, { subscriberId, sample });
+  if (!subscriber) {
+    return res.status(404).json({ error: '購読者が見つかりません' });
+  }
+  
+  const previewSubscriber = locale !== undefined ? { ...subscriber, locale } : subscriber;
+  const siteResult = await pool.query('SELECT name, domain, url FROM sites WHERE id = $1', [campaign.site_id]);
+  
+  res.json({
+    subscriberId: subscriber.id || null,
+    locale: localeService.selectLocale(campaign, previewSubscriber.locale),
+    variant: variant || null,
+    payload: deliveryService.buildSubscriberPayload(campaign, previewSubscriber, siteResult.rows[0], variant)
+  });
+}
+
+// 繰り返し配信スケジュールの今後の実行日時（保存前の確認用）
+// body: { recurringSchedule, timezone, count（既定10、最大50） }
+app.post('/api/campaigns/schedule-preview', authenticateToken, async (req, res) => {
   try {
-    let query = `SELECT s.*, 
-            (SELECT COUNT(*) FROM subscribers WHERE site_id = s.id AND is_active = true) as subscriber_count,
-            (SELECT COUNT(*) FROM campaigns WHERE site_id = s.id) as campaign_count
-     FROM sites s
-     WHERE s.is_active = true`;
+    const { recurringSchedule, count = 10 } = req.body;
+    const timezone = req.body.timezone !== undefined ? req.body.timezone : DEFAULT_TIMEZONE;
     
-    let params = [];
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'timezone must be an IANA time zone name (e.g. Asia/Tokyo)' });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > 50) {
+      return res.status(400).json({ error: 'count must be an integer between 1 and 50' });
+    }
     
-    // clientユーザーは自分のサイトのみ表示
-    if (req.user.role === 'client' && req.user.assigned_site_id) {
-      query += ' AND s.id = $1';
-      params.push(req.user.assigned_site_id);
+    const scheduleError = validateSchedule(recurringSchedule);
+    if (scheduleError) {
+      return res.status(400).json({ error: scheduleError });
     }
     
-    query += ' ORDER BY s.created_at DESC';
+    const runs = listUpcomingRuns(recurringSchedule, count, timezone);
     
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json({
+      timezone,
+      runs: runs.map(run => withLocalTimes({ scheduled_at: run }, ['scheduled_at'], timezone))
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// サイト詳細取得
-app.get('/api/sites/:id', authenticateToken, async (req, res) => {
+// 保存前のキャンペーン内容のプレビュー
+// body: { siteId, name, title, body, url, utm, variants, defaultLocale, abTest, ...表示オプション, subscriberId または sample, locale, variant }
+app.post('/api/campaigns/preview', authenticateToken, checkSiteAccess, async (req, res) => {
   try {
-    const { id } = req.params;
+    const { siteId, name, title, body, url, utm, variants, defaultLocale, abTest } = req.body;
     
-    // clientユーザーは自分のサイトのみアクセス可能
-    if (req.user.role === 'client' && req.user.assigned_site_id !== id) {
-      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
     }
     
-    const result = await pool.query(
-      `SELECT s.*, 
-              (SELECT COUNT(*) FROM subscribers WHERE site_id = s.id AND is_active = true) as subscriber_count,
-              (SELECT COUNT(*) FROM campaigns WHERE site_id = s.id) as campaign_count
-       FROM sites s
-       WHERE s.id = $1`,
-      [id]
-    );
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Site not found' });
+    const payloadOptions = payloadService.pickOptions(req.body);
+    const validationError =
+      payloadService.validateOptions(payloadOptions) ||
+      templateService.validateContent({ title, body, url, actions: payloadOptions.actions }) ||
+      templateService.validateUtm(utm) ||
+      localeService.validateVariants(variants) ||
+      abTestService.validateConfig(abTest, { title, body, url, ...payloadService.normalize(payloadOptions) });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
     
-    res.json(result.rows[0]);
+    await renderCampaignPreview(req, res, {
+      id: null,
+      site_id: siteId,
+      name,
+      title,
+      body,
+      url,
+      utm,
+      default_locale: localeService.normalize(defaultLocale),
+      variants: localeService.normalizeVariants(variants),
+      ab_test: abTestService.normalizeConfig(abTest),
+      ...payloadService.normalize(payloadOptions)
+    });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// サイト作成
-app.post('/api/sites', authenticateToken, async (req, res) => {
+// 保存済みキャンペーンのプレビュー
+// body: { subscriberId または sample, locale, variant }
+app.post('/api/campaigns/:id/preview', authenticateToken, async (req, res) => {
   try {
-    const { clientName, domain, description, widgetPosition, widgetTheme } = req.body;
-    const userId = req.user.id;
-    
-    console.log('受信したデータ:', { clientName, domain, description, widgetPosition, widgetTheme });
-    
-    // 必須フィールドのチェック
-    if (!clientName || !domain) {
-      return res.status(400).json({ error: 'クライアント名とサイトURLは必須です' });
-    }
+    const result = await pool.query('SELECT * FROM campaigns WHERE id = $1', [req.params.id]);
     
-    // VAPID鍵のチェック
-    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
-      return res.status(500).json({ error: 'VAPID鍵が設定されていません' });
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
     }
     
-    // ドメインの重複チェック（アクティブなサイトのみ）
-    const existing = await pool.query(
-      'SELECT id FROM sites WHERE domain = $1 AND is_active = true',
-      [domain]
-    );
+    const campaign = result.rows[0];
     
-    if (existing.rows.length > 0) {
-      return res.status(400).json({ error: 'このドメインは既に登録されています' });
+    if (!canAccessSite(req.user, campaign.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
     }
     
-    // domainをベースにURLを生成
-    const siteUrl = domain.startsWith('http') ? domain : `https://${domain}`;
-    
-    // API Keyを生成（ランダムな64文字の16進数）
-    const crypto = require('crypto');
-    const apiKey = crypto.randomBytes(32).toString('hex');
-    
-    const result = await pool.query(
-      `INSERT INTO sites (
-        owner_id,
-        name, 
-        domain, 
-        url, 
-        client_name, 
-        description, 
-        widget_position, 
-        widget_theme, 
-        vapid_public_key, 
-        vapid_private_key,
-        api_key,
-        settings,
-        is_active,
-        created_by
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, true, $13)
-      RETURNING *`,
-      [
-        userId,                           // owner_id
-        clientName || 'Unnamed Site',     // name
-        domain,                           // domain
-        siteUrl,                          // url
-        clientName,                       // client_name
-        description || '',                // description
-        widgetPosition || 'bottom-right', // widget_position
-        widgetTheme || 'purple',          // widget_theme
-        process.env.VAPID_PUBLIC_KEY,     // vapid_public_key
-        process.env.VAPID_PRIVATE_KEY,    // vapid_private_key
-        apiKey,                           // api_key
-        JSON.stringify({}),               // settings（空のJSON）
-        userId                            // created_by
-      ]
-    );
-    
-    res.json({ 
-      message: 'Site created successfully', 
-      site: result.rows[0] 
-    });
+    await renderCampaignPreview(req, res, campaign);
   } catch (error) {
-    console.error('サイト作成エラー:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// サイト更新
-app.patch('/api/sites/:id', authenticateToken, async (req, res) => {
+// キャンペーン一覧
+app.get('/api/campaigns', authenticateToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { clientName, domain, description, widgetPosition, widgetTheme, isActive } = req.body;
+    let { siteId } = req.query;
     
-    // ドメインの重複チェック（自分以外）
-    if (domain) {
-      const existing = await pool.query(
-        'SELECT id FROM sites WHERE domain = $1 AND id != $2',
-        [domain, id]
-      );
+    // clientユーザーは自分のサイトIDを強制
+    if (req.user.role === 'client') {
+      if (!req.user.assigned_site_id) {
+        return res.status(403).json({ error: 'サイトが割り当てられていません' });
+      }
+      siteId = req.user.assigned_site_id;
+    }
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+    
+    const result = await pool.query(
+      'SELECT * FROM campaigns WHERE site_id = $1 ORDER BY created_at DESC',
+      [siteId]
+    );
+    
+    res.json(result.rows.map(formatCampaign));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// キャンペーン更新
+app.patch('/api/campaigns/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduled_at, recurring_schedule, status, segment_id } = req.body;
+    
+    // 変更前のキャンペーン（アクセス権限の確認と、各項目のチェックに使う）
+    const currentResult = await pool.query('SELECT * FROM campaigns WHERE id = $1', [id]);
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    const current = currentResult.rows[0];
+    
+    if (!canAccessSite(req.user, current.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const updates = [];
+    const values = [];
+    let paramIndex = 1;
+    
+    if (segment_id !== undefined) {
+      // セグメントはキャンペーンと同じサイトのもののみ指定可能
+      if (segment_id) {
+        const segment = await segmentService.getSegment(segment_id);
+        if (!segment || segment.site_id !== current.site_id) {
+          return res.status(400).json({ error: '指定されたセグメントが見つかりません' });
+        }
+      }
+      updates.push(`segment_id = $${paramIndex++}`);
+      values.push(segment_id || null);
+    }
+    
+    // 日時・繰り返しの時刻はキャンペーンのタイムゾーンで解釈する
+    // 繰り返し配信のスケジュールかタイムゾーンを変更した場合は次回実行日時を計算し直す
+    // 現地時刻配信（localDelivery）の送信日時は localDelivery から決まる
+    let nextScheduledAt = scheduled_at;
+    const { localDelivery } = req.body;
+    if (scheduled_at !== undefined || recurring_schedule !== undefined || req.body.timezone !== undefined ||
+        localDelivery !== undefined) {
+      const timezone = req.body.timezone !== undefined ? req.body.timezone : current.timezone;
       
-      if (existing.rows.length > 0) {
-        return res.status(400).json({ error: 'このドメインは既に登録されています' });
+      if (req.body.timezone !== undefined) {
+        if (!isValidTimeZone(timezone)) {
+          return res.status(400).json({ error: 'timezone must be an IANA time zone name (e.g. Asia/Tokyo)' });
+        }
+        updates.push(`timezone = $${paramIndex++}`);
+        values.push(timezone);
+      }
+      
+      if (scheduled_at !== undefined && scheduled_at !== null) {
+        const parsed = parseDateTime(scheduled_at, timezone);
+        if (!parsed) {
+          return res.status(400).json({ error: 'scheduled_at must be a date-time (ISO 8601)' });
+        }
+        nextScheduledAt = parsed.toISOString();
+      }
+      
+      if (recurring_schedule !== undefined && current.delivery_type === 'recurring') {
+        const scheduleError = validateSchedule(recurring_schedule);
+        if (scheduleError) {
+          return res.status(400).json({ error: scheduleError });
+        }
+      }
+      
+      const schedule = recurring_schedule !== undefined ? recurring_schedule : current.recurring_schedule;
+      if (scheduled_at === undefined && current.delivery_type === 'recurring' && schedule) {
+        nextScheduledAt = calculateNextScheduledTime(schedule, null, timezone, current.occurrence_count);
+        if (!nextScheduledAt) {
+          return res.status(400).json({ error: 'recurring_scheduleに今後の実行日時がありません（endDate・maxOccurrences・cron式を確認してください）' });
+        }
+      }
+      
+      if (localDelivery !== undefined) {
+        if (current.status === 'sending') {
+          return res.status(400).json({ error: 'ステータスが sending のキャンペーンの localDelivery は変更できません' });
+        }
+        if (localDelivery && current.delivery_type !== 'scheduled') {
+          return res.status(400).json({ error: 'localDeliveryは日時指定配信（scheduled）でのみ使用できます' });
+        }
+        const abTest = req.body.abTest !== undefined ? req.body.abTest : current.ab_test;
+        if (localDelivery && abTest) {
+          return res.status(400).json({ error: 'localDelivery と abTest は同時に指定できません' });
+        }
+        const localDeliveryError = localDeliveryService.validate(localDelivery);
+        if (localDeliveryError) {
+          return res.status(400).json({ error: localDeliveryError });
+        }
+        updates.push(`local_delivery = $${paramIndex++}`);
+        values.push(localDelivery ? JSON.stringify(localDeliveryService.normalize(localDelivery)) : null);
+      }
+      
+      const nextLocalDelivery = localDelivery !== undefined ? localDelivery : current.local_delivery;
+      if (nextLocalDelivery) {
+        if (scheduled_at !== undefined) {
+          return res.status(400).json({ error: 'localDelivery を指定したキャンペーンの送信日時は localDelivery で変更してください' });
+        }
+        nextScheduledAt = localDeliveryService.getStartTime(nextLocalDelivery).toISOString();
       }
     }
     
+    if (nextScheduledAt !== undefined) {
+      updates.push(`scheduled_at = $${paramIndex++}`);
+      values.push(nextScheduledAt);
+    }
+    
+    if (recurring_schedule !== undefined) {
+      updates.push(`recurring_schedule = $${paramIndex++}`);
+      values.push(recurring_schedule ? JSON.stringify(recurring_schedule) : null);
+    }
+    
+    // 表示オプションは既存の値と合わせてチェック（renotify と tag、silent と vibrate の組み合わせ）
+    const payloadOptions = payloadService.pickOptions(req.body);
+    if (Object.keys(payloadOptions).length > 0) {
+      const payloadError =
+        payloadService.validateOptions(payloadOptions, current) ||
+        templateService.validateContent({ actions: payloadOptions.actions }) ||
+        payloadService.checkSize({ ...current, ...payloadService.normalize(payloadOptions) });
+      if (payloadError) {
+        return res.status(400).json({ error: payloadError });
+      }
+      
+      for (const [column, value] of Object.entries(payloadService.toColumns(payloadOptions))) {
+        updates.push(`${column} = $${paramIndex++}`);
+        values.push(value);
+      }
+    }
+    
+    if (req.body.misfirePolicy !== undefined || req.body.maxLatenessMinutes !== undefined) {
+      const misfireError = misfireService.validate(req.body);
+      if (misfireError) {
+        return res.status(400).json({ error: misfireError });
+      }
+      if (req.body.misfirePolicy !== undefined) {
+        updates.push(`misfire_policy = $${paramIndex++}`);
+        values.push(req.body.misfirePolicy);
+      }
+      if (req.body.maxLatenessMinutes !== undefined) {
+        updates.push(`max_lateness_minutes = $${paramIndex++}`);
+        values.push(req.body.maxLatenessMinutes);
+      }
+    }
+    
+    if (req.body.utm !== undefined) {
+      const utmError = templateService.validateUtm(req.body.utm);
+      if (utmError) {
+        return res.status(400).json({ error: utmError });
+      }
+      updates.push(`utm = $${paramIndex++}`);
+      values.push(req.body.utm !== null ? JSON.stringify(req.body.utm) : null);
+    }
+    
+    // A/Bテスト設定（送信中・テスト中は変更不可。ロケール別の内容とは併用できない）
+    if (req.body.abTest !== undefined || req.body.variants !== undefined) {
+      const nextAbTest = req.body.abTest !== undefined ? req.body.abTest : current.ab_test;
+      const nextVariants = req.body.variants !== undefined ? req.body.variants : current.variants;
+      
+      if (nextAbTest && nextVariants) {
+        return res.status(400).json({ error: 'abTest と variants は同時に指定できません' });
+      }
+      
+      if (req.body.abTest !== undefined) {
+        if (['sending', 'testing'].includes(current.status)) {
+          return res.status(400).json({ error: `ステータスが ${current.status} のキャンペーンのA/Bテスト設定は変更できません` });
+        }
+        if (req.body.abTest && current.delivery_type === 'recurring') {
+          return res.status(400).json({ error: 'A/Bテストは繰り返し配信では使用できません' });
+        }
+        if (req.body.abTest && (localDelivery !== undefined ? localDelivery : current.local_delivery)) {
+          return res.status(400).json({ error: 'localDelivery と abTest は同時に指定できません' });
+        }
+        const abTestError = abTestService.validateConfig(req.body.abTest, current);
+        if (abTestError) {
+          return res.status(400).json({ error: abTestError });
+        }
+        updates.push(`ab_test = $${paramIndex++}`);
+        values.push(req.body.abTest ? JSON.stringify(abTestService.normalizeConfig(req.body.abTest)) : null);
+      }
+    }
+    
+    if (req.body.defaultLocale !== undefined) {
+      const defaultLocale = localeService.normalize(req.body.defaultLocale);
+      if (req.body.defaultLocale !== null && !defaultLocale) {
+        return res.status(400).json({ error: 'defaultLocale must be a valid language tag (e.g. ja, en-US)' });
+      }
+      updates.push(`default_locale = $${paramIndex++}`);
+      values.push(defaultLocale);
+    }
+    
+    if (req.body.variants !== undefined) {
+      const variantsError = localeService.validateVariants(req.body.variants);
+      if (variantsError) {
+        return res.status(400).json({ error: variantsError });
+      }
+      updates.push(`variants = $${paramIndex++}`);
+      values.push(req.body.variants ? JSON.stringify(localeService.normalizeVariants(req.body.variants)) : null);
+    }
+    
+    const pushOptions = pushOptionsService.pickOptions(req.body);
+    if (Object.keys(pushOptions).length > 0) {
+      const scheduledAt = nextScheduledAt !== undefined ? nextScheduledAt : current.scheduled_at;
+      const timezone = req.body.timezone !== undefined ? req.body.timezone : current.timezone;
+      
+      const pushOptionsError = pushOptionsService.validateOptions(pushOptions, {
+        scheduledAt: current.delivery_type === 'scheduled' ? scheduledAt : null,
+        timezone
+      });
+      if (pushOptionsError) {
+        return res.status(400).json({ error: pushOptionsError });
+      }
+      
+      for (const [column, value] of Object.entries(pushOptionsService.toColumns(pushOptions, { timezone }))) {
+        updates.push(`${column} = $${paramIndex++}`);
+        values.push(value);
+      }
+    }
+    
+    if (status !== undefined) {
+      // 状態遷移はdelivery.jsの状態機械に従う（sending・testingへの遷移は送信APIのみ）
+      const currentStatus = current.status;
+      if (status !== currentStatus &&
+          (['sending', 'testing'].includes(status) || !deliveryService.canTransition(currentStatus, status))) {
+        return res.status(400).json({ error: `ステータスを ${currentStatus} から ${status} に変更できません` });
+      }
+      updates.push(`status = $${paramIndex++}`);
+      values.push(status);
+    }
+    
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No updates provided' });
+    }
+    
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(id);
+    
+    const query = `UPDATE campaigns SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`;
+    
+    const result = await pool.query(query, values);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    res.json(formatCampaign(result.rows[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// キャンペーン削除
+app.delete('/api/campaigns/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const campaignResult = await pool.query('SELECT site_id FROM campaigns WHERE id = $1', [id]);
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    if (!canAccessSite(req.user, campaignResult.rows[0].site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
     const result = await pool.query(
-      `UPDATE sites 
-       SET client_name = COALESCE($1, client_name),
-           name = COALESCE($1, name),
-           domain = COALESCE($2, domain),
-           description = COALESCE($3, description),
-           widget_position = COALESCE($4, widget_position),
-           widget_theme = COALESCE($5, widget_theme),
-           is_active = COALESCE($6, is_active)
-       WHERE id = $7
-       RETURNING *`,
-      [clientName, domain, description, widgetPosition, widgetTheme, isActive, id]
+      'DELETE FROM campaigns WHERE id = $1 RETURNING *',
+      [id]
     );
     
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Site not found' });
+      return res.status(404).json({ error: 'Campaign not found' });
     }
     
-    res.json({ 
-      message: 'Site updated successfully', 
-      site: result.rows[0] 
+    res.json({ message: 'Campaign deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// セグメントAPI
+// ============================================
+
+// セグメント一覧
+app.get('/api/segments', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId } = req.query;
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+    
+    const segments = await segmentService.listSegments(siteId);
+    res.json(segments);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// セグメント作成
+app.post('/api/segments', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, name, description, type = 'static', rules } = req.body;
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+    
+    if (!name) {
+      return res.status(400).json({ error: 'セグメント名は必須です' });
+    }
+    
+    if (!['static', 'dynamic'].includes(type)) {
+      return res.status(400).json({ error: 'typeは static / dynamic のいずれかを指定してください' });
+    }
+    
+    if (type === 'dynamic') {
+      const validationError = segmentService.validateRules(rules);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+    
+    const segment = await segmentService.createSegment({
+      siteId,
+      name,
+      description,
+      type,
+      rules,
+      createdBy: req.user.id
+    });
+    
+    res.status(201).json(segment);
+  } catch (error) {
+    console.error('セグメント作成エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ルールの該当人数プレビュー（保存前）
+app.post('/api/segments/preview', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, rules } = req.body;
+    
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+    
+    const validationError = segmentService.validateRules(rules);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const preview = await segmentService.previewRules(siteId, rules);
+    res.json(preview);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// セグメント取得とアクセス権限チェック（共通処理）
+async function loadSegmentForRequest(req, res) {
+  const segment = await segmentService.getSegment(req.params.id);
+  
+  if (!segment) {
+    res.status(404).json({ error: 'セグメントが見つかりません' });
+    return null;
+  }
+  
+  if (!canAccessSite(req.user, segment.site_id)) {
+    res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    return null;
+  }
+  
+  return segment;
+}
+
+// セグメント詳細
+app.get('/api/segments/:id', authenticateToken, async (req, res) => {
+  try {
+    const segment = await loadSegmentForRequest(req, res);
+    if (!segment) return;
+    
+    res.json({ ...segment, subscriber_count: await segmentService.countMembers(segment) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// セグメント更新
+app.patch('/api/segments/:id', authenticateToken, async (req, res) => {
+  try {
+    const segment = await loadSegmentForRequest(req, res);
+    if (!segment) return;
+    
+    const { name, description, rules } = req.body;
+    
+    if (rules !== undefined) {
+      if (segment.type !== 'dynamic') {
+        return res.status(400).json({ error: '静的セグメントにはルールを設定できません' });
+      }
+      const validationError = segmentService.validateRules(rules);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+    
+    const updated = await segmentService.updateSegment(segment.id, { name, description, rules });
+    res.json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// セグメント削除（キャンペーンで使用中の場合は不可。キャンペーンの segment_id を外してから削除する）
+app.delete('/api/segments/:id', authenticateToken, async (req, res) => {
+  try {
+    const segment = await loadSegmentForRequest(req, res);
+    if (!segment) return;
+    
+    const pendingCampaigns = await segmentService.findPendingCampaigns(segment.id);
+    if (pendingCampaigns.length > 0) {
+      return res.status(409).json({
+        error: 'このセグメントはキャンペーンで使用されています（キャンペーンのセグメント指定を外してから削除してください）',
+        campaigns: pendingCampaigns
+      });
+    }
+    
+    await segmentService.deleteSegment(segment.id);
+    res.json({ message: 'Segment deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// セグメント該当購読者一覧
+app.get('/api/segments/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const segment = await loadSegmentForRequest(req, res);
+    if (!segment) return;
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 1000);
+    const offset = (page - 1) * limit;
+    
+    const members = await segmentService.listMembers(segment, limit, offset);
+    res.json({
+      members,
+      pagination: {
+        page,
+        limit,
+        total: await segmentService.countMembers(segment)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 静的セグメントにメンバー追加
+app.post('/api/segments/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const segment = await loadSegmentForRequest(req, res);
+    if (!segment) return;
+    
+    if (segment.type !== 'static') {
+      return res.status(400).json({ error: '動的セグメントのメンバーはルールで決まります' });
+    }
+    
+    const { subscriberIds } = req.body;
+    if (!Array.isArray(subscriberIds) || subscriberIds.length === 0) {
+      return res.status(400).json({ error: 'subscriberIdsを1件以上指定してください' });
+    }
+    
+    const added = await segmentService.addMembers(segment, subscriberIds);
+    res.json({ message: 'Members added', added });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 静的セグメントからメンバー削除
+app.delete('/api/segments/:id/members', authenticateToken, async (req, res) => {
+  try {
+    const segment = await loadSegmentForRequest(req, res);
+    if (!segment) return;
+    
+    if (segment.type !== 'static') {
+      return res.status(400).json({ error: '動的セグメントのメンバーはルールで決まります' });
+    }
+    
+    const { subscriberIds } = req.body;
+    if (!Array.isArray(subscriberIds) || subscriberIds.length === 0) {
+      return res.status(400).json({ error: 'subscriberIdsを1件以上指定してください' });
+    }
+    
+    const removed = await segmentService.removeMembers(segment, subscriberIds);
+    res.json({ message: 'Members removed', removed });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// サイト管理API
+// ============================================
+
+// サイト一覧取得
+app.get('/api/sites', authenticateToken, async (req, res) => {
+  try {
+    let query = `SELECT s.*, 
+            (SELECT COUNT(*) FROM subscribers WHERE site_id = s.id AND is_active = true) as subscriber_count,
+            (SELECT COUNT(*) FROM campaigns WHERE site_id = s.id) as campaign_count
+     FROM sites s
+     WHERE s.is_active = true`;
+    
+    let params = [];
+    
+    // clientユーザーは自分のサイトのみ表示
+    if (req.user.role === 'client' && req.user.assigned_site_id) {
+      query += ' AND s.id = $1';
+      params.push(req.user.assigned_site_id);
+    }
+    
+    query += ' ORDER BY s.created_at DESC';
+    
+    const result = await pool.query(query, params);
+    res.json(result.rows.map(toSiteResponse));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// サイト詳細取得
+app.get('/api/sites/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // clientユーザーは自分のサイトのみアクセス可能
+    if (req.user.role === 'client' && req.user.assigned_site_id !== id) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const result = await pool.query(
+      `SELECT s.*, 
+              (SELECT COUNT(*) FROM subscribers WHERE site_id = s.id AND is_active = true) as subscriber_count,
+              (SELECT COUNT(*) FROM campaigns WHERE site_id = s.id) as campaign_count
+       FROM sites s
+       WHERE s.id = $1`,
+      [id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    res.json(toSiteResponse(result.rows[0]));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// サイト作成
+app.post('/api/sites', authenticateToken, async (req, res) => {
+  try {
+    const { clientName, domain, description, widgetPosition, widgetTheme, widgetSettings, vapidSubject } = req.body;
+    const userId = req.user.id;
+    
+    console.log('受信したデータ:', { clientName, domain, description, widgetPosition, widgetTheme });
+    
+    // 必須フィールドのチェック
+    if (!clientName || !domain) {
+      return res.status(400).json({ error: 'クライアント名とサイトURLは必須です' });
+    }
+    
+    if (widgetPosition && !widgetService.isValidPosition(widgetPosition)) {
+      return res.status(400).json({ error: `widgetPositionは ${Object.keys(WIDGET_POSITIONS).join(', ')} のいずれかです` });
+    }
+    
+    if (widgetTheme && !widgetService.isValidTheme(widgetTheme)) {
+      return res.status(400).json({ error: `widgetThemeは ${Object.keys(WIDGET_THEMES).join(', ')} のいずれかです` });
+    }
+    
+    if (widgetSettings !== undefined) {
+      const widgetError = widgetService.validateWidgetSettings(widgetSettings);
+      if (widgetError) {
+        return res.status(400).json({ error: widgetError });
+      }
+    }
+    
+    // VAPIDのsubject（連絡先。未指定時はサイトのドメイン宛て）
+    const subject = vapidSubject || vapidKeyService.getDefaultSubject(domain);
+    if (!vapidKeyService.isValidSubject(subject)) {
+      return res.status(400).json({ error: 'vapidSubjectは mailto: または https: で指定してください' });
+    }
+    
+    // ドメインの重複チェック（アクティブなサイトのみ）
+    const existing = await pool.query(
+      'SELECT id FROM sites WHERE domain = $1 AND is_active = true',
+      [domain]
+    );
+    
+    if (existing.rows.length > 0) {
+      return res.status(400).json({ error: 'このドメインは既に登録されています' });
+    }
+    
+    // domainをベースにURLを生成
+    const siteUrl = domain.startsWith('http') ? domain : `https://${domain}`;
+    
+    // API Keyを生成（保存するのはハッシュのみ）
+    const { apiKey, hash: apiKeyHash, prefix: apiKeyPrefix } = secretsService.generateApiKey();
+    
+    // 公開キー（ウィジェットに埋め込み、購読時のサイト識別に使う）
+    const publicKey = siteAuthService.generatePublicKey();
+    
+    // サイトとVAPID鍵ペアを同じトランザクションで作成
+    const client = await pool.connect();
+    let site;
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query(
+        `INSERT INTO sites (
+          owner_id,
+          name, 
+          domain, 
+          url, 
+          client_name, 
+          description, 
+          widget_position, 
+          widget_theme, 
+          api_key_hash,
+          api_key_prefix,
+          public_key,
+          settings,
+          is_active,
+          created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, true, $13)
+        RETURNING *`,
+        [
+          userId,                           // owner_id
+          clientName || 'Unnamed Site',     // name
+          domain,                           // domain
+          siteUrl,                          // url
+          clientName,                       // client_name
+          description || '',                // description
+          widgetPosition || 'bottom-right', // widget_position
+          widgetTheme || 'purple',          // widget_theme
+          apiKeyHash,                       // api_key_hash
+          apiKeyPrefix,                     // api_key_prefix
+          publicKey,                        // public_key
+          JSON.stringify(widgetSettings ? { widget: widgetSettings } : {}), // settings（ウィジェット設定）
+          userId                            // created_by
+        ]
+      );
+      
+      await vapidKeyService.createKey(result.rows[0].id, subject, client);
+      
+      const created = await client.query('SELECT * FROM sites WHERE id = $1', [result.rows[0].id]);
+      site = created.rows[0];
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    // APIキーの平文はこのレスポンスでのみ返す
+    res.json({ 
+      message: 'Site created successfully', 
+      site: toSiteResponse(site),
+      apiKey
+    });
+  } catch (error) {
+    console.error('サイト作成エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// サイト更新
+app.patch('/api/sites/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { clientName, domain, description, widgetPosition, widgetTheme, widgetSettings, isActive, vapidSubject, allowedOrigins } = req.body;
+    
+    if (!canAccessSite(req.user, id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    if (vapidSubject !== undefined && !vapidKeyService.isValidSubject(vapidSubject)) {
+      return res.status(400).json({ error: 'vapidSubjectは mailto: または https: で指定してください' });
+    }
+    
+    if (widgetPosition !== undefined && !widgetService.isValidPosition(widgetPosition)) {
+      return res.status(400).json({ error: `widgetPositionは ${Object.keys(WIDGET_POSITIONS).join(', ')} のいずれかです` });
+    }
+    
+    if (widgetTheme !== undefined && !widgetService.isValidTheme(widgetTheme)) {
+      return res.status(400).json({ error: `widgetThemeは ${Object.keys(WIDGET_THEMES).join(', ')} のいずれかです` });
+    }
+    
+    if (widgetSettings !== undefined) {
+      const widgetError = widgetService.validateWidgetSettings(widgetSettings);
+      if (widgetError) {
+        return res.status(400).json({ error: widgetError });
+      }
+    }
+    
+    // 購読を受け付ける追加オリジン（サイトのドメイン以外）
+    let origins = null;
+    if (allowedOrigins !== undefined) {
+      origins = siteAuthService.normalizeOrigins(allowedOrigins);
+      if (!origins) {
+        return res.status(400).json({ error: 'allowedOriginsは "https://example.com" または "*.example.com" 形式の配列で指定してください' });
+      }
+    }
+    
+    // ドメインの重複チェック（自分以外）
+    if (domain) {
+      const existing = await pool.query(
+        'SELECT id FROM sites WHERE domain = $1 AND id != $2',
+        [domain, id]
+      );
+      
+      if (existing.rows.length > 0) {
+        return res.status(400).json({ error: 'このドメインは既に登録されています' });
+      }
+    }
+    
+    const result = await pool.query(
+      `UPDATE sites 
+       SET client_name = COALESCE($1, client_name),
+           name = COALESCE($1, name),
+           domain = COALESCE($2, domain),
+           description = COALESCE($3, description),
+           widget_position = COALESCE($4, widget_position),
+           widget_theme = COALESCE($5, widget_theme),
+           is_active = COALESCE($6, is_active),
+           allowed_origins = COALESCE($8, allowed_origins),
+           settings = CASE WHEN $9::jsonb IS NULL THEN settings
+                           ELSE jsonb_set(COALESCE(settings, '{}'::jsonb), '{widget}', COALESCE(settings->'widget', '{}'::jsonb) || $9::jsonb)
+                      END
+       WHERE id = $7
+       RETURNING *`,
+      [clientName, domain, description, widgetPosition, widgetTheme, isActive, id, origins,
+       widgetSettings !== undefined ? JSON.stringify(widgetSettings) : null]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    // subjectの変更は現在の鍵に反映（鍵ペアは変わらないため既存の購読者に影響しない）
+    let site = result.rows[0];
+    if (vapidSubject !== undefined) {
+      await vapidKeyService.updateSubject(id, vapidSubject);
+      site = { ...site, vapid_subject: vapidSubject };
+    }
+    
+    res.json({ 
+      message: 'Site updated successfully', 
+      site: toSiteResponse(site) 
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// APIキーの再発行（旧キーは即時無効。新しいキーの平文はこのレスポンスでのみ返す）
+app.post('/api/sites/:id/api-key/regenerate', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!canAccessSite(req.user, id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const { apiKey, hash, prefix } = secretsService.generateApiKey();
+    
+    const result = await pool.query(
+      `UPDATE sites
+       SET api_key = NULL, api_key_hash = $1, api_key_prefix = $2
+       WHERE id = $3
+       RETURNING id`,
+      [hash, prefix, id]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    res.json({ message: 'API key regenerated', apiKey, apiKeyPrefix: prefix });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ウィジェットの埋め込みコードと設定
+app.get('/api/sites/:id/widget', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!canAccessSite(req.user, id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const siteResult = await pool.query('SELECT * FROM sites WHERE id = $1', [id]);
+    if (siteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    const vapidKey = await vapidKeyService.getActiveKey(id);
+    if (!vapidKey) {
+      return res.status(409).json({ error: 'VAPID key not configured for site' });
+    }
+    
+    const config = widgetService.buildClientConfig(siteResult.rows[0], vapidKey.public_key, widgetService.getPublicBaseUrl(req));
+    
+    res.json({
+      config,
+      embed: widgetService.getEmbedCode(config)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// サイトのVAPID鍵一覧（秘密鍵は含めない）
+app.get('/api/sites/:id/vapid-keys', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (!canAccessSite(req.user, id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const keys = await vapidKeyService.listKeys(id);
+    res.json(keys);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// VAPID鍵のローテーション
+// 新しい鍵は以降の購読に使われ、既存の購読者は再購読するまで旧鍵で送信される
+app.post('/api/sites/:id/vapid-keys/rotate', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { vapidSubject } = req.body;
+    
+    if (!canAccessSite(req.user, id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    if (vapidSubject !== undefined && !vapidKeyService.isValidSubject(vapidSubject)) {
+      return res.status(400).json({ error: 'vapidSubjectは mailto: または https: で指定してください' });
+    }
+    
+    const siteResult = await pool.query('SELECT id FROM sites WHERE id = $1', [id]);
+    if (siteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    const { key, retired } = await vapidKeyService.rotateKey(id, vapidSubject);
+    
+    res.json({
+      message: 'VAPID key rotated',
+      publicKey: key.public_key,
+      keyId: key.id,
+      subject: key.subject,
+      retiredKeyId: retired ? retired.id : null
+    });
+  } catch (error) {
+    console.error('VAPID鍵ローテーションエラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// サイト削除（論理削除）
+app.delete('/api/sites/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // サイトの存在確認
+    const siteCheck = await pool.query(
+      'SELECT domain FROM sites WHERE id = $1',
+      [id]
+    );
+    
+    if (siteCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Site not found' });
+    }
+    
+    // 関連データを削除
+    // 1. キャンペーンを削除
+    await pool.query('DELETE FROM campaigns WHERE site_id = $1', [id]);
+    
+    // 2. スケジュール済みキャンペーンを削除
+    await pool.query('DELETE FROM scheduled_campaigns WHERE site_id = $1', [id]);
+    
+    // 3. 購読者を削除
+    await pool.query('DELETE FROM subscribers WHERE site_id = $1', [id]);
+    
+    // 4. サイトを削除
+    await pool.query('DELETE FROM sites WHERE id = $1', [id]);
+    
+    console.log('✅ サイト削除成功:', id);
+    res.json({ message: 'Site deleted successfully' });
+  } catch (error) {
+    console.error('❌ サイト削除エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// キャンペーン送信エンドポイント
+app.post('/api/campaigns/:id/send', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // キャンペーン取得
+    const campaignResult = await pool.query(
+      'SELECT * FROM campaigns WHERE id = $1',
+      [id]
+    );
+    
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    const campaign = campaignResult.rows[0];
+    
+    if (!canAccessSite(req.user, campaign.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    if (pushOptionsService.isExpired(campaign)) {
+      return res.status(400).json({ error: '有効期限（expires_at）を過ぎたキャンペーンは送信できません' });
+    }
+    
+    // 配信ジョブを登録して即座に返す（送信はワーカーが行う）
+    // 送信中・キャンセル済みなどは排他取得できず409
+    const job = await deliveryService.startCampaign(campaign.id, {
+      fromStatuses: deliveryService.getManualSendStatuses(campaign),
+      createdBy: req.user.id
+    });
+    
+    if (!job) {
+      return res.status(409).json({
+        error: `ステータスが ${campaign.status} のキャンペーンは送信できません`
+      });
+    }
+    
+    res.status(202).json({
+      message: 'Campaign queued',
+      jobId: job.id,
+      status: job.status,
+      total: job.total_count,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// A/Bテストの勝者を手動で指定して残りの購読者に配信（待機時間の経過を待たない）
+// body: { variant }
+app.post('/api/campaigns/:id/ab-test/winner', authenticateToken, async (req, res) => {
+  try {
+    const { variant } = req.body;
+    
+    const campaignResult = await pool.query('SELECT * FROM campaigns WHERE id = $1', [req.params.id]);
+    
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    const campaign = campaignResult.rows[0];
+    
+    if (!canAccessSite(req.user, campaign.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    if (!abTestService.isValidVariantId(campaign, variant)) {
+      return res.status(400).json({ error: `variant must be one of the A/B test variants (${abTestService.getVariantIds(campaign).join(', ') || 'none'})` });
+    }
+    
+    // テスト配信後の待機中のみ（勝者の配信開始済みなどは409）
+    const updated = await abTestService.setWinner(campaign.id, variant);
+    if (!updated) {
+      return res.status(409).json({ error: `ステータスが ${campaign.status} のキャンペーンの勝者は指定できません` });
+    }
+    
+    const job = await deliveryService.startCampaign(campaign.id, {
+      fromStatuses: [CAMPAIGN_STATUS.TESTING],
+      createdBy: req.user.id
+    });
+    
+    if (!job) {
+      return res.status(409).json({ error: '勝者の配信は既に開始されています' });
+    }
+    
+    res.status(202).json({
+      message: 'Winner rollout queued',
+      winner: variant,
+      jobId: job.id,
+      status: job.status,
+      total: job.total_count,
+      statusUrl: `/api/jobs/${job.id}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// 配信ジョブAPI
+// ============================================
+
+// ジョブ取得とアクセス権限チェック（共通処理）
+async function loadJobForRequest(req, res) {
+  const job = await queueService.getJob(req.params.id);
+  
+  if (!job) {
+    res.status(404).json({ error: 'ジョブが見つかりません' });
+    return null;
+  }
+  
+  if (!canAccessSite(req.user, job.site_id)) {
+    res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    return null;
+  }
+  
+  return job;
+}
+
+// スケジューラー・ワーカーの状態（admin専用）
+// 全ノード（server.js・scheduler.js・worker.js）と、各ノードが取得中のキャンペーン・実行中の配信ジョブ
+app.get('/api/scheduler/status', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: '管理者のみ実行可能です' });
+    }
+    
+    res.json({
+      worker: deliveryWorker.getStatus(),
+      ...await clusterService.getStatus()
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ジョブの状態と進捗
+app.get('/api/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await loadJobForRequest(req, res);
+    if (!job) return;
+    
+    const progress = await queueService.getProgress(job.id);
+    res.json({ ...job, progress });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ジョブのキャンセル（未送信分は送信しない）
+app.post('/api/jobs/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const job = await loadJobForRequest(req, res);
+    if (!job) return;
+    
+    const cancelled = await queueService.cancelJob(job.id);
+    if (!cancelled) {
+      return res.status(409).json({ error: `ステータスが ${job.status} のジョブはキャンセルできません` });
+    }
+    
+    const campaignResult = await pool.query('SELECT * FROM campaigns WHERE id = $1', [job.campaign_id]);
+    if (campaignResult.rows.length > 0) {
+      await deliveryService.finishCampaign(campaignResult.rows[0], CAMPAIGN_STATUS.CANCELLED);
+    }
+    
+    res.json({
+      message: 'ジョブをキャンセルしました',
+      job: cancelled,
+      progress: await queueService.getProgress(job.id)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// キャンペーンの配信ジョブ一覧
+app.get('/api/campaigns/:id/jobs', authenticateToken, async (req, res) => {
+  try {
+    const campaignResult = await pool.query('SELECT site_id FROM campaigns WHERE id = $1', [req.params.id]);
+    
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    if (!canAccessSite(req.user, campaignResult.rows[0].site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const jobs = await queueService.listCampaignJobs(req.params.id);
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 遅れのため実行しなかった配信（misfire.js）
+app.get('/api/campaigns/:id/missed-runs', authenticateToken, async (req, res) => {
+  try {
+    const campaignResult = await pool.query('SELECT site_id, timezone FROM campaigns WHERE id = $1', [req.params.id]);
+    
+    if (campaignResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    
+    const campaign = campaignResult.rows[0];
+    if (!canAccessSite(req.user, campaign.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+    
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { total, runs } = await misfireService.listMissedRuns(req.params.id, { limit, offset });
+    
+    res.json({
+      total,
+      runs: runs.map(run => withLocalTimes(run, ['scheduled_at', 'detected_at'], campaign.timezone))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// メール設定の保存
+// SMTPパスワード等の秘密項目は暗号化して保存する（マスク値のまま送られた項目は保存済みの値を維持）
+app.post('/api/email-settings', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, settings } = req.body;
+    
+    const existing = await pool.query(
+      'SELECT settings FROM email_settings WHERE site_id = $1',
+      [siteId]
+    );
+    const sealed = secretsService.sealFields(settings, existing.rows.length > 0 ? existing.rows[0].settings : null);
+    
+    const result = await pool.query(
+      `INSERT INTO email_settings (site_id, settings, updated_at)
+       VALUES ($1, $2, CURRENT_TIMESTAMP)
+       ON CONFLICT (site_id) 
+       DO UPDATE SET settings = $2, updated_at = CURRENT_TIMESTAMP
+       RETURNING *`,
+      [siteId, JSON.stringify(sealed)]
+    );
+    
+    res.json({
+      message: 'Settings saved',
+      settings: { ...result.rows[0], settings: secretsService.maskFields(result.rows[0].settings) }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// メール設定の取得（秘密項目はマスクして返す）
+app.get('/api/email-settings', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId } = req.query;
+    
+    const result = await pool.query(
+      'SELECT * FROM email_settings WHERE site_id = $1',
+      [siteId]
+    );
+    
+    if (result.rows.length > 0) {
+      res.json({ settings: secretsService.maskFields(result.rows[0].settings) });
+    } else {
+      res.json({ settings: null });
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// テストメール送信
+app.post('/api/email-settings/test', authenticateToken, async (req, res) => {
+  try {
+    const { siteId, recipients } = req.body;
+    
+    // ここでは実際のメール送信は行わず、成功レスポンスを返す
+    // 実際の実装では、SendGrid、AWS SES、Nodemailerなどを使用
+    console.log('Test email would be sent to:', recipients);
+    
+    res.json({ message: 'Test email sent successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================
+// レポートAPI
+// ============================================
+
+// レポートファイル名からサイトIDを取り出す（report.jsの命名規則に対応）
+// report_<siteId>_<timestamp>.pdf / export_<type>_<siteId>_<timestamp>.csv
+const REPORT_FILENAME_PATTERN = /^(?:report|export_(?:campaigns|subscribers))_([0-9a-f-]+)_\d+\.(?:pdf|csv)$/i;
+
+// PDFダッシュボードレポート生成
+app.post('/api/reports/dashboard', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, startDate, endDate, template } = req.body;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDateとendDateは必須です' });
+    }
+
+    const report = await reportService.generateDashboardReport(siteId, startDate, endDate, template || null);
+
+    res.status(201).json({
+      message: 'Report generated',
+      filename: report.filename,
+      url: report.url
+    });
+  } catch (error) {
+    console.error('レポート生成エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// CSVレポート生成
+app.post('/api/reports/csv', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, startDate, endDate, reportType = 'campaigns' } = req.body;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDateとendDateは必須です' });
+    }
+
+    if (!['campaigns', 'subscribers'].includes(reportType)) {
+      return res.status(400).json({ error: 'reportTypeは campaigns / subscribers のいずれかを指定してください' });
+    }
+
+    const report = await reportService.generateCSVReport(siteId, startDate, endDate, reportType);
+
+    res.status(201).json({
+      message: 'CSV generated',
+      filename: report.filename,
+      url: report.url
+    });
+  } catch (error) {
+    console.error('CSV生成エラー:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// レポートをメールで送信
+app.post('/api/reports/email', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, recipients, startDate, endDate, subject, includeCSV } = req.body;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      return res.status(400).json({ error: '送信先メールアドレスを1件以上指定してください' });
+    }
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({ error: 'startDateとendDateは必須です' });
+    }
+
+    const result = await emailReportService.sendReport({
+      siteId,
+      recipients,
+      startDate,
+      endDate,
+      subject,
+      includeCSV: !!includeCSV
     });
+
+    res.json({ message: 'Report email sent', ...result });
   } catch (error) {
+    console.error('レポートメール送信エラー:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// サイト削除（論理削除）
-app.delete('/api/sites/:id', authenticateToken, async (req, res) => {
+// レポートテンプレート取得
+app.get('/api/reports/template', authenticateToken, checkSiteAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // サイトの存在確認
-    const siteCheck = await pool.query(
-      'SELECT domain FROM sites WHERE id = $1',
-      [id]
-    );
-    
-    if (siteCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Site not found' });
+    const { siteId } = req.query;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
     }
-    
-    // 関連データを削除
-    // 1. キャンペーンを削除
-    await pool.query('DELETE FROM campaigns WHERE site_id = $1', [id]);
-    
-    // 2. スケジュール済みキャンペーンを削除
-    await pool.query('DELETE FROM scheduled_campaigns WHERE site_id = $1', [id]);
-    
-    // 3. 購読者を削除
-    await pool.query('DELETE FROM subscribers WHERE site_id = $1', [id]);
-    
-    // 4. サイトを削除
-    await pool.query('DELETE FROM sites WHERE id = $1', [id]);
-    
-    console.log('✅ サイト削除成功:', id);
-    res.json({ message: 'Site deleted successfully' });
+
+    const template = await reportService.getCustomTemplate(siteId);
+    res.json({ template });
   } catch (error) {
-    console.error('❌ サイト削除エラー:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// 次回実行日時を計算
-function calculateNextScheduledTime(recurringSchedule, lastExecuted = null) {
-  const { frequency, hour, minute, dayOfWeek, dayOfMonth } = recurringSchedule;
-  
-  // 基準日時（最後の実行日時 or 現在時刻）
-  const baseDate = lastExecuted ? new Date(lastExecuted) : new Date();
-  const nextDate = new Date(baseDate);
-  
-  // 時刻を設定
-  nextDate.setHours(parseInt(hour) || 0);
-  nextDate.setMinutes(parseInt(minute) || 0);
-  nextDate.setSeconds(0);
-  nextDate.setMilliseconds(0);
-  
-  switch (frequency) {
-    case 'daily':
-      // 翌日の同時刻（既に今日の時刻を過ぎている場合は明日）
-      if (nextDate <= baseDate) {
-        nextDate.setDate(nextDate.getDate() + 1);
-      }
-      break;
-      
-    case 'weekly':
-      // 次の指定曜日
-      const targetDay = parseInt(dayOfWeek) || 0;
-      const currentDay = nextDate.getDay();
-      let daysUntilNext = targetDay - currentDay;
-      
-      // 同じ曜日で時刻が過ぎている場合、または曜日が過去の場合は来週
-      if (daysUntilNext < 0 || (daysUntilNext === 0 && nextDate <= baseDate)) {
-        daysUntilNext += 7;
+// レポートテンプレート保存
+app.put('/api/reports/template', authenticateToken, checkSiteAccess, async (req, res) => {
+  try {
+    const { siteId, template } = req.body;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
+    }
+
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      return res.status(400).json({ error: 'templateはオブジェクトで指定してください' });
+    }
+
+    // 未指定の項目はデフォルト値で補完
+    const merged = { ...reportService.getDefaultTemplate(), ...template };
+    await reportService.saveCustomTemplate(siteId, merged);
+
+    res.json({ message: 'Template saved', template: merged });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ロゴアップロード（PNG/JPEGのバイナリをそのまま送信）
+app.post(
+  '/api/reports/logo',
+  authenticateToken,
+  express.raw({ type: ['image/png', 'image/jpeg'], limit: '2mb' }),
+  checkSiteAccess,
+  async (req, res) => {
+    try {
+      const { siteId } = req.query;
+
+      if (!siteId) {
+        return res.status(400).json({ error: 'siteId is required' });
       }
-      
-      nextDate.setDate(nextDate.getDate() + daysUntilNext);
-      break;
-      
-    case 'monthly':
-      // 次月の指定日
-      const targetDate = parseInt(dayOfMonth) || 1;
-      
-      // 今月の指定日がまだ来ていない場合は今月、過ぎている場合は来月
-      nextDate.setDate(targetDate);
-      if (nextDate <= baseDate) {
-        nextDate.setMonth(nextDate.getMonth() + 1);
+
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Content-Type: image/png または image/jpeg で画像を送信してください' });
       }
-      
-      // 月末を超える場合は月末日に調整
-      const daysInMonth = new Date(nextDate.getFullYear(), nextDate.getMonth() + 1, 0).getDate();
-      nextDate.setDate(Math.min(targetDate, daysInMonth));
-      break;
+
+      const result = await reportService.uploadLogo(siteId, req.body);
+      res.status(201).json({ message: 'Logo uploaded', logoUrl: result.logoUrl });
+    } catch (error) {
+      console.error('ロゴアップロードエラー:', error);
+      res.status(500).json({ error: error.message });
+    }
   }
-  
-  return nextDate.toISOString();
-}
+);
+
+// ロゴ取得
+app.get('/api/reports/logo/:siteId', authenticateToken, checkSiteAccess, (req, res) => {
+  const logoPath = reportService.getLogoPath(req.params.siteId);
+
+  if (!fs.existsSync(logoPath)) {
+    return res.status(404).json({ error: 'Logo not found' });
+  }
+
+  res.sendFile(logoPath);
+});
+
+// 生成済みレポートのダウンロード
+app.get('/api/reports/:filename', authenticateToken, (req, res) => {
+  const { filename } = req.params;
+  const match = REPORT_FILENAME_PATTERN.exec(filename);
+
+  if (!match) {
+    return res.status(400).json({ error: 'Invalid report filename' });
+  }
+
+  if (!canAccessSite(req.user, match[1])) {
+    return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+  }
+
+  const filepath = path.join(reportService.reportsDir, filename);
 
-// キャンペーン送信処理（共通関数）
-async function sendCampaignNotifications(campaign) {
+  if (!fs.existsSync(filepath)) {
+    return res.status(404).json({ error: 'Report not found' });
+  }
+
+  res.download(filepath, filename);
+});
+
+// ============================================
+// 自動レポートAPI
+// ============================================
+
+// 自動レポート一覧
+app.get('/api/auto-reports', authenticateToken, checkSiteAccess, async (req, res) => {
   try {
-    // 購読者取得
-    const subscribersResult = await pool.query(
-      'SELECT * FROM subscribers WHERE site_id = $1 AND is_active = true',
-      [campaign.site_id]
-    );
-    
-    const payload = JSON.stringify({
-      title: campaign.title,
-      body: campaign.body,
-      url: campaign.url,
-      icon: campaign.icon_url
-    });
-    
-    let successCount = 0;
-    let failCount = 0;
-    
-    // 通知送信
-    for (const subscriber of subscribersResult.rows) {
-      try {
-        const subscription = {
-          endpoint: subscriber.endpoint,
-          keys: {
-            p256dh: subscriber.p256dh_key,
-            auth: subscriber.auth_key
-          }
-        };
-        
-        await webpush.sendNotification(subscription, payload);
-        
-        // 配信ログ記録
-        await pool.query(
-          `INSERT INTO deliveries (campaign_id, subscriber_id, status, sent_at)
-           VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
-          [campaign.id, subscriber.id, 'sent']
-        );
-        
-        successCount++;
-      } catch (error) {
-        failCount++;
-        
-        // エラーログ記録
-        await pool.query(
-          `INSERT INTO deliveries (campaign_id, subscriber_id, status, error_message)
-           VALUES ($1, $2, $3, $4)`,
-          [campaign.id, subscriber.id, 'failed', error.message]
-        );
-        
-        // 購読が無効になっている場合は自動で非アクティブ化
-        const errorCode = error.statusCode || error.code;
-        const shouldDeactivate = 
-          errorCode === 410 || // Gone - 購読削除済み
-          errorCode === 404 || // Not Found - エンドポイント無効
-          errorCode === 403 || // Forbidden - アクセス拒否
-          error.message?.includes('expired') ||
-          error.message?.includes('unsubscribed');
-        
-        if (shouldDeactivate) {
-          await pool.query(
-            'UPDATE subscribers SET is_active = false WHERE id = $1',
-            [subscriber.id]
-          );
-          console.log(`  ⚠️ 購読者 ${subscriber.id} を自動非アクティブ化 (${error.message})`);
-        }
-      }
+    const { siteId } = req.query;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
     }
-    
-    // キャンペーンステータス更新（日時指定配信のみ）
-    if (campaign.delivery_type !== 'recurring') {
-      await pool.query(
-        'UPDATE campaigns SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
-        ['sent', campaign.id]
-      );
+
+    const autoReports = await emailReportService.listAutoReports(siteId);
+    res.json(autoReports);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 自動レポート詳細
+app.get('/api/auto-reports/:id', authenticateToken, async (req, res) => {
+  try {
+    const autoReport = await emailReportService.getAutoReport(req.params.id);
+
+    if (!autoReport) {
+      return res.status(404).json({ error: 'Auto report not found' });
     }
-    
-    return {
-      success: successCount,
-      failed: failCount,
-      total: subscribersResult.rows.length
-    };
+
+    if (!canAccessSite(req.user, autoReport.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+
+    res.json(autoReport);
   } catch (error) {
-    console.error('通知送信エラー:', error);
-    throw error;
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// キャンペーン送信エンドポイント
-app.post('/api/campaigns/:id/send', authenticateToken, async (req, res) => {
+// 自動レポート作成
+app.post('/api/auto-reports', authenticateToken, checkSiteAccess, async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    // キャンペーン取得
-    const campaignResult = await pool.query(
-      'SELECT * FROM campaigns WHERE id = $1',
-      [id]
-    );
-    
-    if (campaignResult.rows.length === 0) {
-      return res.status(404).json({ error: 'Campaign not found' });
+    const { siteId, recipients, schedule, dayOfWeek, dayOfMonth, hour, minute, includeCSV, timezone = DEFAULT_TIMEZONE } = req.body;
+
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteId is required' });
     }
-    
-    const campaign = campaignResult.rows[0];
-    
-    // 通知送信
-    const results = await sendCampaignNotifications(campaign);
-    
-    res.json({
-      message: 'Campaign sent',
-      results
-    });
+
+    const options = { siteId, recipients, schedule, dayOfWeek, dayOfMonth, hour, minute, includeCSV: !!includeCSV, timezone };
+    const validationError = emailReportService.validateAutoReportOptions(options);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const autoReport = await emailReportService.scheduleAutoReport(options);
+    res.status(201).json(autoReport);
   } catch (error) {
+    console.error('自動レポート作成エラー:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// メール設定の保存
-app.post('/api/email-settings', authenticateToken, async (req, res) => {
+// 自動レポート更新（再開も兼ねる）
+app.put('/api/auto-reports/:id', authenticateToken, async (req, res) => {
   try {
-    const { siteId, settings } = req.body;
-    
-    const result = await pool.query(
-      `INSERT INTO email_settings (site_id, settings, updated_at)
-       VALUES ($1, $2, CURRENT_TIMESTAMP)
-       ON CONFLICT (site_id) 
-       DO UPDATE SET settings = $2, updated_at = CURRENT_TIMESTAMP
-       RETURNING *`,
-      [siteId, JSON.stringify(settings)]
-    );
-    
-    res.json({ message: 'Settings saved', settings: result.rows[0] });
+    const { id } = req.params;
+    const existing = await emailReportService.getAutoReport(id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Auto report not found' });
+    }
+
+    if (!canAccessSite(req.user, existing.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+
+    // 未指定の項目は既存値を引き継ぐ
+    const {
+      recipients = existing.recipients,
+      schedule = existing.schedule_type,
+      dayOfWeek = existing.day_of_week,
+      dayOfMonth = existing.day_of_month,
+      hour = existing.hour,
+      minute = existing.minute,
+      includeCSV = existing.include_csv,
+      timezone = existing.timezone
+    } = req.body;
+
+    const options = {
+      id,
+      siteId: existing.site_id,
+      recipients,
+      schedule,
+      dayOfWeek,
+      dayOfMonth,
+      hour,
+      minute,
+      includeCSV: !!includeCSV,
+      timezone
+    };
+    const validationError = emailReportService.validateAutoReportOptions(options);
+
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const autoReport = await emailReportService.scheduleAutoReport(options);
+    res.json(autoReport);
   } catch (error) {
+    console.error('自動レポート更新エラー:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// メール設定の取得
-app.get('/api/email-settings', authenticateToken, async (req, res) => {
+// 自動レポート停止
+app.post('/api/auto-reports/:id/stop', authenticateToken, async (req, res) => {
   try {
-    const { siteId } = req.query;
-    
-    const result = await pool.query(
-      'SELECT * FROM email_settings WHERE site_id = $1',
-      [siteId]
-    );
-    
-    if (result.rows.length > 0) {
-      res.json({ settings: result.rows[0].settings });
-    } else {
-      res.json({ settings: null });
+    const { id } = req.params;
+    const existing = await emailReportService.getAutoReport(id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Auto report not found' });
+    }
+
+    if (!canAccessSite(req.user, existing.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
     }
+
+    await emailReportService.stopAutoReport(id);
+    res.json({ message: '自動レポートを停止しました' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// テストメール送信
-app.post('/api/email-settings/test', authenticateToken, async (req, res) => {
+// 自動レポート削除
+app.delete('/api/auto-reports/:id', authenticateToken, async (req, res) => {
   try {
-    const { siteId, recipients } = req.body;
-    
-    // ここでは実際のメール送信は行わず、成功レスポンスを返す
-    // 実際の実装では、SendGrid、AWS SES、Nodemailerなどを使用
-    console.log('Test email would be sent to:', recipients);
-    
-    res.json({ message: 'Test email sent successfully' });
+    const { id } = req.params;
+    const existing = await emailReportService.getAutoReport(id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Auto report not found' });
+    }
+
+    if (!canAccessSite(req.user, existing.site_id)) {
+      return res.status(403).json({ error: 'このサイトへのアクセス権限がありません' });
+    }
+
+    await emailReportService.deleteAutoReport(id);
+    res.json({ message: '自動レポートを削除しました' });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -1066,8 +3150,8 @@ app.get('/api/campaigns/scheduled', authenticateToken, checkSiteAccess, async (r
              (SELECT COUNT(*) FROM deliveries WHERE campaign_id = c.id) as delivery_count
       FROM campaigns c
       JOIN sites s ON c.site_id = s.id
-      WHERE c.delivery_type IN ('scheduled', 'recurring')
-      AND c.status = 'draft'
+      WHERE ((c.delivery_type = 'scheduled' AND c.status = 'scheduled')
+          OR (c.delivery_type = 'recurring' AND c.status = 'active'))
     `;
     
     const params = [];
@@ -1080,7 +3164,7 @@ app.get('/api/campaigns/scheduled', authenticateToken, checkSiteAccess, async (r
     query += ' ORDER BY c.scheduled_at ASC';
     
     const result = await pool.query(query, params);
-    res.json(result.rows);
+    res.json(result.rows.map(formatCampaign));
   } catch (error) {
     console.error('予約一覧取得エラー:', error);
     res.status(500).json({ error: error.message });
@@ -1095,7 +3179,7 @@ app.delete('/api/campaigns/scheduled/:id', authenticateToken, checkSiteAccess, a
     const result = await pool.query(
       `UPDATE campaigns 
        SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 AND status = 'draft'
+       WHERE id = $1 AND status = 'scheduled'
        RETURNING *`,
       [id]
     );
@@ -1122,7 +3206,7 @@ app.post('/api/campaigns/recurring/:id/stop', authenticateToken, checkSiteAccess
     const result = await pool.query(
       `UPDATE campaigns 
        SET status = 'stopped', updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 AND delivery_type = 'recurring' AND status = 'draft'
+       WHERE id = $1 AND delivery_type = 'recurring' AND status = 'active'
        RETURNING *`,
       [id]
     );
@@ -1162,12 +3246,16 @@ app.get('/api/campaigns/:id/delivery-history', authenticateToken, async (req, re
     
     const campaign = campaignResult.rows[0];
     
-    // 配信統計取得
+    // 配信統計取得（クリック済みも配信成功に含める）
     const statsResult = await pool.query(
       `SELECT 
          COUNT(*) as total_deliveries,
-         COUNT(CASE WHEN status = 'sent' THEN 1 END) as success_count,
+         COUNT(CASE WHEN status IN ('sent', 'clicked') THEN 1 END) as success_count,
          COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_count,
+         COUNT(CASE WHEN status = 'retrying' THEN 1 END) as retrying_count,
+         COUNT(shown_at) as shown_count,
+         COUNT(clicked_at) as clicked_count,
+         COUNT(closed_at) as closed_count,
          MIN(sent_at) as first_sent,
          MAX(sent_at) as last_sent
        FROM deliveries 
@@ -1197,8 +3285,9 @@ app.get('/api/campaigns/:id/delivery-history', authenticateToken, async (req, re
       `SELECT 
          DATE(sent_at) as date,
          COUNT(*) as total,
-         COUNT(CASE WHEN status = 'sent' THEN 1 END) as success,
-         COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed
+         COUNT(CASE WHEN status IN ('sent', 'clicked') THEN 1 END) as success,
+         COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
+         COUNT(clicked_at) as clicked
        FROM deliveries
        WHERE campaign_id = $1
        GROUP BY DATE(sent_at)
@@ -1207,11 +3296,55 @@ app.get('/api/campaigns/:id/delivery-history', authenticateToken, async (req, re
       [id]
     );
     
+    // ロケール別配信統計（送信に使った言語の内容ごと。locale が NULL は既定言語未設定の既定の内容）
+    const localeStatsResult = await pool.query(
+      `SELECT 
+         locale,
+         COUNT(*) as total,
+         COUNT(CASE WHEN status IN ('sent', 'clicked') THEN 1 END) as success,
+         COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed,
+         COUNT(shown_at) as shown,
+         COUNT(clicked_at) as clicked
+       FROM deliveries
+       WHERE campaign_id = $1 AND status NOT IN ('queued', 'sending', 'cancelled')
+       GROUP BY locale
+       ORDER BY total DESC`,
+      [id]
+    );
+    
+    // A/Bテストのパターン別配信統計（phase: 'test' はテスト配信、'rollout' は勝者の配信）
+    const variantStatsResult = await pool.query(
+      `SELECT 
+         d.variant,
+         j.ab_phase as phase,
+         COUNT(*) as total,
+         COUNT(CASE WHEN d.status IN ('sent', 'clicked') THEN 1 END) as success,
+         COUNT(CASE WHEN d.status = 'failed' THEN 1 END) as failed,
+         COUNT(d.shown_at) as shown,
+         COUNT(d.clicked_at) as clicked,
+         CASE
+           WHEN COUNT(CASE WHEN d.status IN ('sent', 'clicked') THEN 1 END) > 0
+           THEN ROUND(COUNT(d.clicked_at)::decimal / COUNT(CASE WHEN d.status IN ('sent', 'clicked') THEN 1 END) * 100, 2)
+           ELSE 0
+         END as ctr
+       FROM deliveries d
+       LEFT JOIN delivery_jobs j ON d.job_id = j.id
+       WHERE d.campaign_id = $1 AND d.variant IS NOT NULL
+       GROUP BY d.variant, j.ab_phase
+       ORDER BY d.variant, j.ab_phase DESC`,
+      [id]
+    );
+    
     res.json({
-      campaign,
+      campaign: formatCampaign(campaign),
       statistics: statsResult.rows[0],
+      clicksByAction: await trackingService.countClicksByAction(id),
       deliveries: deliveriesResult.rows,
       dailyStats: dailyStatsResult.rows,
+      localeStats: localeStatsResult.rows,
+      abTest: await abTestService.getSummary(campaign),
+      variantStats: variantStatsResult.rows,
+      waveStats: await localDeliveryService.getWaveProgress(id),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -1229,15 +3362,21 @@ app.get('/api/campaigns/:id/error-stats', authenticateToken, async (req, res) =>
   try {
     const { id } = req.params;
     
+    // A/Bテストのキャンペーンはパターンごとに上位10件（A/Bテストなしは variant が NULL）
     const result = await pool.query(
-      `SELECT 
-         error_message,
-         COUNT(*) as count
-       FROM deliveries
-       WHERE campaign_id = $1 AND status = 'failed'
-       GROUP BY error_message
-       ORDER BY count DESC
-       LIMIT 10`,
+      `SELECT variant, error_message, count
+       FROM (
+         SELECT 
+           variant,
+           error_message,
+           COUNT(*) as count,
+           ROW_NUMBER() OVER (PARTITION BY variant ORDER BY COUNT(*) DESC) as rank
+         FROM deliveries
+         WHERE campaign_id = $1 AND status = 'failed'
+         GROUP BY variant, error_message
+       ) ranked
+       WHERE rank <= 10
+       ORDER BY variant NULLS FIRST, count DESC`,
       [id]
     );
     
@@ -1249,77 +3388,20 @@ app.get('/api/campaigns/:id/error-stats', authenticateToken, async (req, res) =>
 });
 
 // 購読者有効性チェック（アクティブな購読者を検証）
-app.post('/api/subscribers/validate', authenticateToken, async (req, res) => {
+// 送信ペースはプッシュサービスごとのレート制限（rate-limiter.js）で制御する
+app.post('/api/subscribers/validate', authenticateToken, checkSiteAccess, async (req, res) => {
   try {
     const { siteId } = req.body;
     
-    // アクティブな購読者を取得
-    const subscribersResult = await pool.query(
-      'SELECT * FROM subscribers WHERE site_id = $1 AND is_active = true',
-      [siteId]
-    );
-    
-    let checkedCount = 0;
-    let deactivatedCount = 0;
-    let validCount = 0;
-    
-    // 各購読者に対してテスト通知を送信（Service Workerで無視され、エンドポイントの有効性のみチェック）
-    for (const subscriber of subscribersResult.rows) {
-      checkedCount++;
-      
-      try {
-        const subscription = {
-          endpoint: subscriber.endpoint,
-          keys: {
-            p256dh: subscriber.p256dh_key,
-            auth: subscriber.auth_key
-          }
-        };
-        
-        // テスト通知（Service Workerで無視される）
-        const testPayload = JSON.stringify({
-          title: 'テスト',
-          body: 'このメッセージは送信されません',
-          tag: 'validation-test'
-        });
-        
-        // エンドポイントの検証（実際に送信）
-        await webpush.sendNotification(subscription, testPayload);
-        validCount++;
-        
-      } catch (error) {
-        // エラーの種類によって非アクティブ化
-        const errorCode = error.statusCode || error.code;
-        const shouldDeactivate = 
-          errorCode === 410 || // Gone
-          errorCode === 404 || // Not Found
-          errorCode === 403 || // Forbidden
-          error.message?.includes('expired') ||
-          error.message?.includes('unsubscribed');
-        
-        if (shouldDeactivate) {
-          await pool.query(
-            'UPDATE subscribers SET is_active = false WHERE id = $1',
-            [subscriber.id]
-          );
-          deactivatedCount++;
-          console.log(`非アクティブ化: ${subscriber.id} - ${error.message}`);
-        }
-      }
-      
-      // 1秒あたり10件程度に制限（レート制限対策）
-      if (checkedCount % 10 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+    if (!siteId) {
+      return res.status(400).json({ error: 'siteIdは必須です' });
     }
     
+    const results = await deliveryService.validateSubscribers(siteId);
+    
     res.json({
       message: '購読者の有効性チェックが完了しました',
-      results: {
-        checked: checkedCount,
-        valid: validCount,
-        deactivated: deactivatedCount
-      }
+      results
     });
   } catch (error) {
     console.error('購読者検証エラー:', error);
@@ -1327,64 +3409,29 @@ app.post('/api/subscribers/validate', authenticateToken, async (req, res) => {
   }
 });
 
-// スケジュールされたキャンペーンを実行（1分ごと）
-async function executeScheduledCampaigns() {
-  try {
-    const now = new Date().toISOString();
-    
-    // 実行すべきキャンペーンを取得（scheduled と recurring 両方）
-    const result = await pool.query(
-      `SELECT * FROM campaigns 
-       WHERE delivery_type IN ('scheduled', 'recurring')
-       AND status = 'draft' 
-       AND scheduled_at <= $1`,
-      [now]
-    );
-    
-    if (result.rows.length > 0) {
-      console.log(`📅 ${result.rows.length}件のスケジュール配信を実行中...`);
-    }
-    
-    for (const campaign of result.rows) {
-      try {
-        console.log(`  → キャンペーン「${campaign.title}」を送信中...`);
-        const results = await sendCampaignNotifications(campaign);
-        console.log(`  ✅ 送信完了: 成功${results.success}件, 失敗${results.failed}件`);
-        
-        // 繰り返し配信の場合は次回実行日時を計算
-        if (campaign.delivery_type === 'recurring' && campaign.recurring_schedule) {
-          const nextTime = calculateNextScheduledTime(campaign.recurring_schedule, campaign.scheduled_at);
-          
-          await pool.query(
-            `UPDATE campaigns 
-             SET scheduled_at = $1, updated_at = CURRENT_TIMESTAMP 
-             WHERE id = $2`,
-            [nextTime, campaign.id]
-          );
-          
-          console.log(`  🔄 次回配信: ${new Date(nextTime).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' })}`);
-        }
-        // 日時指定配信の場合はステータスを送信済みに更新（sendCampaignNotifications内で既に更新済み）
-        
-      } catch (error) {
-        console.error(`  ❌ キャンペーン送信エラー (ID: ${campaign.id}):`, error.message);
-      }
-    }
-  } catch (error) {
-    console.error('❌ スケジュール実行エラー:', error.message);
-  }
-}
-
 // スケジューラー起動（1分ごとにチェック）
+// scheduler.js をスタンドアロンで動かす場合は RUN_SCHEDULER=false で無効化できる
+// （複数のサーバー・scheduler.js を動かしてもキャンペーン・自動レポートは1ノードだけが取得するため二重送信はされない）
 let schedulerInterval;
 function startScheduler() {
+  if (process.env.RUN_SCHEDULER === 'false') {
+    console.log('⏰ スケジューラーは無効です（RUN_SCHEDULER=false）');
+    return;
+  }
+  
   console.log('⏰ スケジューラーを起動しました（1分間隔）');
+  clusterService.register('scheduler');
+  
+  const tick = () => {
+    deliveryService.executeDueCampaigns();
+    emailReportService.executeDueAutoReports();
+  };
   
   // 即座に1回実行
-  executeScheduledCampaigns();
+  tick();
   
   // 1分ごとに実行
-  schedulerInterval = setInterval(executeScheduledCampaigns, 60000);
+  schedulerInterval = setInterval(tick, 60000);
 }
 
 // 購読者有効性チェック（定期実行）
@@ -1394,64 +3441,10 @@ async function validateAllSubscribers() {
   console.log('🔍 購読者有効性チェック開始...');
   
   try {
-    // 全サイトのアクティブな購読者を取得
-    const subscribersResult = await pool.query(
-      'SELECT * FROM subscribers WHERE is_active = true'
-    );
-    
-    let checkedCount = 0;
-    let deactivatedCount = 0;
-    let validCount = 0;
-    
-    for (const subscriber of subscribersResult.rows) {
-      checkedCount++;
-      
-      try {
-        const subscription = {
-          endpoint: subscriber.endpoint,
-          keys: {
-            p256dh: subscriber.p256dh_key,
-            auth: subscriber.auth_key
-          }
-        };
-        
-        // テスト通知（Service Workerで無視される）
-        const testPayload = JSON.stringify({
-          title: 'テスト',
-          body: 'このメッセージは表示されません',
-          tag: 'validation-test'
-        });
-        
-        await webpush.sendNotification(subscription, testPayload);
-        validCount++;
-        
-      } catch (error) {
-        // エラーの種類によって非アクティブ化
-        const errorCode = error.statusCode || error.code;
-        const shouldDeactivate = 
-          errorCode === 410 || // Gone
-          errorCode === 404 || // Not Found  
-          errorCode === 403 || // Forbidden
-          error.message?.includes('expired') ||
-          error.message?.includes('unsubscribed');
-        
-        if (shouldDeactivate) {
-          await pool.query(
-            'UPDATE subscribers SET is_active = false WHERE id = $1',
-            [subscriber.id]
-          );
-          deactivatedCount++;
-          console.log(`  ⚠️ 非アクティブ化: ${subscriber.id} (${error.message})`);
-        }
-      }
-      
-      // レート制限対策: 10件ごとに1秒待機
-      if (checkedCount % 10 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
+    // 全サイトのアクティブな購読者を検証
+    const results = await deliveryService.validateSubscribers();
     
-    console.log(`✅ 有効性チェック完了: チェック ${checkedCount}件 / 有効 ${validCount}件 / 非アクティブ化 ${deactivatedCount}件`);
+    console.log(`✅ 有効性チェック完了: チェック ${results.checked}件 / 有効 ${results.valid}件 / 非アクティブ化 ${results.deactivated}件`);
   } catch (error) {
     console.error('❌ 有効性チェックエラー:', error);
   }
@@ -1471,11 +3464,22 @@ function startValidationScheduler() {
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Web Push API server running on port ${PORT}`);
   
+  // ノード登録（cluster.js。スケジューラー・ワーカーの状態の確認用）
+  clusterService.register('api');
+  
   // キャンペーンスケジューラー起動
   startScheduler();
   
+  // 配信ワーカー起動（worker.js を別プロセスで動かす場合は RUN_WORKER=false）
+  if (process.env.RUN_WORKER !== 'false') {
+    deliveryWorker.start();
+  }
+  
   // 購読者有効性チェックスケジューラー起動
   startValidationScheduler();
+  
+  // 自動レポートのCronジョブを読み込み
+  emailReportService.loadAndStartAutoReports();
 });
 
 // グレースフルシャットダウン
@@ -1494,8 +3498,15 @@ process.on('SIGTERM', () => {
     console.log('🔍 有効性チェックスケジューラーを停止しました');
   }
   
-  pool.end(() => {
-    console.log('Database pool closed');
-    process.exit(0);
-  });
+  // 配信ワーカー停止（処理中のバッチの送信と結果の記録が終わるまで待つ）
+  // その後ノードの停止を記録（取得中のキャンペーンはすぐに他のノードが回復できる）
+  deliveryWorker.stop()
+    .then(() => clusterService.stop())
+    .catch(error => console.error('❌ ノードの停止記録エラー:', error.message))
+    .finally(() => {
+      pool.end(() => {
+        console.log('Database pool closed');
+        process.exit(0);
+      });
+    });
 });
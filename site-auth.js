@@ -0,0 +1,133 @@
+// 公開エンドポイント（購読・SDK）のサイト認証
+// ブラウザ（ウィジェット）からはサイトの公開キー（sites.public_key）と Origin で、
+// サーバー間連携ではサイトのAPIキー（X-API-Key）でサイトを特定する
+//
+// Origin はサイトのドメイン（sites.domain）と追加許可オリジン（sites.allowed_origins）に一致する必要がある
+//   追加許可オリジンは "https://app.example.com" のようなオリジン、または "*.example.com" のようなワイルドカード
+
+const crypto = require('crypto');
+const secretsService = require('./secrets');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// 追加許可オリジンの形式（オリジン または *.ドメイン）
+const ORIGIN_PATTERN = /^(https?:\/\/[a-z0-9.-]+(:\d+)?|\*\.[a-z0-9.-]+)$/;
+
+class SiteAuthService {
+  // 公開キーを発行（ウィジェットに埋め込むため秘密ではない）
+  generatePublicKey() {
+    return `pk_${crypto.randomBytes(16).toString('hex')}`;
+  }
+
+  async findSiteByPublicKey(publicKey) {
+    const result = await pool.query('SELECT * FROM sites WHERE public_key = $1', [publicKey]);
+    return result.rows[0] || null;
+  }
+
+  async findSiteByApiKey(apiKey) {
+    const result = await pool.query(
+      'SELECT * FROM sites WHERE api_key_hash = $1',
+      [secretsService.hashApiKey(apiKey)]
+    );
+    return result.rows[0] || null;
+  }
+
+  // サイトのドメインのホスト名（"https://example.com/path" や "example.com" から取り出す）
+  getDomainHost(domain) {
+    return String(domain || '').trim().toLowerCase().replace(/^https?:\/\//, '').split(/[/:]/)[0];
+  }
+
+  // 追加許可オリジンの正規化（不正な値があれば null）
+  normalizeOrigins(origins) {
+    if (!Array.isArray(origins)) {
+      return null;
+    }
+
+    const normalized = [];
+    for (const origin of origins) {
+      const value = String(origin).trim().toLowerCase().replace(/\/+$/, '');
+      if (!ORIGIN_PATTERN.test(value)) {
+        return null;
+      }
+      if (!normalized.includes(value)) {
+        normalized.push(value);
+      }
+    }
+    return normalized;
+  }
+
+  // Origin がサイトに許可されているか
+  isOriginAllowed(site, origin) {
+    let url;
+    try {
+      url = new URL(origin);
+    } catch (error) {
+      return false;
+    }
+
+    const host = url.hostname.toLowerCase();
+    const domainHost = this.getDomainHost(site.domain);
+
+    if (domainHost && (host === domainHost || host === `www.${domainHost}`)) {
+      return true;
+    }
+
+    return (site.allowed_origins || []).some((allowed) => {
+      if (allowed.startsWith('*.')) {
+        return host.endsWith(allowed.slice(1));
+      }
+      return url.origin.toLowerCase() === allowed;
+    });
+  }
+
+  // リクエストからサイトを認証する
+  // 成功時は { site, method: 'api_key' | 'public_key' }、失敗時は { status, error } を返す
+  async authenticate({ publicKey, apiKey, origin, siteId }) {
+    let site = null;
+    const method = apiKey ? 'api_key' : 'public_key';
+
+    if (apiKey) {
+      site = await this.findSiteByApiKey(apiKey);
+      if (!site) {
+        return { status: 401, error: 'Invalid API key' };
+      }
+    } else if (publicKey) {
+      site = await this.findSiteByPublicKey(publicKey);
+      if (!site) {
+        return { status: 401, error: 'Invalid site key' };
+      }
+      // 公開キーはページに埋め込まれるため、登録ドメインからのリクエストに限る
+      if (!origin) {
+        return { status: 403, error: 'Origin header is required' };
+      }
+      if (!this.isOriginAllowed(site, origin)) {
+        return { status: 403, error: 'Origin is not allowed for this site' };
+      }
+    } else {
+      return { status: 401, error: 'Site key or API key is required' };
+    }
+
+    if (siteId && siteId !== site.id) {
+      return { status: 403, error: 'siteId does not match the site key' };
+    }
+
+    if (!site.is_active) {
+      return { status: 403, error: 'Site is not active' };
+    }
+
+    return { site, method };
+  }
+}
+
+// 公開キー・追加許可オリジンのカラム追加SQL
+const addSiteAuthColumns = `
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS public_key VARCHAR(64);
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS allowed_origins TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE sites SET public_key = 'pk_' || replace(gen_random_uuid()::text, '-', '') WHERE public_key IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sites_public_key ON sites(public_key);
+`;
+
+module.exports = new SiteAuthService();
@@ -0,0 +1,302 @@
+// 購読ライフサイクル管理
+// 購読・購読解除・エンドポイントの切り替え（pushsubscriptionchange）と、その履歴（subscription_events）を扱う
+//
+// イベント種別:
+//   subscribed    新規購読
+//   resubscribed  無効になっていた購読の再開、またはエンドポイントの切り替え（購読者IDと配信履歴は維持）
+//   unsubscribed  ブラウザからの購読解除
+//   expired       ブラウザ側で購読が失効（新しい購読なしの pushsubscriptionchange、または別の購読者に置き換え）
+//   deactivated   送信エラー（410/404/403 など）による自動無効化
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+const SUBSCRIPTION_EVENTS = ['subscribed', 'resubscribed', 'unsubscribed', 'expired', 'deactivated'];
+
+class SubscriptionService {
+  isValidEventType(type) {
+    return SUBSCRIPTION_EVENTS.includes(type);
+  }
+
+  // イベント記録（client指定時はそのトランザクション内で実行）
+  async logEvent(subscriberId, eventType, details = {}, client = pool) {
+    await client.query(`
+      INSERT INTO subscription_events (subscriber_id, site_id, event_type, endpoint, details)
+      SELECT id, site_id, $2, endpoint, $3
+      FROM subscribers
+      WHERE id = $1
+    `, [subscriberId, eventType, JSON.stringify(details)]);
+  }
+
+  // トランザクション内で処理を実行
+  async withTransaction(fn) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 購読の登録・更新（同じエンドポイントは同じ購読者として扱い、無効だった場合は再開する）
+  // data: { subscription, userAgent, deviceInfo, vapidKeyId（購読に使われた鍵）, defaultVapidKeyId（サイトの現在の鍵）,
+  //         locale（ブラウザの言語）, timezone（ブラウザのタイムゾーン）。locale・timezone は不明ならnullで既存の値を残す }
+  async upsertSubscriber(client, siteId, data) {
+    const { subscription, userAgent, deviceInfo, vapidKeyId, defaultVapidKeyId, locale, timezone } = data;
+
+    const existing = await client.query(
+      'SELECT id, is_active FROM subscribers WHERE site_id = $1 AND endpoint = $2 FOR UPDATE',
+      [siteId, subscription.endpoint]
+    );
+
+    const result = await client.query(
+      `INSERT INTO subscribers (site_id, endpoint, p256dh_key, auth_key, user_agent, device_type, browser, os, vapid_key_id, locale, timezone)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, $10), $11, $12)
+       ON CONFLICT (site_id, endpoint) DO UPDATE
+       SET last_active_at = CURRENT_TIMESTAMP,
+           p256dh_key = EXCLUDED.p256dh_key,
+           auth_key = EXCLUDED.auth_key,
+           device_type = EXCLUDED.device_type,
+           browser = EXCLUDED.browser,
+           os = EXCLUDED.os,
+           is_active = true,
+           unsubscribed_at = NULL,
+           vapid_key_id = COALESCE($9, subscribers.vapid_key_id, $10),
+           locale = COALESCE($11, subscribers.locale),
+           timezone = COALESCE($12, subscribers.timezone)
+       RETURNING *`,
+      [
+        siteId,
+        subscription.endpoint,
+        subscription.keys.p256dh,
+        subscription.keys.auth,
+        userAgent,
+        deviceInfo.device,
+        deviceInfo.browser,
+        deviceInfo.os,
+        vapidKeyId || null,
+        defaultVapidKeyId || null,
+        locale || null,
+        timezone || null
+      ]
+    );
+
+    const subscriber = result.rows[0];
+
+    let event = null;
+    if (existing.rows.length === 0) {
+      event = 'subscribed';
+    } else if (!existing.rows[0].is_active) {
+      event = 'resubscribed';
+    }
+
+    if (event) {
+      await this.logEvent(subscriber.id, event, {}, client);
+    }
+
+    return { subscriber, event };
+  }
+
+  // 購読
+  async subscribe(siteId, data) {
+    return this.withTransaction(client => this.upsertSubscriber(client, siteId, data));
+  }
+
+  // 購読解除（該当する有効な購読がなければnull）
+  async unsubscribe(siteId, endpoint) {
+    return this.withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE subscribers
+        SET is_active = false, unsubscribed_at = CURRENT_TIMESTAMP
+        WHERE site_id = $1 AND endpoint = $2 AND is_active = true
+        RETURNING *
+      `, [siteId, endpoint]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await this.logEvent(result.rows[0].id, 'unsubscribed', {}, client);
+      return result.rows[0];
+    });
+  }
+
+  // エンドポイントの切り替え（Service Workerの pushsubscriptionchange）
+  // 新しい購読があれば旧購読者のエンドポイントを置き換えて履歴を引き継ぎ、なければ旧購読を失効させる
+  // data: upsertSubscriber と同じ（subscription は新しい購読。なければnull）
+  async changeSubscription(siteId, oldEndpoint, data) {
+    return this.withTransaction(async (client) => {
+      const oldResult = await client.query(
+        'SELECT * FROM subscribers WHERE site_id = $1 AND endpoint = $2 FOR UPDATE',
+        [siteId, oldEndpoint]
+      );
+      const old = oldResult.rows[0] || null;
+
+      // 新しい購読なし: 旧購読の失効のみ
+      if (!data.subscription) {
+        if (!old) {
+          return null;
+        }
+
+        await client.query(
+          'UPDATE subscribers SET is_active = false WHERE id = $1',
+          [old.id]
+        );
+        await this.logEvent(old.id, 'expired', { reason: 'pushsubscriptionchange' }, client);
+        return { subscriber: { ...old, is_active: false }, event: 'expired' };
+      }
+
+      // 旧購読が見つからない場合は新規購読として扱う
+      if (!old) {
+        return this.upsertSubscriber(client, siteId, data);
+      }
+
+      const { subscription } = data;
+
+      // 新しいエンドポイントが既に別の購読者として登録済みなら、そちらを有効にして旧購読を失効させる
+      const targetResult = await client.query(
+        'SELECT id FROM subscribers WHERE site_id = $1 AND endpoint = $2 AND id != $3',
+        [siteId, subscription.endpoint, old.id]
+      );
+
+      if (targetResult.rows.length > 0) {
+        await client.query('UPDATE subscribers SET is_active = false WHERE id = $1', [old.id]);
+        await this.logEvent(old.id, 'expired', { replacedBy: targetResult.rows[0].id }, client);
+        return this.upsertSubscriber(client, siteId, data);
+      }
+
+      // 鍵の指定がなければ旧購読の鍵を引き継ぐ（pushsubscriptionchange は元の applicationServerKey で再購読するため）
+      const result = await client.query(`
+        UPDATE subscribers
+        SET endpoint = $2,
+            p256dh_key = $3,
+            auth_key = $4,
+            is_active = true,
+            unsubscribed_at = NULL,
+            last_active_at = CURRENT_TIMESTAMP,
+            vapid_key_id = COALESCE($5, vapid_key_id, $6),
+            locale = COALESCE($7, locale),
+            timezone = COALESCE($8, timezone)
+        WHERE id = $1
+        RETURNING *
+      `, [
+        old.id,
+        subscription.endpoint,
+        subscription.keys.p256dh,
+        subscription.keys.auth,
+        data.vapidKeyId || null,
+        data.defaultVapidKeyId || null,
+        data.locale || null,
+        data.timezone || null
+      ]);
+
+      await this.logEvent(old.id, 'resubscribed', { previousEndpoint: oldEndpoint }, client);
+      return { subscriber: result.rows[0], event: 'resubscribed' };
+    });
+  }
+
+  // 送信エラーによる無効化
+  async deactivate(subscriberId, reason) {
+    const result = await pool.query(
+      'UPDATE subscribers SET is_active = false WHERE id = $1 AND is_active = true RETURNING id',
+      [subscriberId]
+    );
+
+    if (result.rows.length > 0) {
+      await this.logEvent(subscriberId, 'deactivated', { reason });
+    }
+  }
+
+  // 購読者のイベント履歴（新しい順）
+  async listEvents(subscriberId, { limit = 50, offset = 0 } = {}) {
+    const result = await pool.query(`
+      SELECT id, event_type, endpoint, details, created_at
+      FROM subscription_events
+      WHERE subscriber_id = $1
+      ORDER BY created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [subscriberId, limit, offset]);
+
+    return result.rows;
+  }
+
+  // サイトのイベント一覧（種別・期間で絞り込み）
+  async listSiteEvents(siteId, { eventType, startDate, endDate, limit = 100, offset = 0 } = {}) {
+    const conditions = ['site_id = $1'];
+    const params = [siteId];
+
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+    if (startDate) {
+      params.push(startDate);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (endDate) {
+      params.push(endDate);
+      conditions.push(`created_at <= $${params.length}`);
+    }
+
+    params.push(limit, offset);
+
+    const result = await pool.query(`
+      SELECT id, subscriber_id, event_type, endpoint, details, created_at
+      FROM subscription_events
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC
+      LIMIT $${params.length - 1} OFFSET $${params.length}
+    `, params);
+
+    return result.rows;
+  }
+
+  // サイトのイベント種別ごとの件数
+  async countSiteEvents(siteId, { startDate, endDate } = {}) {
+    const result = await pool.query(`
+      SELECT event_type, COUNT(*) AS count
+      FROM subscription_events
+      WHERE site_id = $1
+        AND ($2::timestamp IS NULL OR created_at >= $2)
+        AND ($3::timestamp IS NULL OR created_at <= $3)
+      GROUP BY event_type
+    `, [siteId, startDate || null, endDate || null]);
+
+    const counts = {};
+    for (const type of SUBSCRIPTION_EVENTS) {
+      counts[type] = 0;
+    }
+    for (const row of result.rows) {
+      counts[row.event_type] = parseInt(row.count);
+    }
+    return counts;
+  }
+}
+
+// 購読イベントテーブル作成SQL
+const createSubscriptionEventsTable = `
+CREATE TABLE IF NOT EXISTS subscription_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscriber_id UUID NOT NULL REFERENCES subscribers(id) ON DELETE CASCADE,
+  site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  event_type VARCHAR(20) NOT NULL, -- 'subscribed', 'resubscribed', 'unsubscribed', 'expired', 'deactivated'
+  endpoint TEXT,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS unsubscribed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_subscription_events_subscriber ON subscription_events(subscriber_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscription_events_site ON subscription_events(site_id, event_type, created_at DESC);
+`;
+
+module.exports = new SubscriptionService();
+module.exports.SUBSCRIPTION_EVENTS = SUBSCRIPTION_EVENTS;
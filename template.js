@@ -0,0 +1,347 @@
+// 通知内容のテンプレート（購読者ごとの差し込み）
+// キャンペーンのタイトル・本文・URL・アクションボタンに変数を埋め込み、送信時に購読者ごとに展開する
+//
+// 構文: {{ 変数 | フィルター:引数 | フィルター }}
+//   例) {{attributes.first_name | default:"there"}} さん、{{site.name}} からのお知らせです
+//
+// 変数:
+//   attributes.<キー>  購読者のカスタム属性（attributes.js）
+//   subscriber.*       id / external_user_id / device_type / browser / os / locale
+//   site.*             name / domain / url
+//   campaign.*         id / name
+//
+// フィルター: default:"値" / upper / lower / capitalize / truncate:文字数 / urlencode
+//
+// 式の評価は行わず、決まった変数の参照と決まったフィルターだけを許可する
+// URL への差し込みは値を自動で URL エンコードする
+//
+// URLには UTM パラメータを自動で付与する（キャンペーンの utm で上書き、false で無効）
+//   utm_source=webpush, utm_medium=push, utm_campaign=<キャンペーン名>
+//   URLに既にある utm_* パラメータは上書きしない
+
+const { ATTRIBUTE_KEY_PATTERN } = require('./attributes');
+
+// 名前空間ごとに参照できる項目（attributes は任意のキー）
+const TEMPLATE_VARIABLES = {
+  subscriber: ['id', 'external_user_id', 'device_type', 'browser', 'os', 'locale'],
+  site: ['name', 'domain', 'url'],
+  campaign: ['id', 'name']
+};
+
+// フィルターと引数の型（null は引数なし）
+const TEMPLATE_FILTERS = {
+  default: 'string',
+  upper: null,
+  lower: null,
+  capitalize: null,
+  truncate: 'number',
+  urlencode: null
+};
+
+const UTM_KEYS = ['source', 'medium', 'campaign', 'term', 'content'];
+
+const DEFAULT_UTM = {
+  source: 'webpush',
+  medium: 'push'
+};
+
+const EXPRESSION_PATTERN = /\{\{([\s\S]*?)\}\}/g;
+
+// 解析済みテンプレートのキャッシュ（同じキャンペーンの内容を購読者ごとに解析し直さない）
+const MAX_CACHE_SIZE = 500;
+
+class TemplateService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  // 式を「変数 | フィルター:引数 | ...」に分解（引数の "..." 内の | は区切りにしない）
+  splitPipes(expression) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < expression.length; i++) {
+      const char = expression[i];
+      if (char === '\\' && quoted && i + 1 < expression.length) {
+        current += char + expression[++i];
+        continue;
+      }
+      if (char === '"') quoted = !quoted;
+      if (char === '|' && !quoted) {
+        parts.push(current.trim());
+        current = '';
+        continue;
+      }
+      current += char;
+    }
+
+    if (quoted) {
+      throw new Error('閉じられていない " があります');
+    }
+    parts.push(current.trim());
+    return parts;
+  }
+
+  parseVariable(path) {
+    const [namespace, key, ...rest] = path.split('.');
+
+    if (rest.length > 0 || !key) {
+      throw new Error(`変数 ${path} は「名前空間.項目」の形式で指定してください`);
+    }
+    if (namespace === 'attributes') {
+      if (!ATTRIBUTE_KEY_PATTERN.test(key)) {
+        throw new Error(`属性キー ${key} が不正です`);
+      }
+      return { namespace, key };
+    }
+    if (!TEMPLATE_VARIABLES[namespace]) {
+      throw new Error(`未対応の変数です (${path})`);
+    }
+    if (!TEMPLATE_VARIABLES[namespace].includes(key)) {
+      throw new Error(`${namespace} で使用できる項目は ${TEMPLATE_VARIABLES[namespace].join(' / ')} です (${path})`);
+    }
+    return { namespace, key };
+  }
+
+  parseFilter(text) {
+    const match = /^([a-z]+)(?:\s*:\s*(.+))?$/.exec(text);
+    if (!match || !Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, match[1])) {
+      throw new Error(`未対応のフィルターです (${text})`);
+    }
+
+    const [, name, rawArg] = match;
+    const argType = TEMPLATE_FILTERS[name];
+
+    if (argType === null) {
+      if (rawArg !== undefined) {
+        throw new Error(`${name} フィルターに引数は指定できません`);
+      }
+      return { name };
+    }
+
+    if (argType === 'number') {
+      const value = Number(rawArg);
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`${name} フィルターの引数は正の整数で指定してください`);
+      }
+      return { name, arg: value };
+    }
+
+    if (!rawArg || !/^"(?:[^"\\]|\\.)*"$/.test(rawArg)) {
+      throw new Error(`${name} フィルターの引数は "..." で指定してください`);
+    }
+    return { name, arg: rawArg.slice(1, -1).replace(/\\(.)/g, '$1') };
+  }
+
+  // テンプレートを解析（文字列と差し込み式の配列。構文エラーは例外）
+  parse(template) {
+    if (this.cache.has(template)) {
+      return this.cache.get(template);
+    }
+
+    const nodes = [];
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(EXPRESSION_PATTERN)) {
+      if (match.index > lastIndex) {
+        nodes.push(template.slice(lastIndex, match.index));
+      }
+
+      const [path, ...filters] = this.splitPipes(match[1]);
+      nodes.push({
+        ...this.parseVariable(path),
+        filters: filters.map(filter => this.parseFilter(filter))
+      });
+      lastIndex = match.index + match[0].length;
+    }
+
+    const rest = template.slice(lastIndex);
+    if (rest.includes('{{') || rest.includes('}}')) {
+      throw new Error('{{ と }} の対応が正しくありません');
+    }
+    if (rest) {
+      nodes.push(rest);
+    }
+
+    if (this.cache.size >= MAX_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    this.cache.set(template, nodes);
+    return nodes;
+  }
+
+  // テンプレートの入力チェック（エラーメッセージを返す、問題なければnull）
+  validate(template, field) {
+    if (template === undefined || template === null) {
+      return null;
+    }
+    try {
+      this.parse(String(template));
+      return null;
+    } catch (error) {
+      return `${field}: ${error.message}`;
+    }
+  }
+
+  // キャンペーン内容（タイトル・本文・URL・アクションボタン）のテンプレートの入力チェック
+  validateContent({ title, body, url, actions }) {
+    const fields = [['title', title], ['body', body], ['url', url]];
+    for (const [index, action] of (Array.isArray(actions) ? actions : []).entries()) {
+      fields.push([`actions[${index}].title`, action && action.title]);
+      fields.push([`actions[${index}].url`, action && action.url]);
+    }
+
+    for (const [field, template] of fields) {
+      const error = this.validate(template, field);
+      if (error) return error;
+    }
+    return null;
+  }
+
+  // UTM設定の入力チェック（false で無効、オブジェクトで上書き）
+  validateUtm(utm) {
+    if (utm === undefined || utm === null || utm === false) {
+      return null;
+    }
+    if (typeof utm !== 'object' || Array.isArray(utm)) {
+      return 'utmは false またはオブジェクト（source / medium / campaign / term / content）で指定してください';
+    }
+    for (const [key, value] of Object.entries(utm)) {
+      if (!UTM_KEYS.includes(key)) {
+        return `utm に指定できる項目は ${UTM_KEYS.join(' / ')} です`;
+      }
+      if (typeof value !== 'string' || value.length > 100) {
+        return `utm.${key}は100文字以内の文字列で指定してください`;
+      }
+    }
+    return null;
+  }
+
+  applyFilter(value, filter) {
+    switch (filter.name) {
+      case 'default':
+        return value === '' ? filter.arg : value;
+      case 'upper':
+        return value.toUpperCase();
+      case 'lower':
+        return value.toLowerCase();
+      case 'capitalize':
+        return value.charAt(0).toUpperCase() + value.slice(1);
+      case 'truncate':
+        return value.length > filter.arg ? `${value.slice(0, filter.arg)}…` : value;
+      case 'urlencode':
+        return encodeURIComponent(value);
+      default:
+        return value;
+    }
+  }
+
+  // テンプレートを展開（未設定の変数は空文字）
+  // encodeValues: URLへの差し込み（値を URL エンコードする）
+  render(template, context, { encodeValues = false } = {}) {
+    if (template === undefined || template === null || template === '') {
+      return template;
+    }
+
+    return this.parse(String(template)).map((node) => {
+      if (typeof node === 'string') {
+        return node;
+      }
+
+      const source = context[node.namespace] || {};
+      const raw = source[node.key];
+      let value = raw === undefined || raw === null ? '' : String(raw);
+
+      for (const filter of node.filters) {
+        value = this.applyFilter(value, filter);
+      }
+
+      const alreadyEncoded = node.filters.some(filter => filter.name === 'urlencode');
+      return encodeValues && !alreadyEncoded ? encodeURIComponent(value) : value;
+    }).join('');
+  }
+
+  // 差し込みに使う値（購読者・サイト・キャンペーン）
+  buildContext({ subscriber = {}, site = {}, campaign = {} }) {
+    return {
+      attributes: subscriber.attributes || {},
+      subscriber: {
+        id: subscriber.id,
+        external_user_id: subscriber.external_user_id,
+        device_type: subscriber.device_type,
+        browser: subscriber.browser,
+        os: subscriber.os,
+        locale: subscriber.locale
+      },
+      site: { name: site.name, domain: site.domain, url: site.url },
+      campaign: { id: campaign.id, name: campaign.name }
+    };
+  }
+
+  // URLにUTMパラメータを付与（utm: キャンペーンの設定。false なら付与しない）
+  // content: アクションボタンのURLではボタンIDを utm_content にする
+  appendUtm(url, utm, campaign, { content } = {}) {
+    if (!url || utm === false) {
+      return url;
+    }
+
+    const params = {
+      ...DEFAULT_UTM,
+      campaign: campaign.name || campaign.id,
+      content,
+      ...(utm || {})
+    };
+
+    // 相対パスはダミーのオリジンで解析して元の形に戻す
+    const isRelative = url.startsWith('/');
+    let parsed;
+    try {
+      parsed = new URL(url, 'https://relative.invalid');
+    } catch (error) {
+      return url;
+    }
+    if (!isRelative && !/^https?:$/.test(parsed.protocol)) {
+      return url;
+    }
+
+    for (const [key, value] of Object.entries(params)) {
+      if (value && !parsed.searchParams.has(`utm_${key}`)) {
+        parsed.searchParams.set(`utm_${key}`, value);
+      }
+    }
+
+    return isRelative ? parsed.pathname + parsed.search + parsed.hash : parsed.toString();
+  }
+
+  // 送信ペイロード（payload.js の buildNotification の結果）を購読者ごとに展開
+  renderPayload(payload, context, utm, campaign) {
+    const rendered = {
+      ...payload,
+      title: this.render(payload.title, context),
+      body: this.render(payload.body, context),
+      url: this.appendUtm(this.render(payload.url, context, { encodeValues: true }), utm, campaign)
+    };
+
+    if (payload.actions) {
+      rendered.actions = payload.actions.map(action => ({
+        ...action,
+        title: this.render(action.title, context),
+        url: action.url
+          ? this.appendUtm(this.render(action.url, context, { encodeValues: true }), utm, campaign, { content: action.action })
+          : action.url
+      }));
+    }
+
+    return rendered;
+  }
+}
+
+// UTM設定の列追加SQL
+const addTemplateColumns = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS utm JSONB; -- NULL は既定値で付与、'false' は付与しない
+`;
+
+module.exports = new TemplateService();
+module.exports.TEMPLATE_VARIABLES = TEMPLATE_VARIABLES;
+module.exports.TEMPLATE_FILTERS = TEMPLATE_FILTERS;
@@ -0,0 +1,183 @@
+// タイムゾーン（IANA名）での日時計算
+// サーバーのローカル時刻（setHours / getHours）に依存せず、Intl で指定タイムゾーンの壁時計時刻を扱う
+//
+//   夏時間の開始（存在しない時刻。例: 02:30）は切り替わりの幅だけ後ろにずらす（03:30）
+//   夏時間の終了（2回ある時刻。例: 01:30）は1回目（切り替え前）を使う
+//
+// 日時の保存はUTC（TIMESTAMP）のままで、APIの応答には指定タイムゾーンの時刻（*_local）を併記する
+
+// タイムゾーン未指定時の既定値（従来の運用に合わせて日本時間）
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Tokyo';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// タイムゾーンごとの Intl.DateTimeFormat（生成コストが高いため使い回す）
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// IANAタイムゾーン名として有効か
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '' || timeZone.length > 64) {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// 指定タイムゾーンでの壁時計時刻 { year, month(1-12), day, hour, minute, second, dayOfWeek(0=日) }
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    dayOfWeek: WEEKDAYS[parts.weekday]
+  };
+}
+
+// UTCからのオフセット（ミリ秒。東側が正）
+function getOffsetMs(date, timeZone) {
+  const time = new Date(date).getTime();
+  const parts = getZonedParts(time, timeZone);
+  const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallTime - Math.floor(time / 1000) * 1000;
+}
+
+// 指定タイムゾーンの壁時計時刻を Date に変換（夏時間の扱いは冒頭のとおり）
+// 日・月のはみ出し（32日、13月など）は Date.UTC と同じく繰り上げる
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  const wallTime = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // 前後1日のオフセット（切り替えの前と後）で候補を作り、壁時計時刻が一致するものを選ぶ
+  const offsetBefore = getOffsetMs(wallTime - DAY_MS, timeZone);
+  const offsetAfter = getOffsetMs(wallTime + DAY_MS, timeZone);
+  const candidates = [wallTime - offsetBefore, wallTime - offsetAfter]
+    .filter(time => time + getOffsetMs(time, timeZone) === wallTime)
+    .sort((a, b) => a - b);
+
+  // 一致なしは存在しない時刻（夏時間の開始）。切り替え前のオフセットで解釈すると後ろにずれる
+  return new Date(candidates.length > 0 ? candidates[0] : wallTime - offsetBefore);
+}
+
+// 年月の日数
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+// 日付（年月日）に日数を加算
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+// 指定タイムゾーンの日付（YYYY-MM-DD）
+function formatDate(date, timeZone) {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// 指定タイムゾーンのオフセット付きISO 8601（例: 2026-03-08T09:00:00-04:00）
+function formatLocal(date, timeZone) {
+  if (date === null || date === undefined) {
+    return null;
+  }
+
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const offsetMinutes = Math.round(getOffsetMs(date, timeZone) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const absolute = Math.abs(offsetMinutes);
+
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+// 日時の入力の解釈（オフセット・Z 付きはそのまま、なければ指定タイムゾーンの時刻とみなす）
+// 不正な値は null
+function parseDateTime(value, timeZone) {
+  if (typeof value !== 'string' && !(value instanceof Date)) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/.exec(value.trim());
+    if (match) {
+      const [, year, month, day, hour, minute, second] = match.map(Number);
+      if (month < 1 || month > 12 || day < 1 || day > getDaysInMonth(year, month) || hour > 23 || minute > 59) {
+        return null;
+      }
+      return zonedTimeToUtc({ year, month, day, hour, minute, second: second || 0 }, timeZone);
+    }
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// レコードの日時列に指定タイムゾーンの時刻（<列名>_local）を併記
+function withLocalTimes(record, fields, timeZone) {
+  if (!record) {
+    return record;
+  }
+
+  const zone = timeZone || record.timezone || DEFAULT_TIMEZONE;
+  const result = { ...record };
+  for (const field of fields) {
+    if (record[field] !== undefined) {
+      result[`${field}_local`] = formatLocal(record[field], zone);
+    }
+  }
+  return result;
+}
+
+// タイムゾーンの列追加SQL（既存のキャンペーンは従来どおり日本時間）
+// 自動レポートの timezone は email-report.js
+const addTimezoneColumns = `
+ALTER TABLE campaigns ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Tokyo';
+`;
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  getOffsetMs,
+  zonedTimeToUtc,
+  getDaysInMonth,
+  addDays,
+  formatDate,
+  formatLocal,
+  parseDateTime,
+  withLocalTimes
+};
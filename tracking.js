@@ -0,0 +1,115 @@
+// 通知トラッキングサービス
+// Service Worker からの表示・クリック・クローズイベントを配信ログ（deliveries）に記録する
+
+const crypto = require('crypto');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// 受け付けるイベント種別と、記録先のタイムスタンプ列
+const TRACKING_EVENTS = {
+  shown: 'shown_at',
+  clicked: 'clicked_at',
+  closed: 'closed_at'
+};
+
+const ACTION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,32}$/;
+
+class TrackingService {
+  constructor() {
+    this.secret = process.env.TRACKING_SECRET || process.env.JWT_SECRET || 'default-secret';
+  }
+
+  // 配信IDに対する署名トークンを発行（ペイロードに埋め込んでService Workerに渡す）
+  signToken(deliveryId) {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(String(deliveryId))
+      .digest('base64url');
+  }
+
+  // 署名トークンの検証
+  verifyToken(deliveryId, token) {
+    if (!token || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.signToken(deliveryId));
+    const actual = Buffer.from(token);
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  // イベント種別の妥当性チェック
+  isValidEvent(event) {
+    return Object.prototype.hasOwnProperty.call(TRACKING_EVENTS, event);
+  }
+
+  // 配信ログと所属サイトを取得
+  async getDelivery(deliveryId) {
+    const result = await pool.query(`
+      SELECT d.id, d.status, s.site_id, site.api_key_hash
+      FROM deliveries d
+      INNER JOIN subscribers s ON d.subscriber_id = s.id
+      INNER JOIN sites site ON s.site_id = site.id
+      WHERE d.id = $1
+    `, [deliveryId]);
+
+    return result.rows[0] || null;
+  }
+
+  // アクションボタンのIDの形式（payload.js のアクションIDと同じ）
+  isValidAction(action) {
+    return typeof action === 'string' && ACTION_ID_PATTERN.test(action);
+  }
+
+  // イベント記録
+  // 各タイムスタンプは初回のみ記録し、クリック時はステータスを 'clicked' に更新する
+  // action: アクションボタンのクリック時のボタンID（初回クリックのみ clicked_action に記録）
+  async recordEvent(deliveryId, event, action = null) {
+    const column = TRACKING_EVENTS[event];
+
+    const result = await pool.query(`
+      UPDATE deliveries
+      SET ${column} = COALESCE(${column}, CURRENT_TIMESTAMP),
+          clicked_action = CASE WHEN $2 = 'clicked' AND clicked_at IS NULL THEN $3 ELSE clicked_action END,
+          status = CASE WHEN $2 = 'clicked' THEN 'clicked' ELSE status END
+      WHERE id = $1
+        AND status IN ('sent', 'clicked')
+      RETURNING id, status, shown_at, clicked_at, clicked_action, closed_at
+    `, [deliveryId, event, action]);
+
+    return result.rows[0] || null;
+  }
+
+  // キャンペーンのクリック数（本文・アクションボタン別）
+  async countClicksByAction(campaignId) {
+    const result = await pool.query(`
+      SELECT clicked_action, COUNT(*) AS count
+      FROM deliveries
+      WHERE campaign_id = $1 AND clicked_at IS NOT NULL
+      GROUP BY clicked_action
+    `, [campaignId]);
+
+    const counts = { body: 0, actions: {} };
+    for (const row of result.rows) {
+      if (row.clicked_action) {
+        counts.actions[row.clicked_action] = parseInt(row.count);
+      } else {
+        counts.body = parseInt(row.count);
+      }
+    }
+    return counts;
+  }
+}
+
+// トラッキング列追加SQL
+const addTrackingColumns = `
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS shown_at TIMESTAMP;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS clicked_at TIMESTAMP;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_deliveries_clicked ON deliveries(campaign_id) WHERE status = 'clicked';
+`;
+
+module.exports = new TrackingService();
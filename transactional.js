@@ -0,0 +1,473 @@
+// トランザクション通知（サーバー間連携の即時送信）
+// 発送通知・パスワードリセットなど、キャンペーンを作らずに宛先を指定して1件の通知を送る
+//
+// 宛先（いずれか1種類）:
+//   subscriberIds    購読者ID
+//   externalUserIds  サイトのユーザーID（subscribers.external_user_id）。そのユーザーの有効な全端末に送る
+//   endpoints        購読エンドポイント
+//
+// external_user_id はサイトのAPIキー（サーバー間連携）でのみ設定できる
+// （ページに埋め込まれる公開キーで設定できると、他人のユーザーIDを名乗れてしまうため）
+//
+// 送信はキャンペーン・配信ジョブを介さず、リクエスト内で1回だけ試行する
+// TTL / Urgency / Topic と有効期限はキャンペーンと同じ（push-options.js）
+// 送信記録は transactional_messages（1リクエスト）と deliveries（端末ごと、campaign_id なし）に残す
+//
+// 冪等キー（Idempotency-Key）を指定した場合、同じサイト・同じキーのリクエストは再送せず最初の結果を返す
+// キーは送信内容のハッシュと一緒に保存し、内容が異なる再利用はエラーにする
+//   - 送信前に失敗した場合はキーを解放し、同じキーで再試行できるようにする
+//   - 送信を始めてから失敗した場合はキーを解放せず、その時点の結果（incomplete: true）を保存して返す（二重送信を防ぐ）
+//   - 結果のないまま IDEMPOTENCY_RESERVATION_TIMEOUT_SECONDS を過ぎた予約（プロセス停止など）は、
+//     送信していなければ解放し、送信していればその時点の結果で完了にする
+
+const crypto = require('crypto');
+const deliveryService = require('./delivery');
+const trackingService = require('./tracking');
+const vapidKeyService = require('./vapid');
+const payloadService = require('./payload');
+const pushOptionsService = require('./push-options');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+const MAX_EXTERNAL_USER_ID_LENGTH = 255;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// 購読者IDなどのUUIDの形式（不正な値はSQLの型変換エラーになるため事前に弾く）
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// 1リクエストで指定できる宛先数
+const MAX_TARGETS_PER_REQUEST = 100;
+
+// 冪等キーの予約（処理中）を放棄されたとみなすまでの時間
+const IDEMPOTENCY_RESERVATION_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_RESERVATION_TIMEOUT_SECONDS) || 300;
+
+// 宛先の種別（リクエストのキー → transactional_messages.target_type）
+const TARGET_TYPES = {
+  subscriberIds: 'subscribers',
+  externalUserIds: 'users',
+  endpoints: 'endpoints'
+};
+
+class TransactionalService {
+  isValidExternalUserId(externalUserId) {
+    return (
+      typeof externalUserId === 'string' &&
+      externalUserId.trim() !== '' &&
+      externalUserId.length <= MAX_EXTERNAL_USER_ID_LENGTH
+    );
+  }
+
+  isValidUuid(value) {
+    return typeof value === 'string' && UUID_PATTERN.test(value);
+  }
+
+  // 購読者にユーザーIDを設定（null で解除。ログアウト時など）
+  // target: { subscriberId } または { endpoint }
+  async identifySubscriber(siteId, target, externalUserId) {
+    const column = target.subscriberId ? 'id' : 'endpoint';
+    const result = await pool.query(`
+      UPDATE subscribers
+      SET external_user_id = $3
+      WHERE site_id = $1 AND ${column} = $2
+      RETURNING id, endpoint, external_user_id, is_active
+    `, [siteId, target.subscriberId || target.endpoint, externalUserId]);
+
+    return result.rows[0] || null;
+  }
+
+  // ユーザーの購読者一覧
+  async listUserSubscribers(siteId, externalUserId, { activeOnly = false } = {}) {
+    const result = await pool.query(`
+      SELECT *
+      FROM subscribers
+      WHERE site_id = $1 AND external_user_id = $2
+        AND ($3 = false OR is_active = true)
+      ORDER BY last_active_at DESC NULLS LAST
+    `, [siteId, externalUserId, activeOnly]);
+
+    return result.rows;
+  }
+
+  isValidIdempotencyKey(key) {
+    return typeof key === 'string' && key.trim() !== '' && key.length <= MAX_IDEMPOTENCY_KEY_LENGTH;
+  }
+
+  // リクエストの宛先（{ type, values }、指定がなければnull）
+  getTarget(request) {
+    const keys = Object.keys(TARGET_TYPES).filter(key => request[key] !== undefined);
+    if (keys.length !== 1) {
+      return null;
+    }
+    return { type: TARGET_TYPES[keys[0]], values: request[keys[0]] };
+  }
+
+  // 通知リクエストの入力チェック（エラーメッセージを返す、問題なければnull）
+  // request: { subscriberIds | externalUserIds | endpoints, title, body, url, ...表示オプション（payload.js） }
+  validateRequest(request) {
+    const target = this.getTarget(request);
+
+    if (!target) {
+      return 'subscriberIds / externalUserIds / endpoints のいずれか1つを指定してください';
+    }
+    if (!Array.isArray(target.values) || target.values.length === 0) {
+      return '宛先を1件以上指定してください';
+    }
+    if (target.values.length > MAX_TARGETS_PER_REQUEST) {
+      return `宛先は${MAX_TARGETS_PER_REQUEST}件までです`;
+    }
+    if (target.type === 'users' && !target.values.every(id => this.isValidExternalUserId(id))) {
+      return `externalUserIdは${MAX_EXTERNAL_USER_ID_LENGTH}文字以内の文字列で指定してください`;
+    }
+    if (target.type !== 'users' && !target.values.every(v => typeof v === 'string' && v !== '')) {
+      return '宛先は文字列の配列で指定してください';
+    }
+    if (typeof request.title !== 'string' || request.title.trim() === '') {
+      return 'title is required';
+    }
+    for (const field of ['body', 'url']) {
+      if (request[field] !== undefined && request[field] !== null && typeof request[field] !== 'string') {
+        return `${field}は文字列で指定してください`;
+      }
+    }
+    return (
+      payloadService.validateOptions(request) ||
+      pushOptionsService.validateOptions(request) ||
+      payloadService.checkSize(this.toRecord(request))
+    );
+  }
+
+  // リクエストを保存列の形式に変換（ペイロードの組み立て・サイズチェック用）
+  toRecord(request) {
+    return {
+      title: request.title,
+      body: request.body || '',
+      url: request.url || null,
+      ...payloadService.normalize(request),
+      ...pushOptionsService.toColumns(request)
+    };
+  }
+
+  // 冪等キーの照合用に送信内容をハッシュ化
+  hashRequest(request) {
+    const target = this.getTarget(request);
+    const normalized = {
+      target: { type: target.type, values: [...new Set(target.values)].sort() },
+      payload: this.toRecord(request)
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+  }
+
+  // 宛先の有効な購読者
+  async findRecipients(siteId, target) {
+    const column = { subscribers: 'id::text', users: 'external_user_id', endpoints: 'endpoint' }[target.type];
+
+    const result = await pool.query(`
+      SELECT id, external_user_id, endpoint, p256dh_key, auth_key, vapid_key_id
+      FROM subscribers
+      WHERE site_id = $1 AND ${column} = ANY($2::text[]) AND is_active = true
+    `, [siteId, target.values]);
+
+    return result.rows;
+  }
+
+  // 送信記録の作成（冪等キー指定時は予約を兼ねる）
+  // 同じキーが既にあれば null を返す
+  async createMessage(siteId, request, target, idempotencyKey) {
+    const columns = {
+      site_id: siteId,
+      target_type: target.type,
+      targets: target.values,
+      external_user_ids: target.type === 'users' ? target.values : [],
+      title: request.title,
+      body: request.body || '',
+      url: request.url || null,
+      ...payloadService.toColumns(request),
+      ...pushOptionsService.toColumns(request),
+      idempotency_key: idempotencyKey || null,
+      request_hash: this.hashRequest(request)
+    };
+    const names = Object.keys(columns);
+
+    const result = await pool.query(`
+      INSERT INTO transactional_messages (${names.join(', ')})
+      VALUES (${names.map((name, i) => `$${i + 1}`).join(', ')})
+      ON CONFLICT (site_id, idempotency_key) WHERE idempotency_key IS NOT NULL DO NOTHING
+      RETURNING *
+    `, Object.values(columns));
+
+    return result.rows[0] || null;
+  }
+
+  // 同じ冪等キーの既存リクエストの結果
+  // 成功時は { result, replayed: true }、失敗時は { status, error } を返す
+  // 放棄された予約を解放した場合は { released: true } を返す（呼び出し側で予約からやり直す）
+  async replayMessage(siteId, request, idempotencyKey) {
+    const result = await pool.query(`
+      SELECT *, created_at < NOW() - ($3::int * INTERVAL '1 second') AS is_stale
+      FROM transactional_messages
+      WHERE site_id = $1 AND idempotency_key = $2
+    `, [siteId, idempotencyKey, IDEMPOTENCY_RESERVATION_TIMEOUT_SECONDS]);
+    const message = result.rows[0];
+
+    if (!message) {
+      return { status: 409, error: 'Idempotency key conflict, please retry' };
+    }
+    if (message.request_hash !== this.hashRequest(request)) {
+      return { status: 422, error: 'Idempotency key was already used with a different request' };
+    }
+    if (!message.response && !message.is_stale) {
+      return { status: 409, error: 'A request with this idempotency key is still in progress' };
+    }
+    if (!message.response) {
+      if (await this.releaseMessage(message.id)) {
+        return { released: true };
+      }
+      return { result: await this.completeFromDeliveries(message.id), replayed: true };
+    }
+
+    return { result: message.response, replayed: true };
+  }
+
+  // まだ送信していない（配信行のない）送信記録を削除して冪等キーを解放（解放できたか返す）
+  async releaseMessage(messageId) {
+    const result = await pool.query(`
+      DELETE FROM transactional_messages m
+      WHERE m.id = $1 AND m.response IS NULL
+        AND NOT EXISTS (SELECT 1 FROM deliveries d WHERE d.message_id = m.id)
+    `, [messageId]);
+    return result.rowCount > 0;
+  }
+
+  // 結果を保存して完了にする
+  async completeMessage(messageId, result) {
+    await pool.query(
+      'UPDATE transactional_messages SET sent_count = $2, failed_count = $3, response = $4 WHERE id = $1',
+      [messageId, result.sent, result.failed, JSON.stringify(result)]
+    );
+  }
+
+  // 途中で終わった送信を、記録済みの配信行から組み立てた結果（incomplete: true）で完了にする
+  // 既に結果があればそれを返す
+  async completeFromDeliveries(messageId) {
+    const deliveriesResult = await pool.query(`
+      SELECT id, subscriber_id, status, error_message
+      FROM deliveries
+      WHERE message_id = $1
+      ORDER BY sent_at NULLS LAST
+    `, [messageId]);
+
+    const deliveries = deliveriesResult.rows.map(row => ({
+      subscriberId: row.subscriber_id,
+      deliveryId: row.id,
+      status: row.status,
+      ...(row.error_message ? { error: row.error_message } : {})
+    }));
+    const sent = deliveries.filter(d => d.status === 'sent').length;
+    const result = { messageId, sent, failed: deliveries.length - sent, deliveries, incomplete: true };
+
+    const updated = await pool.query(`
+      UPDATE transactional_messages SET sent_count = $2, failed_count = $3, response = $4
+      WHERE id = $1 AND response IS NULL
+      RETURNING response
+    `, [messageId, result.sent, result.failed, JSON.stringify(result)]);
+
+    if (updated.rows.length === 0) {
+      const existing = await pool.query('SELECT response FROM transactional_messages WHERE id = $1', [messageId]);
+      return existing.rows[0] ? existing.rows[0].response : result;
+    }
+    return result;
+  }
+
+  // 通知を送信（宛先ごとの送信結果を返す）
+  // 成功時は { result, replayed }、冪等キーの衝突時は { status, error } を返す
+  //   result.deliveries  端末ごとの結果
+  //   result.users       ユーザーID指定時のユーザーごとの結果（有効な端末がなければ status: 'no_subscribers'）
+  //   result.notFound    購読者ID・エンドポイント指定時に有効な購読が見つからなかった宛先
+  async send(siteId, request, { idempotencyKey = null } = {}) {
+    const target = this.getTarget(request);
+    target.values = [...new Set(target.values)];
+
+    const vapidKeys = await deliveryService.loadVapidKeys(siteId);
+
+    let message = await this.createMessage(siteId, request, target, idempotencyKey);
+    if (!message) {
+      const replayed = await this.replayMessage(siteId, request, idempotencyKey);
+      if (!replayed.released) {
+        return replayed;
+      }
+      message = await this.createMessage(siteId, request, target, idempotencyKey);
+      if (!message) {
+        return this.replayMessage(siteId, request, idempotencyKey);
+      }
+    }
+
+    let result;
+    try {
+      const recipients = await this.findRecipients(siteId, target);
+      // 失敗した宛先があっても他の宛先の送信が終わるまで待つ（配信行の記録を確定させてから後処理する）
+      const settled = await Promise.allSettled(
+        recipients.map(subscriber => this.sendToSubscriber(message, subscriber, vapidKeys))
+      );
+      const rejected = settled.find(outcome => outcome.status === 'rejected');
+      if (rejected) {
+        throw rejected.reason;
+      }
+      const deliveries = settled.map(outcome => outcome.value);
+      const sent = deliveries.filter(d => d.status === 'sent').length;
+
+      result = { messageId: message.id, sent, failed: deliveries.length - sent, deliveries };
+
+      if (target.type === 'users') {
+        result.users = target.values.map((externalUserId) => {
+          const ids = recipients.filter(s => s.external_user_id === externalUserId).map(s => s.id);
+          const userDeliveries = deliveries.filter(d => ids.includes(d.subscriberId));
+          const userSent = userDeliveries.filter(d => d.status === 'sent').length;
+
+          let status = 'no_subscribers';
+          if (userDeliveries.length > 0) {
+            status = userSent === userDeliveries.length ? 'sent' : userSent > 0 ? 'partial' : 'failed';
+          }
+
+          return {
+            externalUserId,
+            status,
+            sent: userSent,
+            failed: userDeliveries.length - userSent,
+            deliveries: userDeliveries
+          };
+        });
+      } else {
+        const found = new Set(recipients.map(s => (target.type === 'subscribers' ? s.id : s.endpoint)));
+        result.notFound = target.values.filter(value => !found.has(value));
+      }
+    } catch (error) {
+      // 送信前の失敗は冪等キーを解放して再試行できるようにする
+      // 送信を始めていた場合は再試行で二重送信しないよう、その時点の結果で完了にする
+      const released = await this.releaseMessage(message.id).catch(() => false);
+      if (!released) {
+        await this.completeFromDeliveries(message.id).catch((completeError) => {
+          console.error('トランザクション通知の結果保存エラー:', completeError.message);
+        });
+      }
+      throw error;
+    }
+
+    await this.completeMessage(message.id, result);
+
+    return { result, replayed: false };
+  }
+
+  // 送信記録の取得
+  async getMessage(siteId, messageId) {
+    const result = await pool.query(
+      'SELECT * FROM transactional_messages WHERE site_id = $1 AND id = $2',
+      [siteId, messageId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // 送信記録の端末ごとの配信状況
+  async listMessageDeliveries(messageId) {
+    const result = await pool.query(`
+      SELECT id, subscriber_id, status, error_message, sent_at, shown_at, clicked_at, closed_at
+      FROM deliveries
+      WHERE message_id = $1
+      ORDER BY sent_at NULLS LAST
+    `, [messageId]);
+    return result.rows;
+  }
+
+  // 通知ペイロード（配信IDとトラッキングトークンは端末ごとに付与）
+  buildPayload(message) {
+    return {
+      ...payloadService.buildNotification(message),
+      messageId: message.id
+    };
+  }
+
+  // 配信行1件の送信と結果記録
+  // 送信時のオプション（TTL / urgency / topic）は配信行に記録する
+  async sendToSubscriber(message, subscriber, vapidKeys) {
+    const pushOptions = pushOptionsService.resolve(message);
+
+    if (!pushOptions) {
+      const expired = await pool.query(`
+        INSERT INTO deliveries (message_id, subscriber_id, status, error_message)
+        VALUES ($1, $2, 'expired', 'Notification expired before delivery')
+        RETURNING id
+      `, [message.id, subscriber.id]);
+      return { subscriberId: subscriber.id, deliveryId: expired.rows[0].id, status: 'expired' };
+    }
+
+    const deliveryResult = await pool.query(`
+      INSERT INTO deliveries (message_id, subscriber_id, status, attempts, ttl, urgency, topic)
+      VALUES ($1, $2, 'sending', 1, $3, $4, $5)
+      RETURNING id
+    `, [message.id, subscriber.id, pushOptions.TTL, pushOptions.urgency || null, pushOptions.topic || null]);
+
+    const deliveryId = deliveryResult.rows[0].id;
+
+    try {
+      await deliveryService.sendPush(subscriber, {
+        ...this.buildPayload(message),
+        deliveryId,
+        trackingToken: trackingService.signToken(deliveryId)
+      }, vapidKeyService.resolveVapidDetails(vapidKeys, subscriber), pushOptions);
+
+      await pool.query(
+        "UPDATE deliveries SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [deliveryId]
+      );
+
+      return { subscriberId: subscriber.id, deliveryId, status: 'sent' };
+    } catch (error) {
+      await pool.query(
+        "UPDATE deliveries SET status = 'failed', error_message = $2 WHERE id = $1",
+        [deliveryId, error.message]
+      );
+
+      if (deliveryService.isSubscriptionGone(error)) {
+        await deliveryService.deactivateSubscriber(subscriber.id, error.message);
+      }
+
+      return { subscriberId: subscriber.id, deliveryId, status: 'failed', error: error.message };
+    }
+  }
+}
+
+// ユーザーID・トランザクション通知テーブル作成SQL
+const createTransactionalTables = `
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS external_user_id VARCHAR(255);
+
+CREATE TABLE IF NOT EXISTS transactional_messages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  external_user_ids TEXT[] NOT NULL DEFAULT '{}',
+  title VARCHAR(255) NOT NULL,
+  body TEXT NOT NULL DEFAULT '',
+  url TEXT,
+  icon_url TEXT,
+  image_url TEXT,
+  sent_count INT NOT NULL DEFAULT 0,
+  failed_count INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS target_type VARCHAR(20) NOT NULL DEFAULT 'users'; -- 'subscribers', 'users', 'endpoints'
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS targets TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS request_hash VARCHAR(64);
+ALTER TABLE transactional_messages ADD COLUMN IF NOT EXISTS response JSONB; -- 完了時の結果（冪等キーの再送時に返す）
+
+-- トランザクション通知の配信行はキャンペーンを持たない
+ALTER TABLE deliveries ALTER COLUMN campaign_id DROP NOT NULL;
+ALTER TABLE deliveries ADD COLUMN IF NOT EXISTS message_id UUID REFERENCES transactional_messages(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_subscribers_external_user ON subscribers(site_id, external_user_id) WHERE external_user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_transactional_messages_site ON transactional_messages(site_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactional_messages_idempotency ON transactional_messages(site_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deliveries_message ON deliveries(message_id);
+`;
+
+module.exports = new TransactionalService();
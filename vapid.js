@@ -0,0 +1,226 @@
+// サイトごとのVAPID鍵管理
+// サイト作成時に鍵ペアを生成し、site_vapid_keys に履歴として保存する
+//
+// 鍵の状態: active（新規購読に使う現在の鍵、サイトごとに1つ）→ retired（ローテーション済み）
+//   - 購読者は購読時の鍵（subscribers.vapid_key_id）を記録し、送信時はその鍵で署名する
+//   - ローテーション後も既存の購読者は retired の鍵で届き続け、再購読した時点で新しい鍵に移る
+//   - sites.vapid_public_key / vapid_private_key / vapid_subject には現在の active 鍵を反映する
+//   - 秘密鍵は secrets.js で暗号化して保存し、送信時にのみ復号する
+
+const webpush = require('web-push');
+const secretsService = require('./secrets');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+class VapidKeyService {
+  // サイトの既定のsubject（VAPID_SUBJECT がなければサイトのドメイン宛て）
+  getDefaultSubject(domain) {
+    if (process.env.VAPID_SUBJECT) {
+      return process.env.VAPID_SUBJECT;
+    }
+
+    const host = String(domain || '').replace(/^https?:\/\//, '').split(/[/:]/)[0];
+    return host ? `mailto:webpush@${host}` : 'mailto:admin@example.com';
+  }
+
+  // VAPIDのsubjectは mailto: または https: のURL
+  isValidSubject(subject) {
+    return typeof subject === 'string' && /^(mailto:[^\s@]+@[^\s@]+|https:\/\/\S+)$/.test(subject);
+  }
+
+  // web-push の vapidDetails 形式に変換（秘密鍵を復号）
+  toVapidDetails(key) {
+    return {
+      subject: key.subject,
+      publicKey: key.public_key,
+      privateKey: secretsService.decrypt(key.private_key)
+    };
+  }
+
+  // 環境変数の鍵（サイトに鍵がない場合のフォールバック）
+  getEnvVapidDetails() {
+    if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) {
+      return null;
+    }
+
+    return {
+      subject: process.env.VAPID_SUBJECT || 'mailto:admin@example.com',
+      publicKey: process.env.VAPID_PUBLIC_KEY,
+      privateKey: process.env.VAPID_PRIVATE_KEY
+    };
+  }
+
+  // 新しい鍵ペアを生成して active として登録（client指定時はそのトランザクション内で実行）
+  async createKey(siteId, subject, client = pool) {
+    const { publicKey, privateKey } = webpush.generateVAPIDKeys();
+    const encryptedPrivateKey = secretsService.encrypt(privateKey);
+
+    const result = await client.query(`
+      INSERT INTO site_vapid_keys (site_id, public_key, private_key, subject, status)
+      VALUES ($1, $2, $3, $4, 'active')
+      RETURNING *
+    `, [siteId, publicKey, encryptedPrivateKey, subject]);
+
+    await client.query(`
+      UPDATE sites
+      SET vapid_public_key = $1, vapid_private_key = $2, vapid_subject = $3
+      WHERE id = $4
+    `, [publicKey, encryptedPrivateKey, subject, siteId]);
+
+    return result.rows[0];
+  }
+
+  // サイトの現在の鍵
+  async getActiveKey(siteId) {
+    const result = await pool.query(
+      "SELECT * FROM site_vapid_keys WHERE site_id = $1 AND status = 'active'",
+      [siteId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // 公開鍵からサイトの鍵を検索（retired を含む）
+  async findKeyByPublicKey(siteId, publicKey) {
+    const result = await pool.query(
+      'SELECT * FROM site_vapid_keys WHERE site_id = $1 AND public_key = $2',
+      [siteId, publicKey]
+    );
+    return result.rows[0] || null;
+  }
+
+  // 鍵のローテーション（現在の鍵を retired にして新しい鍵を発行）
+  async rotateKey(siteId, subject = null) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const current = await client.query(`
+        UPDATE site_vapid_keys
+        SET status = 'retired', retired_at = CURRENT_TIMESTAMP
+        WHERE site_id = $1 AND status = 'active'
+        RETURNING *
+      `, [siteId]);
+
+      let nextSubject = subject;
+      if (!nextSubject) {
+        if (current.rows.length > 0) {
+          nextSubject = current.rows[0].subject;
+        } else {
+          const site = await client.query('SELECT domain FROM sites WHERE id = $1', [siteId]);
+          nextSubject = this.getDefaultSubject(site.rows[0] && site.rows[0].domain);
+        }
+      }
+
+      const key = await this.createKey(siteId, nextSubject, client);
+
+      await client.query('COMMIT');
+
+      console.log(`🔑 VAPID鍵をローテーションしました（サイト ${siteId}）`);
+      return { key, retired: current.rows[0] || null };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // 現在の鍵のsubjectを変更
+  async updateSubject(siteId, subject) {
+    await pool.query(
+      "UPDATE site_vapid_keys SET subject = $1 WHERE site_id = $2 AND status = 'active'",
+      [subject, siteId]
+    );
+    await pool.query('UPDATE sites SET vapid_subject = $1 WHERE id = $2', [subject, siteId]);
+  }
+
+  // 鍵の一覧（秘密鍵は含めない）
+  async listKeys(siteId) {
+    const result = await pool.query(`
+      SELECT
+        k.id, k.public_key, k.subject, k.status, k.created_at, k.retired_at,
+        (SELECT COUNT(*) FROM subscribers s WHERE s.vapid_key_id = k.id AND s.is_active = true) AS subscriber_count
+      FROM site_vapid_keys k
+      WHERE k.site_id = $1
+      ORDER BY k.created_at DESC
+    `, [siteId]);
+
+    return result.rows;
+  }
+
+  // 送信用にサイトの全鍵を読み込む
+  // { active: 新規購読用の鍵, byId: 鍵ID → vapidDetails }
+  async loadKeySet(siteId) {
+    const result = await pool.query(
+      'SELECT * FROM site_vapid_keys WHERE site_id = $1',
+      [siteId]
+    );
+
+    const byId = new Map();
+    let active = null;
+
+    for (const key of result.rows) {
+      const details = this.toVapidDetails(key);
+      byId.set(key.id, details);
+      if (key.status === 'active') {
+        active = details;
+      }
+    }
+
+    if (!active) {
+      active = this.getEnvVapidDetails();
+    }
+
+    if (!active && byId.size === 0) {
+      throw new Error('VAPID keys not configured');
+    }
+
+    return { active, byId };
+  }
+
+  // 購読者が購読時に使った鍵（記録がなければ現在の鍵）
+  resolveVapidDetails(keySet, subscriber) {
+    const details = (subscriber.vapid_key_id && keySet.byId.get(subscriber.vapid_key_id)) || keySet.active;
+
+    if (!details) {
+      throw new Error('VAPID key not found for subscriber');
+    }
+    return details;
+  }
+}
+
+// VAPID鍵テーブル作成SQL
+// 既存サイトの鍵（環境変数からコピーされたもの）を active として取り込み、既存の購読者に紐付ける
+const createSiteVapidKeysTable = `
+CREATE TABLE IF NOT EXISTS site_vapid_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  site_id UUID NOT NULL REFERENCES sites(id) ON DELETE CASCADE,
+  public_key TEXT NOT NULL,
+  private_key TEXT NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'retired'
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  retired_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_site_vapid_keys_active ON site_vapid_keys(site_id) WHERE status = 'active';
+
+ALTER TABLE sites ADD COLUMN IF NOT EXISTS vapid_subject VARCHAR(255);
+ALTER TABLE subscribers ADD COLUMN IF NOT EXISTS vapid_key_id UUID REFERENCES site_vapid_keys(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_subscribers_vapid_key ON subscribers(vapid_key_id);
+
+INSERT INTO site_vapid_keys (site_id, public_key, private_key, subject, status)
+SELECT id, vapid_public_key, vapid_private_key, COALESCE(vapid_subject, 'mailto:admin@example.com'), 'active'
+FROM sites
+WHERE vapid_public_key IS NOT NULL AND vapid_private_key IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM site_vapid_keys k WHERE k.site_id = sites.id);
+
+UPDATE subscribers s
+SET vapid_key_id = k.id
+FROM site_vapid_keys k
+WHERE k.site_id = s.site_id AND k.status = 'active' AND s.vapid_key_id IS NULL;
+`;
+
+module.exports = new VapidKeyService();
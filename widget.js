@@ -0,0 +1,656 @@
+// 購読ウィジェット・Service Worker の配信
+// サイトごとの設定（widget_position / widget_theme / settings.widget）を埋め込んだ JavaScript を生成する
+//
+// 埋め込み方法:
+//   1. サイトのページに <script src="<API>/widget/<公開キー>.js" async></script> を追加
+//   2. サイトのルートに Service Worker（既定 /push-sw.js）を置き、importScripts('<API>/sw/<公開キー>.js') の1行を記述
+//      （Service Worker は同一オリジンからしか登録できないため、本体はこのサーバーから読み込む）
+//
+// ウィジェットはソフトアスク（独自の確認ダイアログ）で許可を得てからブラウザの通知許可を求める。
+// 表示タイミングは即時・遅延・スクロール量・手動（WebPushWidget.showPrompt()）から選べる。
+//
+// ブラウザで実行する関数（widgetMain / serviceWorkerMain など）は toString() でそのまま出力するため、
+// このファイル内の他の変数を参照してはならない（設定は引数で渡す）
+
+// ウィジェットの色テーマ
+const WIDGET_THEMES = {
+  purple: { background: '#ffffff', text: '#1f2937', accent: '#7c3aed', accentText: '#ffffff' },
+  blue: { background: '#ffffff', text: '#1f2937', accent: '#2563eb', accentText: '#ffffff' },
+  green: { background: '#ffffff', text: '#1f2937', accent: '#16a34a', accentText: '#ffffff' },
+  orange: { background: '#ffffff', text: '#1f2937', accent: '#ea580c', accentText: '#ffffff' },
+  red: { background: '#ffffff', text: '#1f2937', accent: '#dc2626', accentText: '#ffffff' },
+  dark: { background: '#1f2937', text: '#f9fafb', accent: '#8b5cf6', accentText: '#ffffff' }
+};
+
+// ウィジェットの表示位置（CSS）
+const WIDGET_POSITIONS = {
+  'bottom-right': { bottom: '20px', right: '20px' },
+  'bottom-left': { bottom: '20px', left: '20px' },
+  'top-right': { top: '20px', right: '20px' },
+  'top-left': { top: '20px', left: '20px' },
+  'bottom-center': { bottom: '20px', left: '50%', transform: 'translateX(-50%)' },
+  'top-center': { top: '20px', left: '50%', transform: 'translateX(-50%)' }
+};
+
+const TRIGGER_TYPES = ['immediate', 'delay', 'scroll', 'manual'];
+
+// settings.widget の既定値
+const DEFAULT_WIDGET_SETTINGS = {
+  title: '最新情報をお届けします',
+  message: 'プッシュ通知を許可すると、新着情報をいち早く受け取れます。',
+  allowText: '許可する',
+  denyText: '後で',
+  iconUrl: null,
+  trigger: { type: 'delay', delaySeconds: 5, scrollPercent: 50 },
+  promptCooldownDays: 7,
+  serviceWorkerPath: '/push-sw.js',
+  serviceWorkerScope: '/',
+  defaultNotificationTitle: 'お知らせ'
+};
+
+const TEXT_FIELDS = ['title', 'message', 'allowText', 'denyText', 'defaultNotificationTitle'];
+
+// ============================================
+// ブラウザで実行するコード
+// ============================================
+
+function urlBase64ToUint8Array(base64String) {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64);
+  const output = new Uint8Array(raw.length);
+  for (let i = 0; i < raw.length; i++) {
+    output[i] = raw.charCodeAt(i);
+  }
+  return output;
+}
+
+function arrayBufferToBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// ブラウザのタイムゾーン（IANA名。取得できなければ undefined）
+function getTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+function widgetMain(config) {
+  if (window.WebPushWidget) return;
+
+  const STORAGE_KEY = 'webpush_widget_' + config.siteKey;
+  const PROMPT_ID = 'webpush-widget-prompt';
+  const supported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+  function loadState() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveState(changes) {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.assign(loadState(), changes)));
+    } catch (e) {
+      // localStorage が使えない環境では状態を保存しない
+    }
+  }
+
+  async function post(path, body) {
+    const res = await fetch(config.apiBase + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Site-Key': config.siteKey },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      throw new Error('WebPush request failed: ' + res.status);
+    }
+    return res.json();
+  }
+
+  function waitForActive(registration) {
+    if (registration.active) return Promise.resolve(registration);
+    const worker = registration.installing || registration.waiting;
+    return new Promise((resolve) => {
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'activated') resolve(registration);
+      });
+    });
+  }
+
+  // 購読がサイトの現在のVAPID鍵で作られているか（鍵のローテーション検出）
+  function usesCurrentKey(subscription) {
+    const key = subscription.options && subscription.options.applicationServerKey;
+    return !key || arrayBufferToBase64Url(key) === config.publicKey;
+  }
+
+  // 購読してサーバーに登録（登録済みで変化がなければ何もしない）
+  async function subscribe() {
+    const registration = await waitForActive(
+      await navigator.serviceWorker.register(config.serviceWorkerPath, { scope: config.serviceWorkerScope })
+    );
+
+    let subscription = await registration.pushManager.getSubscription();
+    let oldEndpoint = null;
+
+    // 旧鍵の購読は新しい鍵で購読し直し、購読者の履歴を引き継ぐ
+    if (subscription && !usesCurrentKey(subscription)) {
+      oldEndpoint = subscription.endpoint;
+      await subscription.unsubscribe();
+      subscription = null;
+    }
+
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(config.publicKey)
+      });
+    }
+
+    if (!oldEndpoint && loadState().endpoint === subscription.endpoint) {
+      return subscription;
+    }
+
+    const body = {
+      subscription: subscription.toJSON(),
+      userAgent: navigator.userAgent,
+      locale: navigator.language,
+      timezone: getTimeZone(),
+      applicationServerKey: config.publicKey
+    };
+
+    if (oldEndpoint) {
+      await post('/api/subscription-change', Object.assign({ oldEndpoint }, body));
+    } else {
+      await post('/api/subscribe', body);
+    }
+
+    saveState({ endpoint: subscription.endpoint, dismissedAt: null });
+    return subscription;
+  }
+
+  async function unsubscribe() {
+    const registration = await navigator.serviceWorker.getRegistration(config.serviceWorkerScope);
+    const subscription = registration && await registration.pushManager.getSubscription();
+    if (!subscription) return false;
+
+    await post('/api/unsubscribe', { endpoint: subscription.endpoint }).catch(() => {});
+    await subscription.unsubscribe();
+    saveState({ endpoint: null, dismissedAt: Date.now() });
+    return true;
+  }
+
+  // タグ・カスタム属性の設定（未購読なら何もせず null）
+  // update: { tags | addTags | removeTags, attributes }
+  async function updateAttributes(update) {
+    const endpoint = loadState().endpoint;
+    if (!endpoint) return null;
+    return post('/api/sdk/attributes', Object.assign({ endpoint }, update));
+  }
+
+  function hidePrompt() {
+    const prompt = document.getElementById(PROMPT_ID);
+    if (prompt) prompt.remove();
+  }
+
+  function createButton(text, primary) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    Object.assign(button.style, {
+      padding: '8px 16px',
+      borderRadius: '6px',
+      border: primary ? 'none' : '1px solid ' + config.theme.accent,
+      background: primary ? config.theme.accent : 'transparent',
+      color: primary ? config.theme.accentText : config.theme.accent,
+      fontSize: '14px',
+      cursor: 'pointer'
+    });
+    return button;
+  }
+
+  // ソフトアスク（ブラウザの許可ダイアログの前に表示する独自の確認）
+  function showPrompt() {
+    if (!supported || Notification.permission !== 'default' || document.getElementById(PROMPT_ID)) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = PROMPT_ID;
+    prompt.setAttribute('role', 'dialog');
+    Object.assign(prompt.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      width: '320px',
+      maxWidth: 'calc(100vw - 40px)',
+      boxSizing: 'border-box',
+      padding: '16px',
+      borderRadius: '10px',
+      boxShadow: '0 8px 24px rgba(0, 0, 0, 0.2)',
+      background: config.theme.background,
+      color: config.theme.text,
+      fontFamily: 'sans-serif'
+    }, config.positionStyle);
+
+    const header = document.createElement('div');
+    Object.assign(header.style, { display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' });
+
+    if (config.iconUrl) {
+      const icon = document.createElement('img');
+      icon.src = config.iconUrl;
+      icon.alt = '';
+      Object.assign(icon.style, { width: '32px', height: '32px', borderRadius: '6px' });
+      header.appendChild(icon);
+    }
+
+    const title = document.createElement('strong');
+    title.textContent = config.title;
+    title.style.fontSize = '16px';
+    header.appendChild(title);
+
+    const message = document.createElement('p');
+    message.textContent = config.message;
+    Object.assign(message.style, { margin: '0 0 12px', fontSize: '14px', lineHeight: '1.5' });
+
+    const buttons = document.createElement('div');
+    Object.assign(buttons.style, { display: 'flex', justifyContent: 'flex-end', gap: '8px' });
+
+    const denyButton = createButton(config.denyText, false);
+    denyButton.addEventListener('click', () => {
+      hidePrompt();
+      saveState({ dismissedAt: Date.now() });
+    });
+
+    const allowButton = createButton(config.allowText, true);
+    allowButton.addEventListener('click', async () => {
+      hidePrompt();
+      const permission = await Notification.requestPermission();
+      if (permission === 'granted') {
+        subscribe().catch(err => console.warn('[WebPush]', err));
+      } else {
+        saveState({ dismissedAt: Date.now() });
+      }
+    });
+
+    buttons.appendChild(denyButton);
+    buttons.appendChild(allowButton);
+    prompt.appendChild(header);
+    prompt.appendChild(message);
+    prompt.appendChild(buttons);
+    document.body.appendChild(prompt);
+  }
+
+  function scheduleTrigger() {
+    const trigger = config.trigger;
+
+    if (trigger.type === 'manual') return;
+
+    if (trigger.type === 'delay') {
+      setTimeout(showPrompt, trigger.delaySeconds * 1000);
+    } else if (trigger.type === 'scroll') {
+      const onScroll = () => {
+        const max = document.documentElement.scrollHeight - window.innerHeight;
+        const percent = max > 0 ? (window.scrollY / max) * 100 : 100;
+        if (percent >= trigger.scrollPercent) {
+          window.removeEventListener('scroll', onScroll);
+          showPrompt();
+        }
+      };
+      window.addEventListener('scroll', onScroll, { passive: true });
+      onScroll();
+    } else {
+      showPrompt();
+    }
+  }
+
+  function init() {
+    if (!supported || Notification.permission === 'denied') return;
+
+    // 許可済みなら購読状態を同期（新しい端末・鍵のローテーション後など）
+    if (Notification.permission === 'granted') {
+      subscribe().catch(err => console.warn('[WebPush]', err));
+      return;
+    }
+
+    // 「後で」を選んだ場合は一定期間表示しない
+    const state = loadState();
+    if (state.dismissedAt && Date.now() - state.dismissedAt < config.promptCooldownDays * 86400000) return;
+
+    scheduleTrigger();
+  }
+
+  window.WebPushWidget = {
+    isSupported: () => supported,
+    showPrompt,
+    subscribe,
+    unsubscribe,
+    setAttributes: attributes => updateAttributes({ attributes }),
+    addTags: tags => updateAttributes({ addTags: [].concat(tags) }),
+    removeTags: tags => updateAttributes({ removeTags: [].concat(tags) }),
+    setLocale: (locale) => {
+      const endpoint = loadState().endpoint;
+      if (!endpoint) return Promise.resolve(null);
+      return post('/api/sdk/locale', { endpoint, locale });
+    }
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+}
+
+function serviceWorkerMain(config) {
+  // 表示・クリック・閉じるをトラッキングAPIに送信（配信ペイロードの署名トークンで認証）
+  // action: アクションボタンのクリック時のボタンID
+  function track(data, event, action) {
+    if (!data || !data.deliveryId || !data.trackingToken) return Promise.resolve();
+
+    return fetch(config.apiBase + '/api/track/' + encodeURIComponent(data.deliveryId) + '/' + event, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ token: data.trackingToken, action: action || undefined })
+    }).catch(() => {});
+  }
+
+  function post(path, body) {
+    return fetch(config.apiBase + path, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Site-Key': config.siteKey },
+      body: JSON.stringify(body)
+    });
+  }
+
+  async function openUrl(url) {
+    const target = new URL(url, self.location.origin).href;
+    const clientList = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    for (const client of clientList) {
+      if (client.url === target && 'focus' in client) {
+        return client.focus();
+      }
+    }
+    return self.clients.openWindow ? self.clients.openWindow(target) : undefined;
+  }
+
+  self.addEventListener('install', () => self.skipWaiting());
+
+  self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim());
+  });
+
+  self.addEventListener('push', (event) => {
+    let payload = {};
+    try {
+      payload = event.data ? event.data.json() : {};
+    } catch (e) {
+      payload = { body: event.data ? event.data.text() : '' };
+    }
+
+    // 購読者の有効性チェック用のテスト通知は表示しない
+    if (payload.tag === 'validation-test') return;
+
+    const actions = payload.actions || [];
+    const actionUrls = {};
+    actions.forEach((action) => {
+      if (action.url) actionUrls[action.action] = action.url;
+    });
+
+    const data = {
+      url: payload.url || '/',
+      actionUrls,
+      campaignId: payload.campaignId,
+      messageId: payload.messageId,
+      deliveryId: payload.deliveryId,
+      trackingToken: payload.trackingToken,
+      custom: payload.data || {}
+    };
+
+    const options = {
+      body: payload.body || '',
+      icon: payload.icon || config.iconUrl || undefined,
+      image: payload.image || undefined,
+      badge: payload.badge || undefined,
+      tag: payload.tag || undefined,
+      renotify: !!(payload.renotify && payload.tag),
+      requireInteraction: !!payload.requireInteraction,
+      silent: !!payload.silent,
+      actions: actions.map(action => ({ action: action.action, title: action.title, icon: action.icon || undefined })),
+      data
+    };
+    if (payload.vibrate && !payload.silent) {
+      options.vibrate = payload.vibrate;
+    }
+
+    event.waitUntil(
+      self.registration.showNotification(payload.title || config.defaultNotificationTitle, options)
+        .then(() => track(data, 'shown'))
+    );
+  });
+
+  self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const data = event.notification.data || {};
+    const action = event.action || null;
+
+    // アクションボタンは個別のURL（なければ本文と同じURL）を開く
+    const url = (action && data.actionUrls && data.actionUrls[action]) || data.url || '/';
+
+    event.waitUntil(Promise.all([
+      track(data, 'clicked', action),
+      openUrl(url)
+    ]));
+  });
+
+  self.addEventListener('notificationclose', (event) => {
+    event.waitUntil(track(event.notification.data, 'closed'));
+  });
+
+  // ブラウザが購読を更新・失効させた場合、新しい購読でサーバーの登録を置き換える
+  self.addEventListener('pushsubscriptionchange', (event) => {
+    event.waitUntil((async () => {
+      const oldSubscription = event.oldSubscription || null;
+      let subscription = event.newSubscription || null;
+
+      if (!subscription) {
+        const options = (oldSubscription && oldSubscription.options) || {
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(config.publicKey)
+        };
+        subscription = await self.registration.pushManager.subscribe(options).catch(() => null);
+      }
+
+      const key = subscription && subscription.options && subscription.options.applicationServerKey;
+      const body = {
+        subscription: subscription ? subscription.toJSON() : null,
+        userAgent: self.navigator.userAgent,
+        locale: self.navigator.language,
+        timezone: getTimeZone(),
+        applicationServerKey: key ? arrayBufferToBase64Url(key) : undefined
+      };
+
+      if (oldSubscription) {
+        await post('/api/subscription-change', Object.assign({ oldEndpoint: oldSubscription.endpoint }, body));
+      } else if (subscription) {
+        await post('/api/subscribe', body);
+      }
+    })());
+  });
+}
+
+// ============================================
+// サーバー側
+// ============================================
+
+// <script> に埋め込んでも安全なJSON
+function toScriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+class WidgetService {
+  // ウィジェット・Service Worker から呼び出すAPIのベースURL
+  // PUBLIC_API_URL 未設定時はリクエストのホスト（プロキシ経由の場合は X-Forwarded-Proto）から組み立てる
+  getPublicBaseUrl(req) {
+    if (process.env.PUBLIC_API_URL) {
+      return process.env.PUBLIC_API_URL.replace(/\/+$/, '');
+    }
+    const protocol = (req.get('x-forwarded-proto') || req.protocol).split(',')[0].trim();
+    return `${protocol}://${req.get('host')}`;
+  }
+
+  isValidTheme(theme) {
+    return Object.prototype.hasOwnProperty.call(WIDGET_THEMES, theme);
+  }
+
+  isValidPosition(position) {
+    return Object.prototype.hasOwnProperty.call(WIDGET_POSITIONS, position);
+  }
+
+  // settings.widget の検証（エラーメッセージ、問題なければnull）
+  validateWidgetSettings(widget) {
+    if (!widget || typeof widget !== 'object' || Array.isArray(widget)) {
+      return 'widgetSettings must be an object';
+    }
+
+    for (const field of TEXT_FIELDS) {
+      if (widget[field] !== undefined && (typeof widget[field] !== 'string' || widget[field].length > 200)) {
+        return `${field} must be a string of up to 200 characters`;
+      }
+    }
+
+    if (widget.iconUrl !== undefined && widget.iconUrl !== null && !/^https:\/\//.test(String(widget.iconUrl))) {
+      return 'iconUrl must be an https URL';
+    }
+
+    if (widget.trigger !== undefined) {
+      const trigger = widget.trigger || {};
+      if (!TRIGGER_TYPES.includes(trigger.type)) {
+        return `trigger.type must be one of ${TRIGGER_TYPES.join(', ')}`;
+      }
+      if (trigger.delaySeconds !== undefined && !(Number(trigger.delaySeconds) >= 0 && Number(trigger.delaySeconds) <= 600)) {
+        return 'trigger.delaySeconds must be between 0 and 600';
+      }
+      if (trigger.scrollPercent !== undefined && !(Number(trigger.scrollPercent) >= 0 && Number(trigger.scrollPercent) <= 100)) {
+        return 'trigger.scrollPercent must be between 0 and 100';
+      }
+    }
+
+    if (widget.promptCooldownDays !== undefined && !(Number(widget.promptCooldownDays) >= 0 && Number(widget.promptCooldownDays) <= 365)) {
+      return 'promptCooldownDays must be between 0 and 365';
+    }
+
+    for (const field of ['serviceWorkerPath', 'serviceWorkerScope']) {
+      if (widget[field] !== undefined && !/^\/[^\s]*$/.test(String(widget[field]))) {
+        return `${field} must be an absolute path starting with /`;
+      }
+    }
+
+    return null;
+  }
+
+  // サイトのウィジェット設定（既定値とのマージ）
+  getWidgetSettings(site) {
+    let settings = site.settings || {};
+    if (typeof settings === 'string') {
+      try {
+        settings = JSON.parse(settings);
+      } catch (error) {
+        settings = {};
+      }
+    }
+
+    const widget = settings.widget || {};
+    return {
+      ...DEFAULT_WIDGET_SETTINGS,
+      ...widget,
+      trigger: {
+        ...DEFAULT_WIDGET_SETTINGS.trigger,
+        ...(widget.trigger || {})
+      }
+    };
+  }
+
+  // ブラウザに渡す設定
+  buildClientConfig(site, vapidPublicKey, apiBase) {
+    const widget = this.getWidgetSettings(site);
+
+    return {
+      apiBase,
+      siteKey: site.public_key,
+      publicKey: vapidPublicKey,
+      theme: WIDGET_THEMES[site.widget_theme] || WIDGET_THEMES.purple,
+      positionStyle: WIDGET_POSITIONS[site.widget_position] || WIDGET_POSITIONS['bottom-right'],
+      title: widget.title,
+      message: widget.message,
+      allowText: widget.allowText,
+      denyText: widget.denyText,
+      iconUrl: widget.iconUrl,
+      trigger: {
+        type: widget.trigger.type,
+        delaySeconds: Number(widget.trigger.delaySeconds),
+        scrollPercent: Number(widget.trigger.scrollPercent)
+      },
+      promptCooldownDays: Number(widget.promptCooldownDays),
+      serviceWorkerPath: widget.serviceWorkerPath,
+      serviceWorkerScope: widget.serviceWorkerScope,
+      defaultNotificationTitle: widget.defaultNotificationTitle
+    };
+  }
+
+  // 埋め込みスクリプト
+  renderWidgetScript(config) {
+    return `/* Web Push subscribe widget */
+(function () {
+'use strict';
+${urlBase64ToUint8Array.toString()}
+${arrayBufferToBase64Url.toString()}
+${getTimeZone.toString()}
+(${widgetMain.toString()})(${toScriptJson(config)});
+})();
+`;
+  }
+
+  // Service Worker 本体（サイトの Service Worker から importScripts で読み込む）
+  renderServiceWorker(config) {
+    return `/* Web Push service worker */
+(function () {
+'use strict';
+${urlBase64ToUint8Array.toString()}
+${arrayBufferToBase64Url.toString()}
+${getTimeZone.toString()}
+(${serviceWorkerMain.toString()})(${toScriptJson({
+  apiBase: config.apiBase,
+  siteKey: config.siteKey,
+  publicKey: config.publicKey,
+  iconUrl: config.iconUrl,
+  defaultNotificationTitle: config.defaultNotificationTitle
+})});
+})();
+`;
+  }
+
+  // 管理画面向けの埋め込みコード
+  getEmbedCode(config) {
+    return {
+      script: `<script src="${config.apiBase}/widget/${config.siteKey}.js" async></script>`,
+      serviceWorkerPath: config.serviceWorkerPath,
+      serviceWorker: `importScripts('${config.apiBase}/sw/${config.siteKey}.js');`
+    };
+  }
+}
+
+module.exports = new WidgetService();
+module.exports.WIDGET_THEMES = WIDGET_THEMES;
+module.exports.WIDGET_POSITIONS = WIDGET_POSITIONS;
@@ -0,0 +1,200 @@
+// 配信ワーカー
+// queue.js の配信ジョブを取得してプッシュ送信する
+// server.js 内で起動するほか、`npm run worker` で別プロセスとして複数台起動できる
+
+require('dotenv').config();
+const deliveryService = require('./delivery');
+const { CAMPAIGN_STATUS } = require('./delivery');
+const queueService = require('./queue');
+const { LEASE_SECONDS } = require('./queue');
+const clusterService = require('./cluster');
+
+// PostgreSQL接続（server.jsと共有）
+const pool = require('./db');
+
+// ジョブがないときのポーリング間隔
+const POLL_INTERVAL_MS = parseInt(process.env.WORKER_POLL_INTERVAL_MS) || 5000;
+
+// 1回に取得・並列送信する配信行の件数
+const BATCH_SIZE = parseInt(process.env.WORKER_BATCH_SIZE) || 50;
+
+// バッチ送信中のリース延長の間隔（レート制限の待機などでバッチが長引いてもリースを切らさない）
+const LEASE_RENEW_INTERVAL_MS = Math.floor((LEASE_SECONDS * 1000) / 3);
+
+class DeliveryWorker {
+  // ジョブの locked_by にはプロセスのノードID（cluster.js）を記録する
+  constructor() {
+    this.workerId = clusterService.nodeId;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.timer = null;
+    this.currentTick = null;
+  }
+
+  // ワーカー開始
+  start() {
+    if (this.isRunning) {
+      console.log('Worker is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    clusterService.register('worker');
+    console.log(`👷 配信ワーカーを起動しました (${this.workerId})`);
+    this.scheduleNext(0);
+  }
+
+  // ワーカー停止（処理中のバッチは完了してから止まる）
+  // 送信済みの配信行が sending のまま残ると、リース切れ後の再開で二重に送信されるため、
+  // 処理中の tick() が終わるまで待ってから resolve する（DB接続を閉じる前に await すること）
+  async stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.currentTick) {
+      await this.currentTick;
+    }
+    console.log(`👷 配信ワーカーを停止しました (${this.workerId})`);
+  }
+
+  scheduleNext(delay) {
+    if (!this.isRunning) return;
+    this.timer = setTimeout(() => {
+      this.currentTick = this.tick();
+    }, delay);
+  }
+
+  // ジョブがある限り続けて処理し、なくなったらポーリング間隔だけ待つ
+  async tick() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    let processed = false;
+    try {
+      const job = await queueService.claimNextJob(this.workerId);
+      if (job) {
+        processed = true;
+        await this.processJob(job);
+      }
+    } catch (error) {
+      console.error('❌ ワーカーエラー:', error.message);
+    } finally {
+      this.isProcessing = false;
+      this.scheduleNext(processed ? 0 : POLL_INTERVAL_MS);
+    }
+  }
+
+  // ジョブ1件の処理（未送信の配信行をバッチごとに送信）
+  async processJob(job) {
+    console.log(`👷 ジョブ ${job.id} を処理中（失敗 ${job.attempts}/${job.max_attempts}回）`);
+
+    const campaignResult = await pool.query('SELECT * FROM campaigns WHERE id = $1', [job.campaign_id]);
+    const campaign = campaignResult.rows[0];
+
+    // リース切れの再取得が上限に達して失敗になったジョブ（queue.js の claimNextJob）
+    if (job.status === 'failed') {
+      console.error(`  ❌ ジョブ ${job.id} はリース切れが上限に達したため失敗にしました`);
+      if (campaign) {
+        await deliveryService.finishCampaign(campaign, CAMPAIGN_STATUS.FAILED);
+      }
+      return;
+    }
+
+    try {
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+
+      const vapidKeys = await deliveryService.loadVapidKeys(campaign.site_id);
+      const siteResult = await pool.query('SELECT name, domain, url FROM sites WHERE id = $1', [campaign.site_id]);
+      const site = siteResult.rows[0];
+
+      while (this.isRunning) {
+        const batch = await queueService.claimDeliveryBatch(job.id, BATCH_SIZE);
+        if (batch.length === 0) break;
+
+        await this.withLeaseRenewal(job, () => Promise.all(
+          batch.map(delivery => deliveryService.sendDelivery(campaign, delivery, vapidKeys, site))
+        ));
+
+        // リース延長（キャンセルされた場合は中断）
+        const stillOwned = await queueService.heartbeat(job.id, this.workerId);
+        if (!stillOwned) {
+          console.log(`👷 ジョブ ${job.id} はキャンセルまたは他のワーカーに移りました`);
+          return;
+        }
+      }
+
+      // 停止要求で中断した場合はリース切れ後に別のワーカーが再開する
+      if (!this.isRunning) return;
+
+      // 再送待ち・送信時刻前のウェーブが残っていれば、最も早い送信時刻までジョブを待機に戻す
+      const nextRunAt = await queueService.getNextRunAt(job.id);
+      if (nextRunAt) {
+        await queueService.deferJob(job.id, this.workerId, nextRunAt);
+        console.log(`  ⏳ ジョブ ${job.id} は送信待ち（${new Date(nextRunAt).toISOString()} に再開）`);
+        return;
+      }
+
+      const completed = await queueService.completeJob(job.id, this.workerId);
+      if (completed) {
+        await deliveryService.finishCampaign(campaign, CAMPAIGN_STATUS.COMPLETED, completed);
+        await deliveryService.updateCampaignStats(campaign.id);
+        console.log(`  ✅ ジョブ ${job.id} 完了: 成功${completed.sent_count}件, 失敗${completed.failed_count}件`);
+      }
+    } catch (error) {
+      console.error(`  ❌ ジョブ ${job.id} エラー:`, error.message);
+
+      const failed = await queueService.failJob(job, this.workerId, error);
+      if (failed && failed.status === 'failed' && campaign) {
+        await deliveryService.finishCampaign(campaign, CAMPAIGN_STATUS.FAILED);
+      }
+    }
+  }
+
+  // fn の実行中、一定間隔でジョブのリースを延長する
+  async withLeaseRenewal(job, fn) {
+    const timer = setInterval(() => {
+      queueService.heartbeat(job.id, this.workerId).catch((error) => {
+        console.error(`  ❌ ジョブ ${job.id} のリース延長エラー:`, error.message);
+      });
+    }, LEASE_RENEW_INTERVAL_MS);
+
+    try {
+      return await fn();
+    } finally {
+      clearInterval(timer);
+    }
+  }
+
+  // 状態を取得
+  getStatus() {
+    return {
+      workerId: this.workerId,
+      isRunning: this.isRunning,
+      isProcessing: this.isProcessing
+    };
+  }
+}
+
+const worker = new DeliveryWorker();
+
+// スタンドアロン実行
+if (require.main === module) {
+  const shutdown = (signal) => {
+    console.log(`${signal} received, stopping worker...`);
+    worker.stop()
+      .then(() => clusterService.stop())
+      .catch(error => console.error('❌ ノードの停止記録エラー:', error.message))
+      .finally(() => pool.end(() => process.exit(0)));
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  worker.start();
+}
+
+module.exports = worker;